@@ -0,0 +1,558 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line tool for managing buckets, models and translations.
+ * Uses the same storage backend as the server (see STORAGE_BACKEND in config.js),
+ * so build pipelines can push models without going through the web page.
+ *
+ * Exit codes: 0 on success, 1 on errors and invalid usage, 2 if a translation failed.
+ */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
+const { TRANSLATION_POLL_INTERVAL } = require("../config.js");
+const {
+  listBuckets,
+  createBucket,
+  uploadObject,
+  translateObject,
+  openObjectReader,
+  urnify,
+  parseObjectId,
+} = require("../services/storage.js");
+const { getTranslationStatus } = require("../services/progress.js");
+const { startJob, getJob } = require("../services/bucketDeletion.js");
+const { normalizeRegion } = require("../services/regions.js");
+const zip = require("../services/zip.js");
+const { sha1Files } = require("../services/hash.js");
+const {
+  storeUpload,
+  translateUpload,
+} = require("../services/deduplication.js");
+const {
+  listModels,
+  listVersions,
+  promote,
+  deleteModel,
+  modelName,
+} = require("../services/versions.js");
+
+/** @constant {number} Exit code for failed or timed out translations */
+const TRANSLATION_FAILED = 2;
+
+/** @constant {string} Usage instructions */
+const USAGE = `Usage: aps-training <command> [options]
+
+Commands:
+  buckets list                      List buckets
+  buckets create <name>             Create a bucket (--region, --policy)
+  buckets delete <name>             Delete a bucket and its objects (--dry-run)
+  models list                       List the models of a bucket (--bucket)
+  models upload <file|dir|glob>...  Upload and translate files (--bucket, --entrypoint,
+                                    --on-duplicate, --comment, --uploader,
+                                    --skip-translation, --wait)
+  models delete <urn>               Delete a model with all of its versions (--derivatives)
+  models versions <name>            List the versions of a model (--bucket)
+  models promote <name> <version>   Make an earlier version current (--bucket)
+  translate <urn>                   Start a translation (--entrypoint, --force, --wait)
+  status <urn>                      Show the translation status (--wait)
+
+Options:
+  --bucket <name>      Bucket to work with, defaults to the application bucket
+  --region <region>    Region of a new bucket: US, EMEA or APAC
+  --policy <policy>    Retention policy of a new bucket: transient, temporary or persistent
+  --entrypoint <file>  Main design file inside zip archives, defaults to the most likely one
+  --on-duplicate <how> For files already in the bucket under another name: ask (fail, the
+                       default), reuse the stored file or upload a copy
+  --comment <text>     Comment recorded with uploaded versions
+  --uploader <name>    Uploader recorded with uploaded versions, defaults to the current user
+  --wait               Wait until translations finish
+  --timeout <seconds>  Give up waiting after this many seconds (default 3600)
+  --json               Print results as JSON
+  -h, --help           Show this help`;
+
+/** @constant {Object} Options accepted by parseArgs */
+const OPTIONS = {
+  bucket: { type: "string" },
+  region: { type: "string" },
+  policy: { type: "string", default: "persistent" },
+  entrypoint: { type: "string" },
+  "on-duplicate": { type: "string", default: "ask" },
+  comment: { type: "string" },
+  uploader: { type: "string" },
+  "skip-translation": { type: "boolean", default: false },
+  derivatives: { type: "boolean", default: false },
+  force: { type: "boolean", default: false },
+  "dry-run": { type: "boolean", default: false },
+  wait: { type: "boolean", default: false },
+  timeout: { type: "string", default: "3600" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * An error caused by invalid command-line usage; the usage is printed along with it.
+ */
+class UsageError extends Error {}
+
+/**
+ * Prints the result of a command, either as JSON or as aligned text columns.
+ *
+ * @param {Object} options - The parsed options
+ * @param {*} result - The result to print
+ * @param {Array<string>} [columns] - Properties to print as columns when `result` is an array
+ */
+function print(options, result, columns) {
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    return;
+  }
+  if (!Array.isArray(result)) {
+    for (const [key, value] of Object.entries(result)) {
+      process.stdout.write(
+        `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}\n`
+      );
+    }
+    return;
+  }
+  const rows = [
+    columns,
+    ...result.map((item) =>
+      columns.map((column) => String(item[column] ?? ""))
+    ),
+  ];
+  const widths = columns.map((_, i) =>
+    Math.max(...rows.map((row) => row[i].length))
+  );
+  for (const row of rows) {
+    process.stdout.write(
+      `${row
+        .map((cell, i) => cell.padEnd(widths[i]))
+        .join("  ")
+        .trimEnd()}\n`
+    );
+  }
+}
+
+/**
+ * Converts a glob pattern to a regular expression matching relative paths.
+ * Supports `*` and `?` within a path segment, `**` across segments and `{a,b}` alternatives.
+ *
+ * @param {string} pattern - The glob pattern, using forward slashes
+ * @returns {RegExp} The equivalent regular expression
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      source += pattern[i + 2] === "/" ? "(?:.*/)?" : ".*";
+      i += pattern[i + 2] === "/" ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      braces++;
+      source += "(?:";
+    } else if (char === "}" && braces > 0) {
+      braces--;
+      source += ")";
+    } else if (char === "," && braces > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists all files below a directory, recursively.
+ *
+ * @param {string} dir - The directory
+ * @returns {Promise<Array<string>>} Paths of the files
+ */
+async function walk(dir) {
+  const files = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await walk(entryPath)));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expands files, directories and glob patterns into a list of files.
+ * Directories contribute all files below them.
+ *
+ * @param {Array<string>} patterns - Paths or glob patterns
+ * @returns {Promise<Array<string>>} Paths of the matching files, without duplicates
+ */
+async function expandFiles(patterns) {
+  const files = new Set();
+  for (const pattern of patterns) {
+    if (!/[*?{]/.test(pattern)) {
+      const stats = await fs.stat(pattern).catch(() => null);
+      if (!stats) {
+        throw new Error(`File '${pattern}' not found.`);
+      }
+      const matches = stats.isDirectory() ? await walk(pattern) : [pattern];
+      matches.forEach((file) => files.add(file));
+      continue;
+    }
+    const segments = pattern.split(/[\\/]/);
+    const literal = segments.findIndex((segment) => /[*?{]/.test(segment));
+    const base = segments.slice(0, literal).join("/") || ".";
+    const matcher = globToRegExp(segments.slice(literal).join("/"));
+    const candidates = await walk(base).catch(() => []);
+    const matches = candidates.filter((file) =>
+      matcher.test(path.relative(base, file).split(path.sep).join("/"))
+    );
+    if (matches.length === 0) {
+      throw new Error(`No files match '${pattern}'.`);
+    }
+    matches.forEach((file) => files.add(file));
+  }
+  return [...files];
+}
+
+/**
+ * Determines the main design file of a zip archive to upload, checking it against the archive.
+ * Without --entrypoint, the most likely root file is used.
+ *
+ * @param {string} file - The path of the file to upload
+ * @param {Object} options - The parsed options
+ * @returns {Promise<string|undefined>} The root filename, or undefined if the file is not a zip archive
+ */
+async function chooseRootFilename(file, options) {
+  if (!zip.isArchive(file)) {
+    return undefined;
+  }
+  const archive = await zip.inspect(await zip.fileReader(file));
+  const rootFilename = options.entrypoint || archive.candidates[0];
+  zip.checkRootFilename(archive, rootFilename);
+  if (!options.entrypoint && !options.json) {
+    console.error(`Using ${rootFilename} as the main design file of ${file}.`);
+  }
+  return rootFilename;
+}
+
+/**
+ * Polls the translation of a model until it finishes.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {Object} options - The parsed options
+ * @returns {Promise<Object>} The final translation status; "timeout" if waiting took too long
+ */
+async function waitForTranslation(urn, options) {
+  const deadline = Date.now() + parseInt(options.timeout, 10) * 1000;
+  for (;;) {
+    const status = await getTranslationStatus(urn);
+    if (status.status !== "pending" && status.status !== "inprogress") {
+      return { urn, ...status };
+    }
+    if (Date.now() > deadline) {
+      return { urn, ...status, status: "timeout" };
+    }
+    if (!options.json) {
+      console.error(`${urn}: ${status.progress || status.status}`);
+    }
+    await new Promise((resolve) =>
+      setTimeout(resolve, TRANSLATION_POLL_INTERVAL)
+    );
+  }
+}
+
+/**
+ * Checks whether a translation status counts as a failure for the exit code.
+ *
+ * @param {Object} status - The translation status
+ * @returns {boolean} Whether the translation failed or did not finish in time
+ */
+function hasFailed(status) {
+  return status.status === "failed" || status.status === "timeout";
+}
+
+/** Command implementations keyed by "<command> <subcommand>" or "<command>" */
+const commands = {
+  "buckets list": async (args, options) => {
+    const buckets = await listBuckets();
+    print(
+      options,
+      buckets.map((bucket) => ({
+        name: bucket.bucketKey,
+        urn: urnify(bucket.bucketKey),
+        region: bucket.region,
+        policy: bucket.policyKey,
+      })),
+      ["name", "region", "policy", "urn"]
+    );
+  },
+
+  "buckets create": async ([name], options) => {
+    if (!name) {
+      throw new UsageError("Bucket name is required.");
+    }
+    const region = normalizeRegion(options.region);
+    await createBucket(name, region, options.policy);
+    print(options, {
+      name,
+      urn: urnify(name),
+      region,
+      policy: options.policy,
+    });
+  },
+
+  "buckets delete": async ([name], options) => {
+    if (!name) {
+      throw new UsageError("Bucket name is required.");
+    }
+    let job = startJob(name, { dryRun: options["dry-run"] });
+    while (!job.finishedAt) {
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      job = getJob(job.id);
+      if (!options.json && !job.dryRun) {
+        console.error(`Deleted ${job.deleted} of ${job.listed} object(s)...`);
+      }
+    }
+    if (job.status === "failed") {
+      const details = job.failures.map(
+        (failure) => `\n  ${failure.objectKey}: ${failure.message}`
+      );
+      throw new Error(`${job.error}${details.join("")}`);
+    }
+    print(
+      options,
+      job.dryRun
+        ? job.objects
+        : { bucket: name, deleted: job.deleted, status: job.status },
+      ["objectKey", "size"]
+    );
+  },
+
+  "models list": async (args, options) => {
+    const models = await listModels(options.bucket);
+    print(
+      options,
+      models.map(({ name, object, version, versions }) => ({
+        name,
+        urn: urnify(object.objectId),
+        size: object.size,
+        uploadedAt: object.lastModifiedDate
+          ? new Date(object.lastModifiedDate).toISOString()
+          : "",
+        version,
+        versions,
+      })),
+      ["name", "version", "size", "uploadedAt", "urn"]
+    );
+  },
+
+  "models upload": async (patterns, options) => {
+    if (patterns.length === 0) {
+      throw new UsageError("At least one file, directory or glob is required.");
+    }
+    const files = await expandFiles(patterns);
+    const results = [];
+    for (const file of files) {
+      const rootFilename = options["skip-translation"]
+        ? undefined
+        : await chooseRootFilename(file, options);
+      if (!options.json) {
+        console.error(`Uploading ${file}...`);
+      }
+      const sha1 = await sha1Files([file]);
+      const { object, name, upload, version } = await storeUpload({
+        bucketKey: options.bucket,
+        name: path.basename(file),
+        sha1,
+        size: (await fs.stat(file)).size,
+        store: (objectKey) =>
+          uploadObject(objectKey, file, options.bucket, { sha1 }),
+        onDuplicate: options["on-duplicate"],
+        uploader: options.uploader || os.userInfo().username,
+        comment: options.comment,
+      }).catch((error) => {
+        if (error.code === "DUPLICATE_OBJECT") {
+          error.message += ` Use --on-duplicate reuse to reuse it, or --on-duplicate upload to store ${file} anyway.`;
+        }
+        throw error;
+      });
+      const result = {
+        file,
+        name,
+        version,
+        upload,
+        urn: urnify(object.objectId),
+      };
+      if (!options["skip-translation"]) {
+        const job = await translateUpload(result.urn, upload, rootFilename);
+        result.translation = options.wait
+          ? (await waitForTranslation(result.urn, options)).status
+          : job === "skipped"
+          ? "skipped"
+          : "started";
+      }
+      results.push(result);
+    }
+    print(options, results, [
+      "file",
+      "name",
+      "version",
+      "upload",
+      "translation",
+      "urn",
+    ]);
+    return results.some((result) => hasFailed({ status: result.translation }))
+      ? TRANSLATION_FAILED
+      : 0;
+  },
+
+  "models delete": async ([urn], options) => {
+    if (!urn) {
+      throw new UsageError("Model URN is required.");
+    }
+    const { bucketKey, objectKey } = parseObjectId(urn);
+    const name = modelName(objectKey);
+    const versions = await deleteModel(bucketKey, name, options.derivatives);
+    print(options, {
+      name,
+      urn,
+      versionsDeleted: versions,
+      derivativesDeleted: options.derivatives,
+    });
+  },
+
+  "models versions": async ([name], options) => {
+    if (!name) {
+      throw new UsageError("Model name is required.");
+    }
+    const history = await listVersions(options.bucket, name);
+    print(
+      options,
+      options.json
+        ? history
+        : history.versions.map((entry) => ({
+            ...entry,
+            current: entry.current ? "*" : "",
+          })),
+      ["version", "current", "uploadedAt", "uploader", "comment", "urn"]
+    );
+  },
+
+  "models promote": async ([name, version], options) => {
+    if (!name || !/^\d+$/.test(version || "")) {
+      throw new UsageError("Model name and version number are required.");
+    }
+    const history = await promote(options.bucket, name, parseInt(version, 10));
+    print(options, {
+      name,
+      current: history.current,
+      urn: history.versions.find((entry) => entry.current).urn,
+    });
+  },
+
+  translate: async ([urn], options) => {
+    if (!urn) {
+      throw new UsageError("Model URN is required.");
+    }
+    const { bucketKey, objectKey } = parseObjectId(urn);
+    if (zip.isArchive(objectKey)) {
+      zip.checkRootFilename(
+        await zip.inspect(await openObjectReader(bucketKey, objectKey)),
+        options.entrypoint
+      );
+    }
+    const result = await translateObject(urn, options.entrypoint, {
+      force: options.force,
+    });
+    if (!options.wait) {
+      print(options, { urn, result });
+      return 0;
+    }
+    const status = await waitForTranslation(urn, options);
+    print(options, status);
+    return hasFailed(status) ? TRANSLATION_FAILED : 0;
+  },
+
+  status: async ([urn], options) => {
+    if (!urn) {
+      throw new UsageError("Model URN is required.");
+    }
+    const status = options.wait
+      ? await waitForTranslation(urn, options)
+      : { urn, ...(await getTranslationStatus(urn)) };
+    print(options, status);
+    return hasFailed(status) ? TRANSLATION_FAILED : 0;
+  },
+};
+
+/**
+ * Runs the command given on the command line.
+ *
+ * @param {Array<string>} argv - The command-line arguments, without the node binary and script
+ * @returns {Promise<number>} The exit code
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+  const { values: options, positionals } = parsed;
+  const [command, subcommand, ...rest] = positionals;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+  let handler = commands[`${command} ${subcommand}`];
+  let args = rest;
+  if (!handler) {
+    handler = commands[command];
+    args = positionals.slice(1);
+  }
+  if (!handler) {
+    console.error(`Unknown command '${positionals.join(" ")}'.\n\n${USAGE}`);
+    return 1;
+  }
+
+  // Results go to stdout; service logs are moved to stderr so that JSON output stays parsable
+  const log = console.log;
+  console.log = console.error;
+  try {
+    return (await handler(args, options)) || 0;
+  } catch (error) {
+    if (options.json) {
+      process.stdout.write(
+        `${JSON.stringify(
+          { error: { code: error.code, message: error.message } },
+          null,
+          2
+        )}\n`
+      );
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
+    if (error instanceof UsageError) {
+      console.error(`\n${USAGE}`);
+    }
+    return 1;
+  } finally {
+    console.log = log;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => process.exit(code));
@@ -1,10 +1,38 @@
 const dotenv = require("dotenv");
 const path = require("path");
-dotenv.config({ path: path.resolve(__dirname, ".env") });
+const os = require("os");
+dotenv.config({ path: path.resolve(__dirname, ".env"), quiet: true });
 
 const config = {
   APS_CLIENT_ID: process.env.APS_CLIENT_ID,
   APS_CLIENT_SECRET: process.env.APS_CLIENT_SECRET,
+  APS_TOKEN_REFRESH_MARGIN:
+    parseInt(process.env.APS_TOKEN_REFRESH_MARGIN, 10) || 300, // seconds
+  STORAGE_BACKEND: process.env.STORAGE_BACKEND || "aps", // "aps" or "local"
+  LOCAL_STORAGE_DIR:
+    process.env.LOCAL_STORAGE_DIR || path.resolve(__dirname, "storage"),
+  LOCAL_TRANSLATION_TIME:
+    parseInt(process.env.LOCAL_TRANSLATION_TIME, 10) || 10000, // milliseconds
+  UPLOAD_TEMP_DIR:
+    process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), "aps-uploads"),
+  UPLOAD_PART_SIZE:
+    parseInt(process.env.UPLOAD_PART_SIZE, 10) || 8 * 1024 * 1024, // bytes, at least 5 MB for S3
+  UPLOAD_SESSION_TTL:
+    parseInt(process.env.UPLOAD_SESSION_TTL, 10) || 24 * 60 * 60, // seconds
+  TRANSLATION_POLL_INTERVAL:
+    parseInt(process.env.TRANSLATION_POLL_INTERVAL, 10) || 3000, // milliseconds
+  DOWNLOAD_URL_EXPIRATION:
+    parseInt(process.env.DOWNLOAD_URL_EXPIRATION, 10) || 10, // minutes, at most 60
+  BUCKET_DELETE_CONCURRENCY:
+    parseInt(process.env.BUCKET_DELETE_CONCURRENCY, 10) || 4, // parallel object deletions
+  APS_RETRY_ATTEMPTS: parseInt(process.env.APS_RETRY_ATTEMPTS, 10) || 4, // attempts per APS call, including the first
+  APS_RETRY_BASE_DELAY: parseInt(process.env.APS_RETRY_BASE_DELAY, 10) || 500, // milliseconds, doubled for each further retry
+  APS_RETRY_MAX_DELAY: parseInt(process.env.APS_RETRY_MAX_DELAY, 10) || 20000, // milliseconds, longer Retry-After delays are not waited for
+  APS_CIRCUIT_THRESHOLD: parseInt(process.env.APS_CIRCUIT_THRESHOLD, 10) || 5, // consecutive failures that open the circuit
+  APS_CIRCUIT_RESET_TIMEOUT:
+    parseInt(process.env.APS_CIRCUIT_RESET_TIMEOUT, 10) || 30, // seconds before a trial call is let through
+  CACHE_DIR: process.env.CACHE_DIR || path.resolve(__dirname, "cache"),
+  DATA_DIR: process.env.DATA_DIR || path.resolve(__dirname, "data"),
   PORT: process.env.PORT || 8080,
 };
 
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Request IDs and the central error middleware.
+ * Every response carries an X-Request-Id header, and every error is reported as
+ * `{ error: { code, status, message, requestId, upstream, details } }` so clients can show
+ * specific messages and users can quote the request ID when reporting problems.
+ */
+
+const crypto = require("crypto");
+const { ApiError, toApiError } = require("../services/errors.js");
+
+/** @constant {RegExp} Format accepted for request IDs supplied by clients or proxies */
+const REQUEST_ID = /^[\w.-]{1,64}$/;
+
+/**
+ * Assigns an ID to each request, reusing a valid incoming X-Request-Id header.
+ *
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - The next middleware
+ */
+function requestId(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+/**
+ * Reports unknown API routes as errors instead of falling through to HTML pages.
+ *
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - The next middleware
+ */
+function notFound(req, res, next) {
+  next(
+    new ApiError(
+      404,
+      "ROUTE_NOT_FOUND",
+      `No API route matches ${req.method} ${req.originalUrl}.`
+    )
+  );
+}
+
+/**
+ * Sends errors as JSON. Server-side errors are logged together with the request ID.
+ *
+ * @param {Error} err - The error passed to `next`
+ * @param {Object} req - The Express request
+ * @param {Object} res - The Express response
+ * @param {Function} next - The next middleware
+ */
+function errorHandler(err, req, res, next) {
+  const error = toApiError(err);
+  if (error.status >= 500) {
+    console.error(`Request ${req.id} failed (${req.method} ${req.url}):`, err);
+  }
+  if (res.headersSent) {
+    next(err);
+    return;
+  }
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      status: error.status,
+      message: error.message,
+      requestId: req.id,
+      ...(error.upstream ? { upstream: error.upstream } : {}),
+      ...(error.details ? { details: error.details } : {}),
+    },
+  });
+}
+
+module.exports = { requestId, notFound, errorHandler };
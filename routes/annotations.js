@@ -0,0 +1,55 @@
+const express = require("express");
+const {
+  listAnnotations,
+  getAnnotation,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+} = require("../services/annotations.js");
+
+let router = express.Router();
+
+router.get("/api/models/:urn/annotations", async (req, res, next) => {
+  try {
+    res.json(
+      await listAnnotations(req.params.urn, { status: req.query.status })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/api/models/:urn/annotations", async (req, res, next) => {
+  try {
+    res.status(201).json(await createAnnotation(req.params.urn, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/models/:urn/annotations/:id", async (req, res, next) => {
+  try {
+    res.json(await getAnnotation(req.params.urn, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch("/api/models/:urn/annotations/:id", async (req, res, next) => {
+  try {
+    res.json(await updateAnnotation(req.params.urn, req.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/models/:urn/annotations/:id", async (req, res, next) => {
+  try {
+    await deleteAnnotation(req.params.urn, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
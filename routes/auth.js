@@ -1,14 +1,35 @@
 const express = require("express");
-const { getViewerToken } = require("../services/aps.js");
+const { fetchViewerData } = require("../services/storage.js");
+const { getStats } = require("../services/tokens.js");
 
 let router = express.Router();
 
-router.get("/api/auth/token", async (req, res, next) => {
+// The viewer of the application reads models through here, so that no access token leaves
+// the server: a token would give the holders of share links access to every model
+router.get("/api/viewer/*path", async (req, res, next) => {
   try {
-    res.json(await getViewerToken());
+    const marker = "/api/viewer";
+    const data = await fetchViewerData(
+      req.originalUrl.slice(marker.length),
+      req.headers
+    );
+    res.status(data.status).set(data.headers);
+    if (!data.stream) {
+      res.end();
+      return;
+    }
+    data.stream.on("error", (error) => {
+      console.error("Model data failed:", error.message);
+      res.destroy(error);
+    });
+    data.stream.pipe(res);
   } catch (error) {
     next(error);
   }
 });
 
+router.get("/api/auth/stats", (req, res) => {
+  res.json(getStats());
+});
+
 module.exports = router;
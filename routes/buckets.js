@@ -2,12 +2,41 @@ const express = require("express");
 const {
   listBuckets,
   createBucket,
-  deleteBucket,
+  getBucketDetails,
   urnify,
-} = require("../services/aps.js");
+  deurnify,
+} = require("../services/storage.js");
+const { normalizeRegion } = require("../services/regions.js");
+const { startJob, getJob } = require("../services/bucketDeletion.js");
+const { ApiError } = require("../services/errors.js");
+
+/** @constant {Array<string>} Retention policies buckets can be created with */
+const POLICIES = ["transient", "temporary", "persistent"];
 
 let router = express.Router();
 
+/**
+ * Converts a bucket deletion job to its JSON representation.
+ *
+ * @param {Object} job - The job
+ * @returns {Object} The job as returned by the API
+ */
+function jobJson(job) {
+  return {
+    id: job.id,
+    bucket: job.bucketKey,
+    dryRun: job.dryRun,
+    status: job.status,
+    listed: job.listed,
+    deleted: job.deleted,
+    failures: job.failures,
+    ...(job.dryRun ? { objects: job.objects } : {}),
+    error: job.error,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+  };
+}
+
 router.get("/api/buckets", async (req, res, next) => {
   try {
     const buckets = await listBuckets();
@@ -15,6 +44,8 @@ router.get("/api/buckets", async (req, res, next) => {
       buckets.map((bucket) => ({
         name: bucket.bucketKey,
         urn: urnify(bucket.bucketKey),
+        region: bucket.region,
+        policy: bucket.policyKey,
       }))
     );
   } catch (error) {
@@ -22,12 +53,42 @@ router.get("/api/buckets", async (req, res, next) => {
   }
 });
 
+router.get("/api/buckets/:urn", async (req, res, next) => {
+  try {
+    const bucket = await getBucketDetails(deurnify(req.params.urn));
+    res.json({
+      name: bucket.bucketKey,
+      urn: req.params.urn,
+      policy: bucket.policyKey,
+      region: bucket.region,
+      createdAt: new Date(bucket.createdDate).toISOString(),
+      owner: bucket.bucketOwner,
+      objectCount: bucket.objectCount,
+      totalSize: bucket.totalSize,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 router.post("/api/buckets/create", async (req, res, next) => {
   try {
     const { bucketName } = req.body;
     if (!bucketName) {
-      res.status(400).send("Bucket name is required.");
-      return;
+      throw new ApiError(
+        400,
+        "BUCKET_NAME_REQUIRED",
+        "Bucket name is required."
+      );
+    }
+    const region = normalizeRegion(req.body.region);
+    const policy = req.body.policy || "persistent";
+    if (!POLICIES.includes(policy)) {
+      throw new ApiError(
+        400,
+        "INVALID_POLICY",
+        `Retention policy must be one of: ${POLICIES.join(", ")}.`
+      );
     }
 
     let sanitizedBucketName = bucketName
@@ -37,29 +98,26 @@ router.post("/api/buckets/create", async (req, res, next) => {
       .replace(/[^a-z0-9]+$/, "");
 
     if (sanitizedBucketName.length < 3) {
-      res
-        .status(400)
-        .send(
-          "Bucket name must be at least 3 characters long after sanitization."
-        );
-      return;
+      throw new ApiError(
+        400,
+        "INVALID_BUCKET_NAME",
+        "Bucket name must be at least 3 characters long after sanitization."
+      );
     }
 
     if (sanitizedBucketName.length > 128) {
       sanitizedBucketName = sanitizedBucketName.substring(0, 128);
     }
 
-    await createBucket(sanitizedBucketName);
+    await createBucket(sanitizedBucketName, region, policy);
 
     res.json({
       name: sanitizedBucketName,
       urn: urnify(sanitizedBucketName),
+      region,
+      policy,
     });
   } catch (error) {
-    if (error.status === 409) {
-      res.status(409).send(error.message);
-      return;
-    }
     next(error);
   }
 });
@@ -68,8 +126,11 @@ router.delete("/api/buckets", async (req, res, next) => {
   try {
     const { bucketName } = req.body;
     if (!bucketName) {
-      res.status(400).send("Bucket name is required.");
-      return;
+      throw new ApiError(
+        400,
+        "BUCKET_NAME_REQUIRED",
+        "Bucket name is required."
+      );
     }
 
     let sanitizedBucketName = bucketName
@@ -78,11 +139,27 @@ router.delete("/api/buckets", async (req, res, next) => {
       .replace(/^[^a-z0-9]+/, "")
       .replace(/[^a-z0-9]+$/, "");
 
-    const result = await deleteBucket(sanitizedBucketName);
+    if (sanitizedBucketName.length < 3) {
+      throw new ApiError(
+        400,
+        "INVALID_BUCKET_NAME",
+        "Bucket name must be at least 3 characters long after sanitization."
+      );
+    }
+
+    const job = startJob(sanitizedBucketName, {
+      dryRun: req.body.dryRun === true,
+    });
+    res.status(202).location(`/api/buckets/jobs/${job.id}`).json(jobJson(job));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json(result);
+router.get("/api/buckets/jobs/:id", (req, res, next) => {
+  try {
+    res.json(jobJson(getJob(req.params.id)));
   } catch (error) {
-    res.send(error.message);
     next(error);
   }
 });
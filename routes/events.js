@@ -0,0 +1,52 @@
+const express = require("express");
+const { subscribe, watchTranslation } = require("../services/progress.js");
+const { ApiError } = require("../services/errors.js");
+
+/** @constant {number} Interval of keep-alive comments, in milliseconds */
+const HEARTBEAT_INTERVAL = 15000;
+
+let router = express.Router();
+
+router.get("/api/events", (req, res, next) => {
+  const { urn, upload } = req.query;
+  if (!urn && !upload) {
+    next(
+      new ApiError(
+        400,
+        "EVENT_CHANNEL_REQUIRED",
+        "A model URN or an upload session ID is required."
+      )
+    );
+    return;
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const unsubscribes = [];
+  if (upload) {
+    unsubscribes.push(subscribe(`upload:${upload}`, send));
+  }
+  if (urn) {
+    unsubscribes.push(subscribe(`model:${urn}`, send));
+    watchTranslation(urn);
+  }
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribes.forEach((unsubscribe) => unsubscribe());
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require("express");
+const {
+  listFederations,
+  getFederation,
+  createFederation,
+  updateFederation,
+  deleteFederation,
+} = require("../services/federations.js");
+
+let router = express.Router();
+
+router.get("/api/federations", async (req, res, next) => {
+  try {
+    const federations = await listFederations();
+    res.json(
+      federations.map(({ id, name, models, createdBy, updatedAt }) => ({
+        id,
+        name,
+        models: models.length,
+        createdBy,
+        updatedAt,
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/api/federations", async (req, res, next) => {
+  try {
+    res.status(201).json(await createFederation(req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/federations/:id", async (req, res, next) => {
+  try {
+    res.json(await getFederation(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/api/federations/:id", async (req, res, next) => {
+  try {
+    res.json(await updateFederation(req.params.id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/federations/:id", async (req, res, next) => {
+  try {
+    await deleteFederation(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require("express");
+const { openSignedObject } = require("../services/local.js");
+const { attachment } = require("../services/attachment.js");
+
+let router = express.Router();
+
+router.get("/api/local/objects/:urn", async (req, res, next) => {
+  try {
+    const { stream, size, name } = await openSignedObject(
+      req.params.urn,
+      req.query.expires,
+      req.query.signature
+    );
+    res.set({
+      "Content-Type": "application/octet-stream",
+      "Content-Disposition": attachment(name),
+      "Content-Length": size,
+    });
+    stream.on("error", (error) => {
+      console.error("Object download failed:", error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
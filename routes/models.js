@@ -1,33 +1,90 @@
 const express = require("express");
 const formidable = require("express-formidable");
+const fsp = require("fs/promises");
+const path = require("path");
 const {
-  listObjects,
   uploadObject,
   translateObject,
   getManifest,
+  copyObject,
+  deleteManifest,
+  openDerivative,
+  getDownloadUrl,
+  openObjectReader,
   urnify,
   deurnify,
-} = require("../services/aps.js");
+  parseObjectId,
+} = require("../services/storage.js");
+const { listDownloadableDerivatives } = require("../services/translation.js");
+const { DOWNLOAD_URL_EXPIRATION } = require("../config.js");
+const {
+  getTranslationStatus,
+  watchTranslation,
+} = require("../services/progress.js");
+const {
+  getViewables,
+  getObjectTree,
+  queryProperties,
+  getThumbnail,
+  getViewableThumbnail,
+} = require("../services/metadata.js");
+const { queryModels } = require("../services/catalog.js");
+const {
+  getDefaultViewable,
+  setDefaultViewable,
+  clearDefaultViewable,
+} = require("../services/defaultViewables.js");
+const { ApiError } = require("../services/errors.js");
+const zip = require("../services/zip.js");
+const { sha1Files } = require("../services/hash.js");
+const { attachment } = require("../services/attachment.js");
+const {
+  storeUpload,
+  translateUpload,
+} = require("../services/deduplication.js");
+const {
+  listVersions,
+  promote,
+  addVersion,
+  deleteModel,
+  moveModel,
+  modelName,
+  checkModelName,
+} = require("../services/versions.js");
+
+/** @constant {string} Image served for models without a thumbnail */
+const THUMBNAIL_PLACEHOLDER = path.join(
+  __dirname,
+  "..",
+  "wwwroot",
+  "thumbnail-placeholder.svg"
+);
 
 let router = express.Router();
 
+/**
+ * Lists the entries of a stored zip archive and ranks its likely root design files.
+ *
+ * @param {string} urn - The URN of the archive
+ * @returns {Promise<{entries: Array<Object>, candidates: Array<string>}>} The archive contents
+ */
+async function inspectStoredArchive(urn) {
+  const { bucketKey, objectKey } = parseObjectId(urn);
+  return await zip.inspect(await openObjectReader(bucketKey, objectKey));
+}
+
 router.get("/api/models", async (req, res, next) => {
   try {
-    const bucketUrn = req.query.bucket;
-    let objects;
-
-    if (bucketUrn) {
-      const bucketName = deurnify(bucketUrn);
-      objects = await listObjects(bucketName);
-    } else {
-      objects = await listObjects();
-    }
-
+    const { bucket, search, sort, order, limit, cursor, status } = req.query;
     res.json(
-      objects.map((obj) => ({
-        name: obj.objectKey,
-        urn: urnify(obj.objectId),
-      }))
+      await queryModels(bucket ? deurnify(bucket) : undefined, {
+        search,
+        sort,
+        order,
+        limit,
+        cursor,
+        status: status === "true",
+      })
     );
   } catch (error) {
     next(error);
@@ -36,27 +93,7 @@ router.get("/api/models", async (req, res, next) => {
 
 router.get("/api/models/:urn/status", async (req, res, next) => {
   try {
-    const manifest = await getManifest(req.params.urn);
-    if (manifest) {
-      let messages = [];
-      if (manifest.derivatives) {
-        for (const derivative of manifest.derivatives) {
-          messages = messages.concat(derivative.messages || []);
-          if (derivative.children) {
-            for (const child of derivative.children) {
-              messages = messages.concat(child.messages || []);
-            }
-          }
-        }
-        res.json({
-          status: manifest.status,
-          progress: manifest.progress,
-          messages,
-        });
-      }
-    } else {
-      res.json({ status: "n/a" });
-    }
+    res.json(await getTranslationStatus(req.params.urn));
   } catch (error) {
     next(error);
   }
@@ -68,7 +105,13 @@ router.post(
   async (req, res, next) => {
     const file = req.files["model-file"];
     if (!file) {
-      res.status(400).send("The required field 'model-file' is missing.");
+      next(
+        new ApiError(
+          400,
+          "MODEL_FILE_REQUIRED",
+          "The required field 'model-file' is missing."
+        )
+      );
       return;
     }
 
@@ -80,19 +123,420 @@ router.post(
         console.log(`Uploading to bucket: ${bucketName}`);
       }
 
-      const obj = await uploadObject(file.name, file.path, bucketName);
-      await translateObject(
-        urnify(obj.objectId),
-        req.fields["model-zip-entrypoint"]
+      let settings = {};
+      if (req.fields["translation-settings"]) {
+        try {
+          settings = JSON.parse(req.fields["translation-settings"]);
+        } catch {
+          throw new ApiError(
+            400,
+            "INVALID_TRANSLATION_SETTINGS",
+            "The field 'translation-settings' must be valid JSON."
+          );
+        }
+      }
+      if (zip.isArchive(file.name)) {
+        zip.checkRootFilename(
+          await zip.inspect(await zip.fileReader(file.path)),
+          req.fields["model-zip-entrypoint"]
+        );
+      }
+      const sha1 = await sha1Files([file.path]);
+      const { object, name, upload, version } = await storeUpload({
+        bucketKey: bucketName,
+        name: file.name,
+        sha1,
+        size: file.size,
+        store: (objectKey) =>
+          uploadObject(objectKey, file.path, bucketName, { sha1 }),
+        onDuplicate: req.fields["on-duplicate"],
+        uploader: req.fields.uploader,
+        comment: req.fields.comment,
+      });
+      const urn = urnify(object.objectId);
+      const translation = await translateUpload(
+        urn,
+        upload,
+        req.fields["model-zip-entrypoint"],
+        settings
       );
       res.json({
-        name: obj.objectKey,
-        urn: urnify(obj.objectId),
+        name,
+        urn,
+        upload,
+        version,
+        sha1,
+        translation,
       });
     } catch (error) {
       next(error);
+    } finally {
+      await fsp.rm(file.path, { force: true });
+    }
+  }
+);
+
+router.get("/api/models/:name/versions", async (req, res, next) => {
+  try {
+    const bucketUrn = req.query.bucket;
+    res.json(
+      await listVersions(
+        bucketUrn ? deurnify(bucketUrn) : undefined,
+        req.params.name
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post(
+  "/api/models/:name/versions/:version/promote",
+  async (req, res, next) => {
+    try {
+      const bucketUrn = req.query.bucket;
+      res.json(
+        await promote(
+          bucketUrn ? deurnify(bucketUrn) : undefined,
+          req.params.name,
+          parseInt(req.params.version, 10)
+        )
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post("/api/models/:urn/translate", async (req, res, next) => {
+  try {
+    const { formats, rootFilename, force } = req.body ?? {};
+    if (zip.isArchive(parseObjectId(req.params.urn).objectKey)) {
+      zip.checkRootFilename(
+        await inspectStoredArchive(req.params.urn),
+        rootFilename
+      );
+    }
+    const result = await translateObject(req.params.urn, rootFilename, {
+      formats,
+      force: !!force,
+    });
+    watchTranslation(req.params.urn);
+    res.json({ urn: req.params.urn, result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/models/:urn/archive", async (req, res, next) => {
+  try {
+    if (!zip.isArchive(parseObjectId(req.params.urn).objectKey)) {
+      throw new ApiError(400, "INVALID_ZIP", "The model is not a zip archive.");
+    }
+    res.json(await inspectStoredArchive(req.params.urn));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/models/:urn/derivatives", async (req, res, next) => {
+  try {
+    const manifest = await getManifest(req.params.urn);
+    res.json(listDownloadableDerivatives(manifest));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/models/:urn/derivatives/download", async (req, res, next) => {
+  try {
+    const manifest = await getManifest(req.params.urn);
+    const derivative = listDownloadableDerivatives(manifest).find(
+      (d) => d.urn === req.query.urn
+    );
+    if (!derivative) {
+      throw new ApiError(
+        404,
+        "DERIVATIVE_NOT_FOUND",
+        "Derivative not found in the model's manifest."
+      );
+    }
+
+    const download = await openDerivative(req.params.urn, derivative.urn);
+    res.set({
+      "Content-Type": download.contentType || "application/octet-stream",
+      "Content-Disposition": attachment(derivative.name),
+    });
+    if (download.size) {
+      res.set("Content-Length", download.size);
+    }
+    download.stream.on("error", (error) => {
+      console.error("Derivative download failed:", error.message);
+      res.destroy(error);
+    });
+    download.stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/models/:urn/thumbnail", async (req, res, next) => {
+  try {
+    const width = req.query.width ? parseInt(req.query.width, 10) : 200;
+    const thumbnail = await getThumbnail(req.params.urn, width);
+    res.set("Cache-Control", "no-cache");
+    if (!thumbnail) {
+      res.sendFile(THUMBNAIL_PLACEHOLDER);
+      return;
+    }
+    res.type(thumbnail.contentType).send(thumbnail.data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/models/:urn/viewables", async (req, res, next) => {
+  try {
+    res.json(await getViewables(req.params.urn));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/models/:urn/viewables/default", async (req, res, next) => {
+  try {
+    res.json(await getDefaultViewable(req.params.urn));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/api/models/:urn/viewables/default", async (req, res, next) => {
+  try {
+    res.json(await setDefaultViewable(req.params.urn, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/models/:urn/viewables/default", async (req, res, next) => {
+  try {
+    await clearDefaultViewable(req.params.urn);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get(
+  "/api/models/:urn/viewables/:guid/thumbnail",
+  async (req, res, next) => {
+    try {
+      const width = req.query.width ? parseInt(req.query.width, 10) : 200;
+      const thumbnail = await getViewableThumbnail(
+        req.params.urn,
+        req.params.guid,
+        width
+      );
+      if (!thumbnail) {
+        res.sendFile(THUMBNAIL_PLACEHOLDER);
+        return;
+      }
+      res.type(thumbnail.contentType).send(thumbnail.data);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get("/api/models/:urn/viewables/:guid/tree", async (req, res, next) => {
+  try {
+    const tree = await getObjectTree(req.params.urn, req.params.guid);
+    if (tree.isProcessing) {
+      res.status(202).json({ status: "processing" });
+      return;
+    }
+    res.json(tree.objects);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get(
+  "/api/models/:urn/viewables/:guid/properties",
+  async (req, res, next) => {
+    try {
+      const { isProcessing, ...page } = await queryProperties(
+        req.params.urn,
+        req.params.guid,
+        req.query
+      );
+      if (isProcessing) {
+        res.status(202).json({ status: "processing" });
+        return;
+      }
+      res.json(page);
+    } catch (error) {
+      next(error);
     }
   }
 );
 
+router.get("/api/models/:urn/download", async (req, res, next) => {
+  try {
+    const { bucketKey, objectKey } = parseObjectId(req.params.urn);
+    const minutes = Math.min(
+      60,
+      Math.max(1, parseInt(req.query.minutes, 10) || DOWNLOAD_URL_EXPIRATION)
+    );
+    const download = await getDownloadUrl(bucketKey, objectKey, minutes);
+    res.json({ name: modelName(objectKey), ...download });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/models/:urn", async (req, res, next) => {
+  try {
+    const { bucketKey, objectKey } = parseObjectId(req.params.urn);
+    const deleteDerivatives = req.query.derivatives === "true";
+    const name = modelName(objectKey);
+    const versions = await deleteModel(bucketKey, name, deleteDerivatives);
+    res.json({
+      name,
+      urn: req.params.urn,
+      versionsDeleted: versions,
+      derivativesDeleted: deleteDerivatives,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Copies a model version to a new name and/or bucket, or moves the whole model there.
+ * A copy becomes the current version of the target model; a move carries over every version,
+ * see moveModel. The new current version is translated so that it can be viewed right away,
+ * and so are the older versions of a moved model, as derivatives do not move with their objects.
+ *
+ * @param {string} urn - The URN of the source model version
+ * @param {Object} options - Relocation options
+ * @param {string} options.bucketKey - The target bucket
+ * @param {string} options.name - The target model name
+ * @param {boolean} [options.move] - Whether to move the model with all of its versions
+ * @param {boolean} [options.deleteDerivatives] - Whether to delete the source manifests afterwards
+ * @param {string} [options.rootFilename] - The main design file if the model is a zip archive
+ * @returns {Promise<Object>} Name, URN and version of the new model version
+ */
+async function relocateModel(urn, options) {
+  checkModelName(options.name);
+  const source = parseObjectId(urn);
+  const sourceName = modelName(source.objectKey);
+  const {
+    object,
+    version,
+    moved = [],
+  } = options.move
+    ? await moveModel(
+        source.bucketKey,
+        sourceName,
+        options.bucketKey,
+        options.name,
+        options.deleteDerivatives
+      )
+    : await addVersion(
+        options.bucketKey,
+        options.name,
+        (objectKey) =>
+          copyObject(
+            source.bucketKey,
+            source.objectKey,
+            options.bucketKey,
+            objectKey
+          ),
+        { comment: `Copied from ${sourceName}` }
+      );
+  const newUrn = urnify(object.objectId);
+  await translateObject(newUrn, options.rootFilename);
+  for (const older of moved.filter((entry) => entry.version !== version)) {
+    // The move itself has succeeded, so an older version that cannot be translated can
+    // still be translated later, like any other model
+    await translateObject(
+      urnify(older.object.objectId),
+      options.rootFilename
+    ).catch((error) => {
+      console.error(
+        `Could not translate version ${older.version} of '${options.name}': ${error.message}`
+      );
+    });
+  }
+  if (!options.move && options.deleteDerivatives) {
+    await deleteManifest(urn);
+  }
+  return { name: options.name, urn: newUrn, version };
+}
+
+router.post("/api/models/:urn/copy", async (req, res, next) => {
+  try {
+    const source = parseObjectId(req.params.urn);
+    const { bucket, name, move, deleteDerivatives, rootFilename } =
+      req.body ?? {};
+    const bucketKey = bucket ? deurnify(bucket) : source.bucketKey;
+    const sourceName = modelName(source.objectKey);
+    const targetName = name || sourceName;
+    if (bucketKey === source.bucketKey && targetName === sourceName) {
+      throw new ApiError(
+        400,
+        "INVALID_TARGET",
+        "The target bucket or name must differ from the source."
+      );
+    }
+
+    res.json(
+      await relocateModel(req.params.urn, {
+        bucketKey,
+        name: targetName,
+        move: !!move,
+        deleteDerivatives: !!deleteDerivatives,
+        rootFilename,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/api/models/:urn/rename", async (req, res, next) => {
+  try {
+    const source = parseObjectId(req.params.urn);
+    const { name, deleteDerivatives, rootFilename } = req.body ?? {};
+    if (!name) {
+      throw new ApiError(
+        400,
+        "MODEL_NAME_REQUIRED",
+        "New model name is required."
+      );
+    }
+    if (name === modelName(source.objectKey)) {
+      throw new ApiError(
+        400,
+        "INVALID_TARGET",
+        "The new name must differ from the current one."
+      );
+    }
+
+    res.json(
+      await relocateModel(req.params.urn, {
+        bucketKey: source.bucketKey,
+        name,
+        move: true,
+        deleteDerivatives: !!deleteDerivatives,
+        rootFilename,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,44 @@
+const express = require("express");
+const {
+  listViews,
+  getView,
+  createView,
+  deleteView,
+} = require("../services/savedViews.js");
+
+let router = express.Router();
+
+router.get("/api/models/:urn/views", async (req, res, next) => {
+  try {
+    res.json(await listViews(req.params.urn));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/api/models/:urn/views", async (req, res, next) => {
+  try {
+    res.status(201).json(await createView(req.params.urn, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/models/:urn/views/:id", async (req, res, next) => {
+  try {
+    res.json(await getView(req.params.urn, req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/models/:urn/views/:id", async (req, res, next) => {
+  try {
+    await deleteView(req.params.urn, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
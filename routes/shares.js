@@ -0,0 +1,134 @@
+const express = require("express");
+const path = require("path");
+const {
+  createShare,
+  listShares,
+  revokeShare,
+  openShare,
+  isSharedResource,
+  isCdnManifest,
+  recordCdnRoots,
+} = require("../services/shares.js");
+const { fetchViewerData } = require("../services/storage.js");
+const { ApiError } = require("../services/errors.js");
+const { getTranslationStatus } = require("../services/progress.js");
+
+/** @constant {string} Page showing a shared model */
+const SHARE_PAGE = path.join(__dirname, "..", "wwwroot", "share.html");
+
+let router = express.Router();
+
+router.get("/api/models/:urn/shares", async (req, res, next) => {
+  try {
+    res.json(await listShares(req.params.urn));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/api/models/:urn/shares", async (req, res, next) => {
+  try {
+    res.status(201).json(await createShare(req.params.urn, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/models/:urn/shares/:token", async (req, res, next) => {
+  try {
+    await revokeShare(req.params.urn, req.params.token);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Public endpoints of the share page
+
+/**
+ * Reads the password a share page sends, URI-encoded as headers only carry ASCII text.
+ *
+ * @param {Object} req - The request
+ * @returns {string|undefined} The password, if any
+ */
+function sharePassword(req) {
+  const header = req.get("X-Share-Password");
+  try {
+    return header && decodeURIComponent(header);
+  } catch {
+    return header;
+  }
+}
+
+router.get("/api/share/:token", async (req, res, next) => {
+  try {
+    const share = await openShare(req.params.token, sharePassword(req));
+    const { region } = await getTranslationStatus(share.urn);
+    res.json({
+      urn: share.urn,
+      name: share.name,
+      expiresAt: share.expiresAt,
+      region,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The viewer of the share page reads the shared model through here; the link is checked
+// on every request, so the model is no longer readable once it expires or is revoked.
+// SVF2 manifests are always read in full, as the CDN paths they list are recorded on the way.
+router.get("/api/share/:token/viewer/*path", async (req, res, next) => {
+  try {
+    const share = await openShare(req.params.token, sharePassword(req));
+    const marker = "/viewer/";
+    const resourcePath = req.originalUrl.slice(
+      req.originalUrl.indexOf(marker) + marker.length - 1
+    );
+    if (!isSharedResource(share, resourcePath)) {
+      throw new ApiError(
+        403,
+        "SHARE_RESOURCE_FORBIDDEN",
+        "This share link only gives access to the shared model."
+      );
+    }
+    const cdnManifest = isCdnManifest(resourcePath);
+    const headers = { ...req.headers };
+    if (cdnManifest) {
+      delete headers["if-none-match"];
+    }
+    const data = await fetchViewerData(resourcePath, headers);
+    res.status(data.status).set(data.headers);
+    if (cdnManifest && data.status === 200 && data.stream) {
+      const chunks = [];
+      for await (const chunk of data.stream) {
+        chunks.push(chunk);
+      }
+      const body = Buffer.concat(chunks);
+      try {
+        recordCdnRoots(share, JSON.parse(body.toString("utf8")));
+      } catch (error) {
+        console.error("Shared SVF2 manifest is unreadable:", error.message);
+      }
+      res.end(body);
+      return;
+    }
+    if (!data.stream) {
+      res.end();
+      return;
+    }
+    data.stream.on("error", (error) => {
+      console.error("Shared model data failed:", error.message);
+      res.destroy(error);
+    });
+    data.stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/share/:token", (req, res) => {
+  res.sendFile(SHARE_PAGE);
+});
+
+module.exports = router;
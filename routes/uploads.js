@@ -0,0 +1,132 @@
+const express = require("express");
+const {
+  createSession,
+  getSession,
+  writePart,
+  completeSession,
+  deleteSession,
+  inspectArchive,
+} = require("../services/uploads.js");
+const { normalizeFormats } = require("../services/translation.js");
+const { publish, watchTranslation } = require("../services/progress.js");
+const { translateUpload } = require("../services/deduplication.js");
+const { checkModelName } = require("../services/versions.js");
+const { urnify, deurnify } = require("../services/storage.js");
+const { ApiError } = require("../services/errors.js");
+
+let router = express.Router();
+
+router.post("/api/uploads", async (req, res, next) => {
+  try {
+    const { bucket, name, size, rootFilename, translation, uploader, comment } =
+      req.body;
+    if (!bucket || !name) {
+      throw new ApiError(
+        400,
+        "UPLOAD_TARGET_REQUIRED",
+        "Bucket URN and model name are required."
+      );
+    }
+    checkModelName(name);
+    if (!Number.isInteger(size) || size < 0) {
+      throw new ApiError(
+        400,
+        "INVALID_FILE_SIZE",
+        "File size must be a non-negative integer."
+      );
+    }
+    if (translation) {
+      normalizeFormats(translation.formats);
+    }
+
+    res.json(
+      await createSession({
+        bucketKey: deurnify(bucket),
+        objectKey: name,
+        size,
+        rootFilename,
+        translation,
+        uploader,
+        comment,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/uploads/:id", async (req, res, next) => {
+  try {
+    res.json(await getSession(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/api/uploads/:id/parts/:index", async (req, res, next) => {
+  try {
+    res.json(
+      await writePart(
+        req.params.id,
+        parseInt(req.params.index, 10),
+        req,
+        req.headers["content-length"]
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/api/uploads/:id/archive", async (req, res, next) => {
+  try {
+    res.json(await inspectArchive(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/api/uploads/:id/complete", async (req, res, next) => {
+  try {
+    const { object, name, upload, version, session, sha1 } =
+      await completeSession(
+        req.params.id,
+        req.body?.rootFilename,
+        req.body?.onDuplicate
+      );
+    const urn = urnify(object.objectId);
+    const translation = await translateUpload(
+      urn,
+      upload,
+      session.rootFilename,
+      session.translation
+    );
+    publish(`upload:${session.id}`, {
+      type: "complete",
+      name,
+      urn,
+    });
+    watchTranslation(urn);
+    res.json({
+      name,
+      urn,
+      upload,
+      version,
+      sha1,
+      translation,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/api/uploads/:id", async (req, res, next) => {
+  try {
+    await deleteSession(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,29 @@
 const express = require("express");
 const path = require("path");
 
-const { PORT } = require("./config.js");
+const { PORT, STORAGE_BACKEND } = require("./config.js");
+const { requestId, notFound, errorHandler } = require("./middleware/errors.js");
 
 const app = express();
 
+app.use(requestId);
 app.use(express.static(path.join(__dirname, "wwwroot")));
-app.use(express.json()); // Add JSON parsing middleware
+app.use(express.json({ limit: "2mb" })); // Markup drawings can exceed the default 100 KB
 
 app.use(require("./routes/auth.js"));
 app.use(require("./routes/buckets.js"));
 app.use(require("./routes/models.js"));
+app.use(require("./routes/uploads.js"));
+app.use(require("./routes/events.js"));
+app.use(require("./routes/federations.js"));
+app.use(require("./routes/annotations.js"));
+app.use(require("./routes/savedViews.js"));
+app.use(require("./routes/shares.js"));
+if (STORAGE_BACKEND === "local") {
+  app.use(require("./routes/local.js"));
+}
+app.use("/api", notFound);
+app.use(errorHandler);
 
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Annotations: review comments on a model, each with an optional markup drawing
+ * (freehand, arrows, text, clouds), the camera state it was drawn in, and an open/resolved status.
+ * Annotations belong to the URN they were made on, so every version of a model has its own.
+ */
+
+const crypto = require("crypto");
+const records = require("./records.js");
+const { ApiError } = require("./errors.js");
+
+/** @constant {Array<string>} Statuses of annotations */
+const STATUSES = ["open", "resolved"];
+
+/** @constant {number} Maximum length of annotation texts */
+const MAX_TEXT_LENGTH = 2000;
+
+/** @constant {Array<string>} SVG elements the markup extension draws with, in lower case */
+const MARKUP_ELEMENTS = [
+  "svg",
+  "g",
+  "defs",
+  "clippath",
+  "metadata",
+  "markup_document",
+  "markup_element",
+  "title",
+  "desc",
+  "path",
+  "rect",
+  "circle",
+  "ellipse",
+  "line",
+  "polyline",
+  "polygon",
+  "text",
+  "tspan",
+];
+
+/** @constant {RegExp} A start or end tag with quoted attribute values, at the current position */
+const MARKUP_TAG =
+  /<\/?([A-Za-z_][-\w.:]*)((?:\s+[A-Za-z_:][-\w.:]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*\/?>/y;
+
+/** @constant {RegExp} An attribute of a tag matched by MARKUP_TAG */
+const MARKUP_ATTRIBUTE = /([A-Za-z_:][-\w.:]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/** @constant {RegExp} Attribute values that could run scripts or load other resources */
+const UNSAFE_VALUE = /javascript:|url\s*\(|expression\s*\(/i;
+
+/** @namespace annotations - Exported annotation functions */
+const annotations = (module.exports = {});
+
+annotations.STATUSES = STATUSES;
+
+function collection(urn) {
+  return `annotations-${crypto.createHash("sha1").update(urn).digest("hex")}`;
+}
+
+function invalid(message) {
+  return new ApiError(400, "INVALID_ANNOTATION", message);
+}
+
+function normalizeValue(value) {
+  // Character references beyond Unicode are invalid, and decode to nothing here
+  const character = (code) =>
+    code <= 0x10ffff ? String.fromCodePoint(code) : "";
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => character(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, dec) => character(Number(dec)))
+    .replace(/&colon;/gi, ":")
+    .replace(/\s+/g, "");
+}
+
+/**
+ * Checks that markup is an SVG document made only of the shapes the markup extension draws.
+ * Markup is shown to everyone viewing the model, so anything that could run scripts, such as
+ * script or foreignObject elements, event handler attributes and links, is rejected rather
+ * than cleaned up, as is anything the check cannot parse: comments, CDATA sections and
+ * processing instructions.
+ *
+ * @param {string} markup - The markup
+ * @throws {ApiError} With status 400 if the markup is not allowed
+ */
+function checkMarkup(markup) {
+  const source = markup.trim();
+  if (!/^<svg[\s/>]/i.test(source)) {
+    throw invalid("Markup must be an SVG document.");
+  }
+  for (let start = source.indexOf("<"); start >= 0; ) {
+    MARKUP_TAG.lastIndex = start;
+    const tag = MARKUP_TAG.exec(source);
+    if (!tag) {
+      throw invalid("Markup must only contain SVG elements.");
+    }
+    const [, name, attributes] = tag;
+    if (!MARKUP_ELEMENTS.includes(name.toLowerCase())) {
+      throw invalid(`Markup must not contain <${name}> elements.`);
+    }
+    for (const [, attribute, doubleQuoted, singleQuoted] of attributes.matchAll(
+      MARKUP_ATTRIBUTE
+    )) {
+      const value = doubleQuoted ?? singleQuoted;
+      if (
+        /^on/i.test(attribute) ||
+        /(^|:)href$/i.test(attribute) ||
+        UNSAFE_VALUE.test(normalizeValue(value))
+      ) {
+        throw invalid(`Markup attribute '${attribute}' is not allowed.`);
+      }
+    }
+    start = source.indexOf("<", MARKUP_TAG.lastIndex);
+  }
+}
+
+function notFound(id) {
+  return new ApiError(
+    404,
+    "ANNOTATION_NOT_FOUND",
+    `Annotation '${id}' not found.`
+  );
+}
+
+/**
+ * Validates the fields of an annotation submitted by a client.
+ * Only the given fields are checked, so the result can update an existing annotation.
+ *
+ * @param {Object} input - The fields
+ * @param {string} [input.text] - The comment
+ * @param {string} [input.markup] - The markup drawing as SVG, as generated by the viewer
+ * @param {Object} [input.camera] - The viewer state the markup was drawn in
+ * @param {string} [input.status] - "open" or "resolved"
+ * @returns {Object} The valid fields
+ * @throws {ApiError} With status 400 if a field is invalid
+ */
+function validate({ text, markup, camera, status }) {
+  const fields = {};
+  if (text !== undefined) {
+    if (typeof text !== "string" || text.length > MAX_TEXT_LENGTH) {
+      throw invalid(
+        `Annotation text must be a string of at most ${MAX_TEXT_LENGTH} characters.`
+      );
+    }
+    fields.text = text.trim();
+  }
+  if (markup !== undefined && markup !== null) {
+    if (typeof markup !== "string") {
+      throw invalid("Markup must be an SVG document.");
+    }
+    checkMarkup(markup);
+    fields.markup = markup;
+  }
+  if (camera !== undefined && camera !== null) {
+    if (typeof camera !== "object" || Array.isArray(camera)) {
+      throw invalid("Camera must be a viewer state object.");
+    }
+    fields.camera = camera;
+  }
+  if (status !== undefined) {
+    if (!STATUSES.includes(status)) {
+      throw invalid(`Status must be one of: ${STATUSES.join(", ")}.`);
+    }
+    fields.status = status;
+  }
+  return fields;
+}
+
+/**
+ * Lists the annotations of a model.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {Object} [filter] - Filter options
+ * @param {string} [filter.status] - Only list annotations with this status
+ * @returns {Promise<Array<Object>>} The annotations, oldest first
+ * @throws {ApiError} With status 400 if the status filter is invalid
+ */
+annotations.listAnnotations = async (urn, { status } = {}) => {
+  if (status !== undefined && !STATUSES.includes(status)) {
+    throw invalid(`Status must be one of: ${STATUSES.join(", ")}.`);
+  }
+  const all = await records.list(collection(urn));
+  return all
+    .filter((annotation) => !status || annotation.status === status)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Returns an annotation of a model.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} id - The ID of the annotation
+ * @returns {Promise<Object>} The annotation with `id`, `urn`, `author`, `text`, `markup`,
+ *   `camera`, `status`, `createdAt` and `updatedAt`
+ * @throws {ApiError} With status 404 if the annotation does not exist
+ */
+annotations.getAnnotation = async (urn, id) => {
+  const annotation = await records.get(collection(urn), id);
+  if (!annotation) {
+    throw notFound(id);
+  }
+  return annotation;
+};
+
+/**
+ * Adds an annotation to a model. New annotations are open unless stated otherwise.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {Object} input - The annotation, see validate
+ * @param {string} [input.author] - Who made the annotation
+ * @returns {Promise<Object>} The saved annotation
+ * @throws {ApiError} With status 400 if the annotation is invalid or has neither text nor markup
+ */
+annotations.createAnnotation = async (urn, input = {}) => {
+  const fields = validate(input);
+  if (!fields.text && !fields.markup) {
+    throw invalid("An annotation needs a text or a markup.");
+  }
+  const now = new Date().toISOString();
+  const annotation = {
+    id: crypto.randomUUID(),
+    urn,
+    author: typeof input.author === "string" ? input.author.trim() : null,
+    text: "",
+    markup: null,
+    camera: null,
+    status: "open",
+    ...fields,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await records.put(collection(urn), annotation.id, annotation);
+  return annotation;
+};
+
+/**
+ * Changes the text, markup, camera or status of an annotation.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} id - The ID of the annotation
+ * @param {Object} input - The fields to change, see validate
+ * @returns {Promise<Object>} The saved annotation
+ * @throws {ApiError} With status 404 if the annotation does not exist, 400 if a field is invalid
+ */
+annotations.updateAnnotation = async (urn, id, input = {}) => {
+  const annotation = await annotations.getAnnotation(urn, id);
+  const updated = {
+    ...annotation,
+    ...validate(input),
+    updatedAt: new Date().toISOString(),
+  };
+  await records.put(collection(urn), id, updated);
+  return updated;
+};
+
+/**
+ * Deletes an annotation.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} id - The ID of the annotation
+ * @returns {Promise<void>}
+ * @throws {ApiError} With status 404 if the annotation does not exist
+ */
+annotations.deleteAnnotation = async (urn, id) => {
+  if (!(await records.remove(collection(urn), id))) {
+    throw notFound(id);
+  }
+};
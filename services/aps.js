@@ -3,81 +3,146 @@
  * Provides functions for authentication, bucket management, object storage, and model translation.
  */
 
-const { AuthenticationClient, Scopes } = require("@aps_sdk/authentication");
-const { OssClient, Region, PolicyKey } = require("@aps_sdk/oss");
-const {
-  ModelDerivativeClient,
-  View,
-  OutputType,
-} = require("@aps_sdk/model-derivative");
-const { APS_CLIENT_ID, APS_CLIENT_SECRET } = require("../config.js");
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { Scopes } = require("@aps_sdk/authentication");
+const { OssClient, PolicyKey, With } = require("@aps_sdk/oss");
+const { ModelDerivativeClient } = require("@aps_sdk/model-derivative");
+const { UPLOAD_PART_SIZE } = require("../config.js");
+const tokens = require("./tokens.js");
+const cache = require("./cache.js");
+const { normalizeFormats } = require("./translation.js");
+const { urnify, deurnify, parseObjectId } = require("./urn.js");
+const { REGIONS, DEFAULT_REGION } = require("./regions.js");
+const { ApiError, upstreamStatus, fromUpstream } = require("./errors.js");
+const { withRetry } = require("./retry.js");
+const { fileReader } = require("./zip.js");
+const { attachment } = require("./attachment.js");
 
 /** @constant {string} Default bucket name for the application */
 const APS_BUCKET = `the-captain-basic-app`;
 
-const authenticationClient = new AuthenticationClient();
+/** @constant {number} Maximum number of signed upload URLs OSS returns per request */
+const MAX_SIGNED_URLS = 25;
+
+/** @constant {string} APS host streaming manifests and derivatives to the viewer */
+const VIEWER_DATA_HOST = "https://cdn.derivative.autodesk.com";
+
+/** @constant {Array<string>} Viewer request headers passed on when reading viewer data */
+const VIEWER_REQUEST_HEADERS = ["accept", "range", "if-none-match"];
+
+/** @constant {Array<string>} Response headers passed back to the viewer */
+const VIEWER_RESPONSE_HEADERS = [
+  "content-type",
+  "content-range",
+  "accept-ranges",
+  "cache-control",
+  "etag",
+];
+
 const ossClient = new OssClient();
 const modelDerivativeClient = new ModelDerivativeClient();
 
+/** @type {Map<string, string>} Regions of the buckets seen so far, keyed by bucket key */
+const bucketRegions = new Map();
+
 /** @namespace service - Exported service functions */
 const service = (module.exports = {});
 
+/** @constant {Array<string>} Scopes used for server-side bucket and data operations */
+const INTERNAL_SCOPES = [
+  Scopes.DataRead,
+  Scopes.DataCreate,
+  Scopes.DataWrite,
+  Scopes.BucketCreate,
+  Scopes.BucketRead,
+  Scopes.BucketDelete,
+  Scopes.BucketUpdate,
+];
+
+/** @constant {Array<string>} Scopes handed to the client-side viewer */
+const VIEWER_SCOPES = [Scopes.ViewablesRead];
+
 /**
  * Retrieves an internal access token for server-to-server authentication.
  * Includes comprehensive scopes for bucket and data operations.
+ * Tokens are cached and refreshed by the token manager.
  *
  * @returns {Promise<string>} The access token
  */
 async function getInternalToken() {
-  const credentials = await authenticationClient.getTwoLeggedToken(
-    APS_CLIENT_ID,
-    APS_CLIENT_SECRET,
-    [
-      Scopes.DataRead,
-      Scopes.DataCreate,
-      Scopes.DataWrite,
-      Scopes.BucketCreate,
-      Scopes.BucketRead,
-      Scopes.BucketDelete,
-      Scopes.BucketUpdate,
-    ]
-  );
+  const credentials = await tokens.getToken(INTERNAL_SCOPES);
+  return credentials.access_token;
+}
+
+/**
+ * Retrieves an access token limited to reading viewables, for reading viewer data on behalf
+ * of the viewers. It never leaves the server.
+ *
+ * @returns {Promise<string>} The access token
+ */
+async function getViewerToken() {
+  const credentials = await tokens.getToken(VIEWER_SCOPES);
   return credentials.access_token;
 }
 
 /**
- * Retrieves a viewer token for client-side authentication.
- * Used by the frontend viewer for accessing viewable content.
+ * Returns the region of a bucket, listing the buckets of all regions if it is not known yet.
+ * Buckets the application cannot list, such as those of other applications, are assumed to be in the US.
  *
- * @returns {Promise<Object>} Token object with access_token and expires_in
+ * @param {string} bucketKey - The bucket key
+ * @returns {Promise<string>} The region of the bucket
  */
-service.getViewerToken = async () => {
-  return await authenticationClient.getTwoLeggedToken(
-    APS_CLIENT_ID,
-    APS_CLIENT_SECRET,
-    [Scopes.ViewablesRead]
-  );
-};
+async function getBucketRegion(bucketKey) {
+  if (!bucketRegions.has(bucketKey)) {
+    await service.listBuckets();
+  }
+  if (!bucketRegions.has(bucketKey)) {
+    bucketRegions.set(bucketKey, DEFAULT_REGION);
+  }
+  return bucketRegions.get(bucketKey);
+}
+
+/**
+ * Returns the region whose Model Derivative endpoint holds the derivatives of an object.
+ *
+ * @param {string} urn - The URN of the object
+ * @returns {Promise<string>} The region of the object's bucket
+ */
+async function getModelRegion(urn) {
+  return await getBucketRegion(parseObjectId(urn).bucketKey);
+}
 
 /**
  * Ensures that a bucket exists, creating it if necessary.
  * Checks for bucket existence and creates with persistent policy if not found.
  *
  * @param {string} bucketKey - The key/name of the bucket
+ * @param {string} [region=DEFAULT_REGION] - The region to create the bucket in
  * @returns {Promise<void>}
  * @throws {Error} If bucket creation fails for reasons other than 404
  */
-service.ensureBucketExists = async (bucketKey) => {
+service.ensureBucketExists = async (bucketKey, region = DEFAULT_REGION) => {
   const accessToken = await getInternalToken();
   try {
-    await ossClient.getBucketDetails(bucketKey, { accessToken });
+    await withRetry("OSS getBucketDetails", () =>
+      ossClient.getBucketDetails(bucketKey, { accessToken })
+    );
   } catch (error) {
-    if (error.axiosError.response.status === 404) {
-      await ossClient.createBucket(
-        Region.Us,
-        { bucketKey: bucketKey, policyKey: PolicyKey.Persistent },
-        { accessToken }
+    if (upstreamStatus(error) === 404) {
+      await withRetry(
+        "OSS createBucket",
+        () =>
+          ossClient.createBucket(
+            region,
+            { bucketKey: bucketKey, policyKey: PolicyKey.Persistent },
+            { accessToken }
+          ),
+        { idempotent: false }
       );
+      bucketRegions.set(bucketKey, region);
     } else {
       throw error;
     }
@@ -87,32 +152,130 @@ service.ensureBucketExists = async (bucketKey) => {
 /**
  * Lists all buckets accessible to the current application.
  * Handles pagination to retrieve all available buckets.
+ * OSS lists the buckets of one region at a time, so every supported region is queried.
  *
- * @returns {Promise<Array<Object>>} Array of bucket objects
+ * @returns {Promise<Array<Object>>} Array of bucket objects, each with its `region`
  */
 service.listBuckets = async () => {
   const accessToken = await getInternalToken();
-  let response = await ossClient.getBuckets({
-    limit: 64,
-    accessToken,
-  });
-  let buckets = response.items;
-  while (response.next) {
-    const startAt = new URL(response.next).searchParams.get("startAt");
-    response = await ossClient.getBuckets({
-      limit: 64,
-      startAt,
-      accessToken,
-    });
-    buckets = buckets.concat(response.items);
+  let buckets = [];
+  for (const region of REGIONS) {
+    let response = await withRetry("OSS getBuckets", () =>
+      ossClient.getBuckets({
+        region,
+        limit: 64,
+        accessToken,
+      })
+    );
+    let items = response.items;
+    while (response.next) {
+      const startAt = new URL(response.next).searchParams.get("startAt");
+      response = await withRetry("OSS getBuckets", () =>
+        ossClient.getBuckets({
+          region,
+          limit: 64,
+          startAt,
+          accessToken,
+        })
+      );
+      items = items.concat(response.items);
+    }
+    for (const bucket of items) {
+      bucketRegions.set(bucket.bucketKey, region);
+      buckets.push({ ...bucket, region });
+    }
   }
   console.log("Buckets:", buckets);
   return buckets;
 };
 
+/**
+ * Returns the details of a bucket along with the number and total size of its objects,
+ * counted across all pages of the object listing.
+ *
+ * @param {string} bucketKey - The bucket key
+ * @returns {Promise<Object>} The bucket with `region`, `objectCount` and `totalSize`
+ * @throws {Error} With status 404 if the bucket does not exist, or 403 if it belongs to someone else
+ */
+service.getBucketDetails = async (bucketKey) => {
+  const accessToken = await getInternalToken();
+  let bucket;
+  try {
+    bucket = await withRetry("OSS getBucketDetails", () =>
+      ossClient.getBucketDetails(bucketKey, { accessToken })
+    );
+  } catch (err) {
+    const status = upstreamStatus(err);
+    if (status === 404) {
+      throw fromUpstream(err, {
+        code: "BUCKET_NOT_FOUND",
+        message: `Bucket '${bucketKey}' not found.`,
+      });
+    }
+    if (status === 403) {
+      throw fromUpstream(err, {
+        code: "BUCKET_FORBIDDEN",
+        message: `Permission denied. Cannot access bucket '${bucketKey}'.`,
+      });
+    }
+    throw err;
+  }
+  let objectCount = 0;
+  let totalSize = 0;
+  let startAt;
+  do {
+    const page = await service.listObjectPage(bucketKey, startAt);
+    objectCount += page.items.length;
+    totalSize += page.items.reduce((sum, obj) => sum + (obj.size || 0), 0);
+    startAt = page.next;
+  } while (startAt);
+  return {
+    ...bucket,
+    region: await getBucketRegion(bucketKey),
+    objectCount,
+    totalSize,
+  };
+};
+
+/**
+ * Lists one page of the objects in a bucket, without creating the bucket if it is missing.
+ *
+ * @param {string} bucketKey - The bucket key
+ * @param {string} [startAt] - The key to continue from, as returned in `next` by the previous page
+ * @returns {Promise<Object>} The objects as `items`, and the `next` key, or null on the last page
+ * @throws {Error} With status 404 if the bucket does not exist
+ */
+service.listObjectPage = async (bucketKey, startAt) => {
+  const accessToken = await getInternalToken();
+  try {
+    const response = await withRetry("OSS getObjects", () =>
+      ossClient.getObjects(bucketKey, {
+        limit: 100,
+        startAt,
+        accessToken,
+      })
+    );
+    return {
+      items: response.items,
+      next: response.next
+        ? new URL(response.next).searchParams.get("startAt")
+        : null,
+    };
+  } catch (err) {
+    if (upstreamStatus(err) === 404) {
+      throw fromUpstream(err, {
+        code: "BUCKET_NOT_FOUND",
+        message: `Bucket '${bucketKey}' not found.`,
+      });
+    }
+    throw err;
+  }
+};
+
 /**
  * Lists all objects in a specified bucket.
  * Handles pagination to retrieve all objects and ensures bucket exists.
+ * OSS does not list upload dates; getObjectDetails reads them for single objects.
  *
  * @param {string} [bucketKey=APS_BUCKET] - The bucket key to list objects from
  * @returns {Promise<Array<Object>>} Array of object metadata
@@ -120,96 +283,291 @@ service.listBuckets = async () => {
 service.listObjects = async (bucketKey = APS_BUCKET) => {
   await service.ensureBucketExists(bucketKey);
   const accessToken = await getInternalToken();
-  let response = await ossClient.getObjects(bucketKey, {
-    limit: 64,
-    accessToken,
-  });
+  let response = await withRetry("OSS getObjects", () =>
+    ossClient.getObjects(bucketKey, {
+      limit: 64,
+      accessToken,
+    })
+  );
   let objects = response.items;
   while (response.next) {
     const startAt = new URL(response.next).searchParams.get("startAt");
-    response = await ossClient.getObjects(bucketKey, {
-      limit: 64,
-      startAt,
-      accessToken,
-    });
+    response = await withRetry("OSS getObjects", () =>
+      ossClient.getObjects(bucketKey, {
+        limit: 64,
+        startAt,
+        accessToken,
+      })
+    );
     objects = objects.concat(response.items);
   }
   return objects;
 };
 
-service.createBucket = async (bucketName) => {
+service.createBucket = async (
+  bucketName,
+  region = DEFAULT_REGION,
+  policyKey = PolicyKey.Persistent
+) => {
   const accessToken = await getInternalToken();
 
   try {
-    const bucket = await ossClient.createBucket(
-      Region.Us,
-      { bucketKey: bucketName, policyKey: PolicyKey.Persistent },
-      { accessToken }
+    const bucket = await withRetry(
+      "OSS createBucket",
+      () =>
+        ossClient.createBucket(
+          region,
+          { bucketKey: bucketName, policyKey },
+          { accessToken }
+        ),
+      { idempotent: false }
     );
-    return bucket;
+    bucketRegions.set(bucketName, region);
+    return { ...bucket, region };
   } catch (error) {
-    if (error.axiosError?.response?.status === 409) {
+    if (upstreamStatus(error) === 409) {
+      let message = `Bucket name '${bucketName}' conflicts with an existing bucket. Please choose a different name.`;
       try {
-        await ossClient.getBucketDetails(bucketName, { accessToken });
-        const conflictError = new Error(
-          `Bucket name '${bucketName}' already exists and is accessible. Please choose a different name.`
+        await withRetry("OSS getBucketDetails", () =>
+          ossClient.getBucketDetails(bucketName, { accessToken })
         );
-        conflictError.status = 409;
-        throw conflictError;
+        message = `Bucket name '${bucketName}' already exists and is accessible. Please choose a different name.`;
       } catch (detailError) {
-        if (detailError.axiosError?.response?.status === 404) {
-          const reservedError = new Error(
-            `Bucket name '${bucketName}' was recently deleted and is temporarily unavailable. Please wait a few minutes and try again, or choose a different name.`
-          );
-          reservedError.status = 409;
-          throw reservedError;
-        } else if (detailError.axiosError?.response?.status === 403) {
-          const accessError = new Error(
-            `Bucket name '${bucketName}' is already in use by another application or user. Please choose a different name.`
-          );
-          accessError.status = 409;
-          throw accessError;
-        } else {
-          const unknownError = new Error(
-            `Bucket name '${bucketName}' conflicts with an existing bucket. Please choose a different name.`
-          );
-          unknownError.status = 409;
-          throw unknownError;
+        if (upstreamStatus(detailError) === 404) {
+          message = `Bucket name '${bucketName}' was recently deleted and is temporarily unavailable. Please wait a few minutes and try again, or choose a different name.`;
+        } else if (upstreamStatus(detailError) === 403) {
+          message = `Bucket name '${bucketName}' is already in use by another application or user. Please choose a different name.`;
         }
       }
+      throw fromUpstream(error, { code: "BUCKET_EXISTS", message });
     }
     throw error;
   }
 };
 
-service.uploadObject = async (objectName, filePath, bucketKey = APS_BUCKET) => {
+/**
+ * Uploads an object through signed S3 multipart upload.
+ * Signed URLs are requested in batches, and each part is sent to S3 directly.
+ *
+ * @param {string} objectName - The name of the object to create
+ * @param {string} bucketKey - The bucket to upload to
+ * @param {number} partCount - The number of parts
+ * @param {Function} readPart - Async function returning the contents of a part, by zero-based index
+ * @param {Function} [onProgress] - Called with the number of transferred and total parts
+ * @param {Object} [metadata] - Metadata to store with the object, e.g. `{ sha1 }`
+ * @returns {Promise<Object>} Metadata of the uploaded object
+ */
+async function signedUpload(
+  objectName,
+  bucketKey,
+  partCount,
+  readPart,
+  onProgress,
+  metadata = {}
+) {
+  let uploadKey;
+  for (let first = 0; first < partCount; first += MAX_SIGNED_URLS) {
+    const accessToken = await getInternalToken();
+    const count = Math.min(MAX_SIGNED_URLS, partCount - first);
+    const signed = await withRetry("OSS signedS3Upload", () =>
+      ossClient.signedS3Upload(bucketKey, objectName, {
+        parts: count,
+        firstPart: first + 1,
+        uploadKey,
+        minutesExpiration: 60,
+        accessToken,
+      })
+    );
+    uploadKey = signed.uploadKey;
+    for (let i = 0; i < count; i++) {
+      await withRetry("S3 upload part", async () => {
+        const resp = await fetch(signed.urls[i], {
+          method: "PUT",
+          body: await readPart(first + i),
+        });
+        if (!resp.ok) {
+          throw new ApiError(
+            502,
+            "UPLOAD_FAILED",
+            `Failed to upload part ${first + i + 1} of '${objectName}'.`,
+            { service: "APS", status: resp.status, reason: resp.statusText }
+          );
+        }
+      });
+      if (onProgress) {
+        onProgress(first + i + 1, partCount);
+      }
+    }
+  }
+  const accessToken = await getInternalToken();
+  return await withRetry(
+    "OSS completeSignedS3Upload",
+    () =>
+      ossClient.completeSignedS3Upload(
+        bucketKey,
+        objectName,
+        "application/json",
+        { uploadKey },
+        {
+          xAdsUserDefinedMetadata: JSON.stringify(metadata),
+          accessToken,
+        }
+      ),
+    { idempotent: false }
+  );
+}
+
+/**
+ * Uploads a file as a new object, sending it to S3 in parts of UPLOAD_PART_SIZE bytes.
+ *
+ * @param {string} objectName - The name of the object to create
+ * @param {string} filePath - The path of the file to upload
+ * @param {string} [bucketKey=APS_BUCKET] - The bucket to upload to
+ * @param {Object} [metadata] - Metadata to store with the object, e.g. `{ sha1 }`
+ * @returns {Promise<Object>} Metadata of the uploaded object
+ */
+service.uploadObject = async (
+  objectName,
+  filePath,
+  bucketKey = APS_BUCKET,
+  metadata = {}
+) => {
+  await service.ensureBucketExists(bucketKey);
+  const reader = await fileReader(filePath);
+  return await signedUpload(
+    objectName,
+    bucketKey,
+    Math.max(1, Math.ceil(reader.size / UPLOAD_PART_SIZE)),
+    (index) => reader.read(index * UPLOAD_PART_SIZE, UPLOAD_PART_SIZE),
+    null,
+    metadata
+  );
+};
+
+/**
+ * Uploads an object from a list of part files using signed S3 multipart upload.
+ *
+ * @param {string} objectName - The name of the object to create
+ * @param {Array<string>} partPaths - Paths of the part files, in order
+ * @param {string} [bucketKey=APS_BUCKET] - The bucket to upload to
+ * @param {Function} [onProgress] - Called with the number of transferred and total parts
+ * @param {Object} [metadata] - Metadata to store with the object, e.g. `{ sha1 }`
+ * @returns {Promise<Object>} Metadata of the uploaded object
+ */
+service.uploadObjectParts = async (
+  objectName,
+  partPaths,
+  bucketKey = APS_BUCKET,
+  onProgress,
+  metadata = {}
+) => {
   await service.ensureBucketExists(bucketKey);
+  return await signedUpload(
+    objectName,
+    bucketKey,
+    partPaths.length,
+    (index) => fsp.readFile(partPaths[index]),
+    onProgress,
+    metadata
+  );
+};
+
+/**
+ * Retrieves the details of a single object, including its `lastModifiedDate`.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object
+ * @returns {Promise<Object>} The object details
+ * @throws {Error} With status 404 if the object does not exist
+ */
+service.getObjectDetails = async (bucketKey, objectKey) => {
   const accessToken = await getInternalToken();
-  const obj = await ossClient.uploadObject(bucketKey, objectName, filePath, {
-    accessToken,
-  });
-  return obj;
+  try {
+    return await withRetry("OSS getObjectDetails", () =>
+      ossClient.getObjectDetails(bucketKey, objectKey, {
+        _with: With.LastModifiedDate,
+        accessToken,
+      })
+    );
+  } catch (error) {
+    if (upstreamStatus(error) === 404) {
+      throw fromUpstream(error, {
+        code: "OBJECT_NOT_FOUND",
+        message: `Object '${objectKey}' not found in bucket '${bucketKey}'.`,
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Reads the content hash of an object: the hash recorded at upload time,
+ * or the one OSS computed for objects uploaded without it.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object
+ * @returns {Promise<string|null>} The hex-encoded SHA-1 hash, or null if the object does not exist
+ */
+service.getObjectHash = async (bucketKey, objectKey) => {
+  const accessToken = await getInternalToken();
+  let details;
+  try {
+    details = await withRetry("OSS getObjectDetails", () =>
+      ossClient.getObjectDetails(bucketKey, objectKey, {
+        _with: With.UserDefinedMetadata,
+        accessToken,
+      })
+    );
+  } catch (error) {
+    if (upstreamStatus(error) === 404) {
+      return null;
+    }
+    throw error;
+  }
+  let metadata = {};
+  try {
+    metadata = JSON.parse(details.userDefinedMetadata || "{}");
+  } catch {
+    // Metadata written by other applications is not necessarily JSON
+  }
+  return metadata.sha1 || details.sha1 || null;
 };
 
-service.translateObject = async (urn, rootFilename) => {
+/**
+ * Starts a translation job for an object.
+ *
+ * @param {string} urn - The URN of the object to translate
+ * @param {string} [rootFilename] - The main design file if the object is a zip archive
+ * @param {Object} [settings] - Translation settings
+ * @param {Array<Object>} [settings.formats] - Output formats, see translation.normalizeFormats
+ * @param {boolean} [settings.force] - Whether to delete the existing manifest first
+ * @returns {Promise<string>} The job result, "created" or "success"
+ */
+service.translateObject = async (urn, rootFilename, settings = {}) => {
+  const formats = normalizeFormats(settings.formats);
+  if (settings.force) {
+    await service.deleteManifest(urn);
+  }
+  await cache.clear(urn);
   const accessToken = await getInternalToken();
-  const job = await modelDerivativeClient.startJob(
-    {
-      input: {
-        urn,
-        compressedUrn: !!rootFilename,
-        rootFilename,
-      },
-      output: {
-        formats: [
-          {
-            views: [View._2d, View._3d],
-            type: OutputType.Svf2,
+  const region = await getModelRegion(urn);
+  const job = await withRetry(
+    "Model Derivative startJob",
+    () =>
+      modelDerivativeClient.startJob(
+        {
+          input: {
+            urn,
+            compressedUrn: !!rootFilename,
+            rootFilename,
           },
-        ],
-      },
-    },
-    { accessToken }
+          output: {
+            formats,
+          },
+        },
+        { accessToken, region, xAdsForce: !!settings.force }
+      ),
+    { idempotent: false }
   );
   return job.result;
 };
@@ -217,34 +575,411 @@ service.translateObject = async (urn, rootFilename) => {
 service.getManifest = async (urn) => {
   const accessToken = await getInternalToken();
   try {
-    const manifest = await modelDerivativeClient.getManifest(urn, {
-      accessToken,
-    });
+    const region = await getModelRegion(urn);
+    const manifest = await withRetry("Model Derivative getManifest", () =>
+      modelDerivativeClient.getManifest(urn, {
+        accessToken,
+        region,
+      })
+    );
     return manifest;
   } catch (err) {
-    if (err.axiosError.response.status === 404) {
+    if (upstreamStatus(err) === 404) {
       return null;
-    } else {
+    }
+    throw err;
+  }
+};
+
+/**
+ * Opens a derivative produced by Model Derivative for download.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @param {string} derivativeUrn - The URN of the derivative, from the manifest
+ * @returns {Promise<Object>} The derivative `stream`, `size` and `contentType`
+ */
+service.openDerivative = async (urn, derivativeUrn) => {
+  const accessToken = await getInternalToken();
+  const region = await getModelRegion(urn);
+  const download = await withRetry("Model Derivative getDerivativeUrl", () =>
+    modelDerivativeClient.getDerivativeUrl(derivativeUrn, urn, {
+      accessToken,
+      region,
+    })
+  );
+  const resp = await withRetry("S3 download derivative", async () => {
+    const resp = await fetch(download.url);
+    if (!resp.ok) {
+      throw new ApiError(
+        resp.status === 404 ? 404 : 502,
+        resp.status === 404 ? "DERIVATIVE_NOT_FOUND" : "UPSTREAM_ERROR",
+        "Could not download derivative.",
+        { service: "APS", status: resp.status, reason: resp.statusText }
+      );
+    }
+    return resp;
+  });
+  return {
+    stream: Readable.fromWeb(resp.body),
+    size: download.size,
+    contentType: download["content-type"],
+  };
+};
+
+/**
+ * Reads viewer data on behalf of the viewers, which get no access token of their own.
+ * Callers serving share pages check that the data belongs to the shared model.
+ *
+ * @param {string} resourcePath - The path the viewer requested, with its query string,
+ *   e.g. "/modeldata/manifest/<urn>"
+ * @param {Object<string, string>} [headers] - The headers of the viewer request; only those
+ *   in VIEWER_REQUEST_HEADERS are passed on
+ * @returns {Promise<Object>} The response `status`, the `headers` to pass back and the body
+ *   `stream`, if any
+ */
+service.fetchViewerData = async (resourcePath, headers = {}) => {
+  const passed = { Authorization: `Bearer ${await getViewerToken()}` };
+  for (const name of VIEWER_REQUEST_HEADERS) {
+    if (headers[name]) {
+      passed[name] = headers[name];
+    }
+  }
+  const resp = await withRetry("Viewer data", async () => {
+    const resp = await fetch(VIEWER_DATA_HOST + resourcePath, {
+      headers: passed,
+    });
+    if (resp.status >= 500 || resp.status === 429) {
+      throw new ApiError(502, "UPSTREAM_ERROR", "Could not read viewer data.", {
+        service: "APS",
+        status: resp.status,
+        reason: resp.statusText,
+      });
+    }
+    return resp;
+  });
+  const returned = {};
+  for (const name of VIEWER_RESPONSE_HEADERS) {
+    if (resp.headers.has(name)) {
+      returned[name] = resp.headers.get(name);
+    }
+  }
+  return {
+    status: resp.status,
+    headers: returned,
+    stream: resp.body ? Readable.fromWeb(resp.body) : null,
+  };
+};
+
+/**
+ * Creates a time-limited signed S3 URL for downloading an object directly.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object
+ * @param {number} minutes - How long the URL stays valid, 1 to 60 minutes
+ * @returns {Promise<{url: string, expiresAt: number}>} The signed URL and its expiry time
+ */
+service.getDownloadUrl = async (bucketKey, objectKey, minutes) => {
+  const accessToken = await getInternalToken();
+  const download = await withRetry("OSS signedS3Download", () =>
+    ossClient.signedS3Download(bucketKey, objectKey, {
+      minutesExpiration: minutes,
+      responseContentDisposition: attachment(path.posix.basename(objectKey)),
+      publicResourceFallback: true,
+      accessToken,
+    })
+  );
+  return { url: download.url, expiresAt: Date.now() + minutes * 60 * 1000 };
+};
+
+/**
+ * Opens an object for random access, e.g. to read the central directory of a zip archive.
+ * Reads are ranged requests against a signed S3 URL.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object
+ * @returns {Promise<Object>} Reader with the object `size` and a `read(position, length)` function
+ * @throws {Error} With status 404 if the object does not exist
+ */
+service.openObjectReader = async (bucketKey, objectKey) => {
+  const accessToken = await getInternalToken();
+  let download;
+  try {
+    download = await withRetry("OSS signedS3Download", () =>
+      ossClient.signedS3Download(bucketKey, objectKey, {
+        minutesExpiration: 10,
+        accessToken,
+      })
+    );
+  } catch (error) {
+    if (upstreamStatus(error) === 404) {
+      throw fromUpstream(error, {
+        code: "OBJECT_NOT_FOUND",
+        message: `Object '${objectKey}' not found.`,
+      });
+    }
+    throw error;
+  }
+  return {
+    size: download.size,
+    read: async (position, length) => {
+      if (length <= 0) {
+        return Buffer.alloc(0);
+      }
+      return await withRetry("S3 read object range", async () => {
+        const resp = await fetch(download.url, {
+          headers: { Range: `bytes=${position}-${position + length - 1}` },
+        });
+        if (!resp.ok) {
+          throw new ApiError(
+            502,
+            "UPSTREAM_ERROR",
+            "Could not read the object.",
+            {
+              service: "APS",
+              status: resp.status,
+              reason: resp.statusText,
+            }
+          );
+        }
+        return Buffer.from(await resp.arrayBuffer());
+      });
+    },
+  };
+};
+
+service.DEFAULT_BUCKET = APS_BUCKET;
+service.urnify = urnify;
+service.deurnify = deurnify;
+service.parseObjectId = parseObjectId;
+
+/**
+ * Deletes a single object from a bucket.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object to delete
+ * @returns {Promise<void>}
+ * @throws {Error} With status 404 if the object does not exist
+ */
+service.deleteObject = async (bucketKey, objectKey) => {
+  const accessToken = await getInternalToken();
+  try {
+    await withRetry("OSS deleteObject", () =>
+      ossClient.deleteObject(bucketKey, objectKey, { accessToken })
+    );
+  } catch (error) {
+    if (upstreamStatus(error) === 404) {
+      throw fromUpstream(error, {
+        code: "OBJECT_NOT_FOUND",
+        message: `Object '${objectKey}' not found in bucket '${bucketKey}'.`,
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Copies an object to another key, in the same or in another bucket.
+ * OSS only copies within a bucket, so cross-bucket copies are downloaded
+ * to a temporary file and uploaded again.
+ *
+ * @param {string} bucketKey - The bucket containing the source object
+ * @param {string} objectKey - The key of the source object
+ * @param {string} targetBucketKey - The bucket to copy the object to
+ * @param {string} targetObjectKey - The key of the new object
+ * @returns {Promise<Object>} Metadata of the new object
+ */
+service.copyObject = async (
+  bucketKey,
+  objectKey,
+  targetBucketKey,
+  targetObjectKey
+) => {
+  const accessToken = await getInternalToken();
+  if (bucketKey === targetBucketKey) {
+    return await withRetry("OSS copyTo", () =>
+      ossClient.copyTo(bucketKey, objectKey, targetObjectKey, {
+        accessToken,
+      })
+    );
+  }
+  const tempDir = await fsp.mkdtemp(path.join(os.tmpdir(), "aps-copy-"));
+  const tempFile = path.join(tempDir, "object");
+  try {
+    await withRetry("OSS downloadObject", () =>
+      ossClient.downloadObject(bucketKey, objectKey, tempFile, {
+        accessToken,
+      })
+    );
+    return await service.uploadObject(
+      targetObjectKey,
+      tempFile,
+      targetBucketKey
+    );
+  } finally {
+    await fsp.rm(tempDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Deletes the manifest and all derivatives of a translated object.
+ * Objects that were never translated are ignored.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @returns {Promise<void>}
+ */
+service.deleteManifest = async (urn) => {
+  const accessToken = await getInternalToken();
+  try {
+    const region = await getModelRegion(urn);
+    await withRetry("Model Derivative deleteManifest", () =>
+      modelDerivativeClient.deleteManifest(urn, {
+        accessToken,
+        region,
+      })
+    );
+  } catch (err) {
+    if (upstreamStatus(err) !== 404) {
       throw err;
     }
   }
+  await cache.clear(urn);
+};
+
+/**
+ * Fetches the thumbnail Model Derivative generated for a translated object.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @param {number} [width=200] - The thumbnail size in pixels: 100, 200 or 400
+ * @returns {Promise<Object|null>} The PNG image `data` and its `contentType`, or null if there is no thumbnail
+ */
+service.getThumbnail = async (urn, width = 200) => {
+  const accessToken = await getInternalToken();
+  try {
+    const region = await getModelRegion(urn);
+    const data = await withRetry("Model Derivative getThumbnail", () =>
+      modelDerivativeClient.getThumbnail(urn, {
+        width,
+        height: width,
+        accessToken,
+        region,
+        options: { responseType: "arraybuffer" },
+      })
+    );
+    return { data: Buffer.from(data), contentType: "image/png" };
+  } catch (err) {
+    if (upstreamStatus(err) === 404) {
+      return null;
+    }
+    throw err;
+  }
 };
 
-service.urnify = (id) => Buffer.from(id).toString("base64").replace(/=/g, "");
+function metadataError(err, urn) {
+  if (upstreamStatus(err) === 404) {
+    return fromUpstream(err, {
+      code: "METADATA_NOT_FOUND",
+      message: `No metadata found for '${urn}'.`,
+    });
+  }
+  return err;
+}
 
-service.deurnify = (urn) => {
-  const paddedUrn = urn + "=".repeat((4 - (urn.length % 4)) % 4);
-  return Buffer.from(paddedUrn, "base64").toString();
+/**
+ * Lists the viewables (model views) extracted from a translated object.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @returns {Promise<Array<Object>>} Viewables with `name`, `guid`, `role` and `isMasterView`
+ * @throws {Error} With status 404 if the object has no metadata
+ */
+service.getModelViews = async (urn) => {
+  const accessToken = await getInternalToken();
+  try {
+    const region = await getModelRegion(urn);
+    const views = await withRetry("Model Derivative getModelViews", () =>
+      modelDerivativeClient.getModelViews(urn, {
+        accessToken,
+        region,
+      })
+    );
+    return views.data?.metadata || [];
+  } catch (err) {
+    throw metadataError(err, urn);
+  }
 };
 
-service.deleteBucket = async (bucketName) => {
+/**
+ * Returns the object hierarchy of a viewable.
+ * Model Derivative extracts it on first request, answering with 202 meanwhile.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @param {string} guid - The GUID of the viewable
+ * @returns {Promise<Object>} `{ isProcessing, objects }`
+ * @throws {Error} With status 404 if the viewable does not exist
+ */
+service.getObjectTree = async (urn, guid) => {
   const accessToken = await getInternalToken();
+  try {
+    const region = await getModelRegion(urn);
+    const tree = await withRetry("Model Derivative getObjectTree", () =>
+      modelDerivativeClient.getObjectTree(urn, guid, {
+        accessToken,
+        region,
+        forceget: "true",
+      })
+    );
+    return { isProcessing: !!tree.isProcessing, objects: tree.data?.objects };
+  } catch (err) {
+    throw metadataError(err, urn);
+  }
+};
 
+/**
+ * Returns the properties of all objects of a viewable.
+ * Model Derivative extracts them on first request, answering with 202 meanwhile.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @param {string} guid - The GUID of the viewable
+ * @returns {Promise<Object>} `{ isProcessing, collection }`
+ * @throws {Error} With status 404 if the viewable does not exist
+ */
+service.getProperties = async (urn, guid) => {
+  const accessToken = await getInternalToken();
   try {
-    await clearBucketObjects(bucketName, accessToken);
+    const region = await getModelRegion(urn);
+    const properties = await withRetry(
+      "Model Derivative getAllProperties",
+      () =>
+        modelDerivativeClient.getAllProperties(urn, guid, {
+          accessToken,
+          region,
+          forceget: "true",
+        })
+    );
+    return {
+      isProcessing: !!properties.isProcessing,
+      collection: properties.data?.collection,
+    };
+  } catch (err) {
+    throw metadataError(err, urn);
+  }
+};
 
+/**
+ * Deletes a bucket. Its objects are removed beforehand by a bucket deletion job.
+ *
+ * @param {string} bucketName - The bucket key
+ * @returns {Promise<Object>} `{ success, message }`
+ * @throws {Error} With status 404, 403 or 409 if OSS refuses the deletion
+ */
+service.deleteBucket = async (bucketName) => {
+  const accessToken = await getInternalToken();
+
+  try {
     console.log(`Attempting to delete bucket: ${bucketName}`);
-    await ossClient.deleteBucket(bucketName, { accessToken });
+    await withRetry("OSS deleteBucket", () =>
+      ossClient.deleteBucket(bucketName, { accessToken })
+    );
+    bucketRegions.delete(bucketName);
     return {
       success: true,
       message: `Bucket '${bucketName}' deleted successfully.`,
@@ -260,43 +995,14 @@ service.deleteBucket = async (bucketName) => {
   }
 };
 
-async function clearBucketObjects(bucketName, accessToken) {
-  try {
-    const objects = await ossClient.getObjects(bucketName, { accessToken });
-
-    if (objects.body?.items?.length > 0) {
-      console.log(
-        `Found ${objects.body.items.length} objects in bucket ${bucketName}`
-      );
-
-      for (const object of objects.body.items) {
-        try {
-          console.log(`Deleting object: ${object.objectKey}`);
-          await ossClient.deleteObject(bucketName, object.objectKey, {
-            accessToken,
-          });
-        } catch (objError) {
-          console.error(
-            `Failed to delete object ${object.objectKey}:`,
-            objError.message
-          );
-        }
-      }
-    } else {
-      console.log(`Bucket ${bucketName} appears to be empty`);
-    }
-  } catch (listError) {
-    console.warn("Could not list bucket objects:", listError.message);
-  }
-}
-
 function handleDeletionError(error, bucketName) {
-  const status = error.axiosError?.response?.status;
+  const status = upstreamStatus(error);
 
   if (status === 404) {
-    const notFoundError = new Error(`Bucket '${bucketName}' not found.`);
-    notFoundError.status = 404;
-    throw notFoundError;
+    throw fromUpstream(error, {
+      code: "BUCKET_NOT_FOUND",
+      message: `Bucket '${bucketName}' not found.`,
+    });
   }
 
   if (status === 403) {
@@ -312,22 +1018,20 @@ function handleDeletionError(error, bucketName) {
         "Common causes: 1) Bucket created by another app, 2) Missing delete permissions, 3) Hidden objects exist.";
     }
 
-    const forbiddenError = new Error(message);
-    forbiddenError.status = 403;
-    throw forbiddenError;
+    throw fromUpstream(error, { code: "BUCKET_FORBIDDEN", message });
   }
 
   if (status === 409) {
-    const conflictError = new Error(
-      `Bucket '${bucketName}' is not empty or has active operations.`
-    );
-    conflictError.status = 409;
-    throw conflictError;
+    throw fromUpstream(error, {
+      code: "BUCKET_NOT_EMPTY",
+      message: `Bucket '${bucketName}' is not empty or has active operations.`,
+    });
   }
 
-  const genericError = new Error(
-    `Failed to delete bucket '${bucketName}': ${error.message}`
-  );
-  genericError.status = status || 500;
-  throw genericError;
+  if (!error.axiosError) {
+    throw error;
+  }
+  throw fromUpstream(error, {
+    message: `Failed to delete bucket '${bucketName}'.`,
+  });
 }
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Content-Disposition headers for file downloads.
+ * Browsers save the file under the UTF-8 `filename*` parameter; older clients fall back to
+ * the plain `filename`, which only holds printable ASCII.
+ */
+
+/**
+ * Builds the Content-Disposition header that downloads a file under its own name.
+ *
+ * @param {string} filename - The name to save the file as, e.g. "Floor plan é.dwg"
+ * @returns {string} The header value, e.g.
+ *   `attachment; filename="Floor plan _.dwg"; filename*=UTF-8''Floor%20plan%20%C3%A9.dwg`
+ */
+const attachment = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+module.exports = { attachment };
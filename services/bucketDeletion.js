@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Background bucket deletion jobs.
+ * A job pages through every object of a bucket, deletes the objects with bounded
+ * concurrency, and deletes the bucket once it is empty. Transient APS errors are
+ * retried by the storage backend.
+ * Jobs are kept in memory and can be polled for progress and per-object failures.
+ * In dry-run mode a job only lists the objects that would be removed.
+ */
+
+const crypto = require("crypto");
+const { BUCKET_DELETE_CONCURRENCY } = require("../config.js");
+const { listObjectPage, deleteObject, deleteBucket } = require("./storage.js");
+const { ApiError } = require("./errors.js");
+const { forgetBucket } = require("./catalog.js");
+
+/** @constant {number} How long finished jobs can still be polled, in milliseconds */
+const JOB_TTL = 60 * 60 * 1000;
+
+/** @type {Map<string, Object>} Jobs keyed by ID */
+const jobs = new Map();
+
+/** @namespace bucketDeletion - Exported bucket deletion functions */
+const bucketDeletion = (module.exports = {});
+
+/**
+ * Deletes the objects of one page, running at most BUCKET_DELETE_CONCURRENCY deletions at a time.
+ *
+ * @param {Object} job - The job to update
+ * @param {Array<Object>} items - The objects of the page
+ * @returns {Promise<void>}
+ */
+async function deletePage(job, items) {
+  const queue = [...items];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const object = queue.shift();
+      try {
+        await deleteObject(job.bucketKey, object.objectKey);
+        job.deleted++;
+      } catch (error) {
+        // A concurrent deletion got there first
+        if (error.status === 404) {
+          job.deleted++;
+          continue;
+        }
+        job.failures.push({
+          objectKey: object.objectKey,
+          message: error.message,
+        });
+      }
+    }
+  };
+  await Promise.all(
+    Array.from(
+      { length: Math.min(BUCKET_DELETE_CONCURRENCY, items.length) },
+      worker
+    )
+  );
+}
+
+/**
+ * Runs a job to completion, recording its outcome on the job.
+ *
+ * @param {Object} job - The job to run
+ * @returns {Promise<void>}
+ */
+async function run(job) {
+  try {
+    let startAt;
+    do {
+      const page = await listObjectPage(job.bucketKey, startAt);
+      job.listed += page.items.length;
+      if (job.dryRun) {
+        job.objects.push(
+          ...page.items.map((obj) => ({
+            objectKey: obj.objectKey,
+            size: obj.size,
+          }))
+        );
+      } else {
+        await deletePage(job, page.items);
+      }
+      startAt = page.next;
+    } while (startAt);
+    if (!job.dryRun) {
+      // The models listed for the bucket are gone, even if some objects were kept
+      forgetBucket(job.bucketKey);
+    }
+
+    if (job.dryRun) {
+      job.status = "completed";
+    } else if (job.failures.length > 0) {
+      job.status = "failed";
+      job.error = `${job.failures.length} object(s) could not be deleted, so the bucket was kept.`;
+    } else {
+      await deleteBucket(job.bucketKey);
+      job.status = "completed";
+    }
+  } catch (error) {
+    console.error(`Bucket deletion job ${job.id} failed:`, error.message);
+    job.status = "failed";
+    job.error = error.message;
+  }
+  job.finishedAt = Date.now();
+}
+
+function removeExpiredJobs() {
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.now() - job.finishedAt > JOB_TTL) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Starts deleting a bucket in the background.
+ *
+ * @param {string} bucketKey - The bucket to delete
+ * @param {Object} [options] - Job options
+ * @param {boolean} [options.dryRun=false] - Only list the objects that would be deleted
+ * @returns {Object} The new job
+ * @throws {Error} With status 409 if the bucket is already being deleted
+ */
+bucketDeletion.startJob = (bucketKey, { dryRun = false } = {}) => {
+  removeExpiredJobs();
+  if (!dryRun) {
+    for (const job of jobs.values()) {
+      if (job.bucketKey === bucketKey && !job.dryRun && !job.finishedAt) {
+        throw new ApiError(
+          409,
+          "BUCKET_DELETION_IN_PROGRESS",
+          `Bucket '${bucketKey}' is already being deleted by job '${job.id}'.`
+        );
+      }
+    }
+  }
+  const job = {
+    id: crypto.randomUUID(),
+    bucketKey,
+    dryRun,
+    status: "running",
+    listed: 0,
+    deleted: 0,
+    failures: [],
+    objects: [],
+    error: null,
+    createdAt: Date.now(),
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+  run(job);
+  return job;
+};
+
+/**
+ * Returns a job by ID.
+ *
+ * @param {string} id - The job ID
+ * @returns {Object} The job
+ * @throws {Error} With status 404 if the job does not exist or has expired
+ */
+bucketDeletion.getJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new ApiError(404, "JOB_NOT_FOUND", `Job '${id}' not found.`);
+  }
+  return job;
+};
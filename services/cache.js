@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Disk cache for data derived from a model's translation.
+ * Entries are grouped per model URN, so re-translating or deleting a model's
+ * derivatives can drop everything cached for it at once.
+ */
+
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { CACHE_DIR } = require("../config.js");
+
+/** @namespace cache - Exported cache functions */
+const cache = (module.exports = {});
+
+function modelDir(urn) {
+  return path.join(
+    CACHE_DIR,
+    crypto.createHash("sha1").update(urn).digest("hex")
+  );
+}
+
+function entryPath(urn, name) {
+  return path.join(modelDir(urn), `${name.replace(/[^\w.-]/g, "_")}.json`);
+}
+
+/**
+ * Reads a cached entry of a model.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} name - The name of the entry
+ * @returns {Promise<*>} The cached value, or undefined if there is none
+ */
+cache.get = async (urn, name) => {
+  try {
+    return JSON.parse(await fsp.readFile(entryPath(urn, name), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return undefined;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Stores an entry for a model.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} name - The name of the entry
+ * @param {*} value - A JSON-serializable value
+ * @returns {Promise<void>}
+ */
+cache.set = async (urn, name, value) => {
+  await fsp.mkdir(modelDir(urn), { recursive: true });
+  await fsp.writeFile(entryPath(urn, name), JSON.stringify(value));
+};
+
+/**
+ * Returns a cached entry, loading and storing it first if it is missing.
+ * Values for which `shouldCache` returns false are returned but not stored.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} name - The name of the entry
+ * @param {Function} loader - Async function producing the value
+ * @param {Function} [shouldCache] - Decides whether a loaded value may be cached
+ * @returns {Promise<*>} The cached or loaded value
+ */
+cache.remember = async (urn, name, loader, shouldCache = () => true) => {
+  const cached = await cache.get(urn, name);
+  if (cached !== undefined) {
+    return cached;
+  }
+  const value = await loader();
+  if (shouldCache(value)) {
+    await cache.set(urn, name, value);
+  }
+  return value;
+};
+
+/**
+ * Drops all cached entries of a model.
+ *
+ * @param {string} urn - The URN of the model
+ * @returns {Promise<void>}
+ */
+cache.clear = async (urn) => {
+  await fsp.rm(modelDir(urn), { recursive: true, force: true });
+};
@@ -0,0 +1,235 @@
+/**
+ * @fileoverview Searching, sorting and paging the models of a bucket.
+ * Listing a bucket walks all of its OSS pages, so the models of each bucket are listed once and
+ * kept in a catalog that is updated whenever this server changes a model. Changes made by other
+ * processes, such as the CLI, show up once the catalog is listed again after CATALOG_TTL.
+ * Cursors hold the sort key of the last model returned, so a query continues in the right place
+ * even if models were added or removed in the meantime.
+ */
+
+const { listModels, getModel, onModelChange } = require("./versions.js");
+const { getTranslationStatus } = require("./progress.js");
+const { urnify, DEFAULT_BUCKET } = require("./storage.js");
+const { ApiError } = require("./errors.js");
+
+/** @constant {number} How long a catalog is used before the bucket is listed again, in milliseconds */
+const CATALOG_TTL = 10 * 60 * 1000;
+
+/** @constant {number} Number of translation statuses read in parallel for a page */
+const STATUS_CONCURRENCY = 8;
+
+/** @constant {number} Default page size of model queries */
+const DEFAULT_LIMIT = 50;
+
+/** @constant {number} Maximum page size of model queries */
+const MAX_LIMIT = 200;
+
+/** @constant {Object<string, Function>} Sort key of models for each sort order */
+const SORT_KEYS = {
+  name: (model) => model.name,
+  size: (model) => model.object.size || 0,
+  date: (model) => model.object.lastModifiedDate || 0,
+};
+
+/**
+ * @type {Map<string, {models: Promise<Map<string, Object>>, updates: Promise<void>, loadedAt: number}>}
+ *   Catalogs by bucket key, with their models by name and the updates still being applied
+ */
+const catalogs = new Map();
+
+/** @namespace catalog - Exported model query functions */
+const catalog = (module.exports = {});
+
+function invalid(message) {
+  return new ApiError(400, "INVALID_QUERY", message);
+}
+
+function compareKeys(a, b) {
+  return typeof a === "string" ? a.localeCompare(b) : a - b;
+}
+
+/**
+ * Returns the models of a bucket from its catalog, listing the bucket if it has no catalog
+ * yet or its catalog has expired. Concurrent queries share one listing.
+ *
+ * @param {string} bucketKey - The bucket to list
+ * @returns {Promise<Array<Object>>} The models, as returned by listModels
+ */
+async function getModels(bucketKey) {
+  let entry = catalogs.get(bucketKey);
+  if (!entry || Date.now() - entry.loadedAt > CATALOG_TTL) {
+    entry = {
+      models: listModels(bucketKey).then(
+        (models) => new Map(models.map((model) => [model.name, model]))
+      ),
+      updates: Promise.resolve(),
+      loadedAt: Date.now(),
+    };
+    catalogs.set(bucketKey, entry);
+    // A failed listing is not kept, so the next query lists the bucket again
+    entry.models.catch(() => {
+      if (catalogs.get(bucketKey) === entry) {
+        catalogs.delete(bucketKey);
+      }
+    });
+  }
+  const models = await entry.models;
+  await entry.updates;
+  return [...models.values()];
+}
+
+/**
+ * Updates the catalog of a bucket after one of its models changed. Queries wait for the
+ * update, so a model shows up as soon as its upload has finished. The model is read once
+ * the bucket has been listed, so it also covers changes made during the listing.
+ *
+ * @param {string} bucketKey - The bucket containing the model
+ * @param {string} name - The model name
+ */
+function updateModel(bucketKey, name) {
+  const entry = catalogs.get(bucketKey);
+  if (!entry) {
+    return;
+  }
+  entry.updates = entry.updates
+    .then(async () => {
+      const models = await entry.models;
+      const model = await getModel(bucketKey, name);
+      if (model) {
+        models.set(name, model);
+      } else {
+        models.delete(name);
+      }
+    })
+    .catch(() => {
+      // The bucket is listed again by the next query
+      if (catalogs.get(bucketKey) === entry) {
+        catalogs.delete(bucketKey);
+      }
+    });
+}
+
+onModelChange(updateModel);
+
+/**
+ * Drops the catalog of a bucket, e.g. once the bucket has been deleted.
+ *
+ * @param {string} bucketKey - The bucket key
+ */
+catalog.forgetBucket = (bucketKey) => {
+  catalogs.delete(bucketKey);
+};
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+function decodeCursor(text) {
+  try {
+    const cursor = JSON.parse(Buffer.from(text, "base64url").toString());
+    if (Array.isArray(cursor.after) && cursor.after.length === 2) {
+      return cursor;
+    }
+  } catch {
+    // Reported below
+  }
+  throw invalid("Invalid cursor.");
+}
+
+/**
+ * Describes a model for clients.
+ *
+ * @param {Object} model - A model returned by listModels
+ * @returns {Object} The model with `name`, `urn`, `size`, `uploadedAt`, `contentType`,
+ *   `sha1`, `version` and `versions`
+ */
+function describe({ name, object, version, versions }) {
+  return {
+    name,
+    urn: urnify(object.objectId),
+    size: object.size,
+    uploadedAt: object.lastModifiedDate
+      ? new Date(object.lastModifiedDate).toISOString()
+      : null,
+    contentType: object.contentType || null,
+    sha1: object.sha1 || null,
+    version,
+    versions,
+  };
+}
+
+/**
+ * Searches, sorts and pages the models of a bucket.
+ *
+ * @param {string} [bucketKey=DEFAULT_BUCKET] - The bucket to list
+ * @param {Object} [query] - Filters, order and pagination
+ * @param {string} [query.search] - Only models whose name contains this text, ignoring case
+ * @param {string} [query.sort="name"] - Sort by "name", "size" or "date" (of upload)
+ * @param {string} [query.order="asc"] - "asc" or "desc"
+ * @param {number} [query.limit=50] - Maximum number of models to return, at most 200
+ * @param {string} [query.cursor] - The `next` cursor of the previous page
+ * @param {boolean} [query.status] - Whether to include the translation status of each model
+ * @returns {Promise<Object>} `{ total, items, next }`; `next` is the cursor of the following
+ *   page, or null on the last page
+ * @throws {ApiError} With status 400 if the query is invalid
+ */
+catalog.queryModels = async (bucketKey = DEFAULT_BUCKET, query = {}) => {
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  const sort = cursor?.sort || query.sort || "name";
+  const order = cursor?.order || query.order || "asc";
+  const search = (cursor ? cursor.search : query.search) || "";
+  if (!SORT_KEYS[sort]) {
+    throw invalid(`Sort must be one of: ${Object.keys(SORT_KEYS).join(", ")}.`);
+  }
+  if (!["asc", "desc"].includes(order)) {
+    throw invalid("Order must be asc or desc.");
+  }
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT)
+  );
+
+  const models = await getModels(bucketKey);
+  const key = SORT_KEYS[sort];
+  const direction = order === "desc" ? -1 : 1;
+  const compare = ([keyA, nameA], [keyB, nameB]) =>
+    direction * (compareKeys(keyA, keyB) || nameA.localeCompare(nameB));
+  const needle = search.toLowerCase();
+  const matching = models
+    .filter((model) => model.name.toLowerCase().includes(needle))
+    .map((model) => ({ model, position: [key(model), model.name] }))
+    .sort((a, b) => compare(a.position, b.position));
+
+  const start = cursor
+    ? matching.findIndex(({ position }) => compare(position, cursor.after) > 0)
+    : 0;
+  const page = start < 0 ? [] : matching.slice(start, start + limit);
+  const hasMore = start >= 0 && start + limit < matching.length;
+
+  const items = page.map(({ model }) => describe(model));
+  if (query.status) {
+    const queue = [...items];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const item = queue.shift();
+        // A status that cannot be read must not fail the whole page
+        item.status = await getTranslationStatus(item.urn).catch(() => null);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(STATUS_CONCURRENCY, items.length) }, worker)
+    );
+  }
+  return {
+    total: matching.length,
+    items,
+    next: hasMore
+      ? encodeCursor({
+          sort,
+          order,
+          search,
+          after: page[page.length - 1].position,
+        })
+      : null,
+  };
+};
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Content-hash deduplication of uploads and translations.
+ * Before an upload is stored, its SHA-1 hash is compared with the objects already in the
+ * target bucket. Content already stored under another model is refused unless the client
+ * chooses to reuse that object or to upload a copy anyway, and a reused object that already
+ * has a successful manifest is not translated again.
+ * Uploading different content under an existing model name adds a new version of the model.
+ */
+
+const {
+  listObjectPage,
+  getObjectHash,
+  getManifest,
+  translateObject,
+  urnify,
+  DEFAULT_BUCKET,
+} = require("./storage.js");
+const { ApiError } = require("./errors.js");
+const {
+  getHistory,
+  addVersion,
+  promote,
+  modelName,
+  isVersionStorageKey,
+  checkModelName,
+} = require("./versions.js");
+
+/** @constant {Array<string>} Ways of handling an upload whose content is already stored */
+const DUPLICATE_POLICIES = ["reuse", "upload", "ask"];
+
+/** @namespace deduplication - Exported deduplication functions */
+const deduplication = (module.exports = {});
+
+deduplication.DUPLICATE_POLICIES = DUPLICATE_POLICIES;
+
+/**
+ * Looks for an object with the given content. Only objects of the same size are hashed,
+ * and the preferred object, if it is among them, is checked first.
+ *
+ * @param {string} bucketKey - The bucket to search
+ * @param {string} sha1 - The content hash of the upload
+ * @param {number} size - The size of the upload in bytes
+ * @param {string} [preferredKey] - The key to check first, e.g. the current version of the model
+ * @returns {Promise<Object|null>} The matching object, or null if there is none
+ */
+async function findDuplicate(bucketKey, sha1, size, preferredKey) {
+  const candidates = [];
+  let startAt;
+  try {
+    do {
+      const page = await listObjectPage(bucketKey, startAt);
+      for (const obj of page.items) {
+        // Version indexes are bookkeeping, not model contents
+        const isModel =
+          !isVersionStorageKey(obj.objectKey) ||
+          modelName(obj.objectKey) !== obj.objectKey;
+        if (isModel && obj.size === size) {
+          if (obj.objectKey === preferredKey) {
+            candidates.unshift(obj);
+          } else {
+            candidates.push(obj);
+          }
+        }
+      }
+      startAt = page.next;
+    } while (startAt);
+  } catch (error) {
+    // A bucket that does not exist yet is created by the upload
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+  for (const obj of candidates) {
+    if ((await getObjectHash(bucketKey, obj.objectKey)) === sha1) {
+      return obj;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decides how to store an upload, based on the objects already in the target bucket.
+ * The result is "deduplicated" if an identical object can be reused, "version" if the
+ * upload adds a version to an existing model, and "new" otherwise.
+ *
+ * @param {Object} upload - The upload, see storeUpload
+ * @returns {Promise<{upload: string, object: Object|null, version: number|null}>} How to store the upload,
+ *   the object to reuse and, if it belongs to the same model, its version number
+ * @throws {ApiError} With status 409 if the content is stored under another model and onDuplicate is "ask",
+ *   400 if onDuplicate is invalid
+ */
+async function planUpload({ bucketKey, name, sha1, size, onDuplicate }) {
+  if (!DUPLICATE_POLICIES.includes(onDuplicate)) {
+    throw new ApiError(
+      400,
+      "INVALID_DUPLICATE_POLICY",
+      `Duplicate handling must be one of: ${DUPLICATE_POLICIES.join(", ")}.`
+    );
+  }
+  const history = await getHistory(bucketKey, name);
+  const current = history?.versions.find(
+    (entry) => entry.version === history.current
+  );
+  const duplicate = await findDuplicate(
+    bucketKey,
+    sha1,
+    size,
+    current?.objectKey
+  );
+  const sameModel = history?.versions.find(
+    (entry) => entry.objectKey === duplicate?.objectKey
+  );
+  if (duplicate && (sameModel || onDuplicate === "reuse")) {
+    return {
+      upload: "deduplicated",
+      object: duplicate,
+      version: sameModel?.version || null,
+    };
+  }
+  if (duplicate && onDuplicate === "ask") {
+    const error = new ApiError(
+      409,
+      "DUPLICATE_OBJECT",
+      `Bucket '${bucketKey}' already contains the same file as '${modelName(
+        duplicate.objectKey
+      )}'.`
+    );
+    error.details = {
+      name: modelName(duplicate.objectKey),
+      urn: urnify(duplicate.objectId),
+      // The onDuplicate values the client can retry with
+      actions: DUPLICATE_POLICIES.filter((policy) => policy !== "ask"),
+    };
+    throw error;
+  }
+  return { upload: history ? "version" : "new", object: null, version: null };
+}
+
+/**
+ * Stores an upload as a new version of its model, unless identical content is already stored.
+ * Re-uploading an earlier version of the same model makes that version current again.
+ *
+ * @param {Object} upload - The upload
+ * @param {string} [upload.bucketKey=DEFAULT_BUCKET] - The bucket to upload to
+ * @param {string} upload.name - The model name
+ * @param {string} upload.sha1 - The content hash of the upload
+ * @param {number} upload.size - The size of the upload in bytes
+ * @param {Function} upload.store - Async function storing the upload under the given object key
+ *   and returning the object metadata
+ * @param {string} [upload.onDuplicate="ask"] - What to do if the content is already stored under
+ *   another model: "ask" the client by failing, "reuse" the stored object, or "upload" a copy anyway
+ * @param {string} [upload.uploader] - Who uploaded the file
+ * @param {string} [upload.comment] - What changed in this version
+ * @returns {Promise<{object: Object, name: string, upload: string, version: number|null}>} The stored or
+ *   reused object, the name of its model, how the upload was stored ("new", "deduplicated" or "version")
+ *   and the version number, or null for objects reused from another model
+ * @throws {ApiError} With status 409 if the content is stored under another model and onDuplicate is "ask",
+ *   with the `name` and `urn` of that model and the onDuplicate `actions` to retry with in its details;
+ *   400 if onDuplicate or the model name is invalid
+ */
+deduplication.storeUpload = async ({
+  bucketKey = DEFAULT_BUCKET,
+  name,
+  sha1,
+  size,
+  store,
+  onDuplicate = "ask",
+  uploader,
+  comment,
+}) => {
+  checkModelName(name);
+  const plan = await planUpload({ bucketKey, name, sha1, size, onDuplicate });
+  if (plan.object) {
+    if (plan.version) {
+      await promote(bucketKey, name, plan.version);
+    }
+    return {
+      object: plan.object,
+      name: modelName(plan.object.objectKey),
+      upload: plan.upload,
+      version: plan.version,
+    };
+  }
+  const { object, version } = await addVersion(bucketKey, name, store, {
+    sha1,
+    uploader,
+    comment,
+  });
+  return { object, name, upload: plan.upload, version };
+};
+
+/**
+ * Translates a stored upload unless it can keep its current derivatives.
+ * Reused objects with a successful manifest are not translated again; every new
+ * version has its own key, so its translation never replaces an older one.
+ *
+ * @param {string} urn - The URN of the stored object
+ * @param {string} upload - How the upload was stored, as returned by storeUpload
+ * @param {string} [rootFilename] - The main design file if the object is a zip archive
+ * @param {Object} [settings] - Translation settings, see storage.translateObject
+ * @returns {Promise<string>} The job result, "created" or "success", or "skipped"
+ */
+deduplication.translateUpload = async (
+  urn,
+  upload,
+  rootFilename,
+  settings = {}
+) => {
+  if (upload === "deduplicated" && !settings.force) {
+    const manifest = await getManifest(urn);
+    if (manifest?.status === "success") {
+      return "skipped";
+    }
+  }
+  return await translateObject(urn, rootFilename, settings);
+};
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Default viewables: the 2D sheet or 3D view each model opens with, instead of
+ * the default geometry chosen by the translation. Defaults belong to the model, not to one of
+ * its versions, and keep the viewable name as well as its GUID, so a new version whose views
+ * got new GUIDs still opens the view of the same name.
+ */
+
+const crypto = require("crypto");
+const records = require("./records.js");
+const { ApiError } = require("./errors.js");
+const { deurnify, parseObjectId } = require("./urn.js");
+const { modelName } = require("./versions.js");
+
+/** @constant {string} Record collection of default viewables */
+const COLLECTION = "default-viewables";
+
+/** @namespace defaultViewables - Exported default viewable functions */
+const defaultViewables = (module.exports = {});
+
+function invalid(message) {
+  return new ApiError(400, "INVALID_VIEWABLE", message);
+}
+
+/**
+ * Finds the model a URN belongs to.
+ *
+ * @param {string} urn - The URN of the model or of one of its versions
+ * @returns {{id: string, bucket: string, model: string}} The record ID, bucket key and model name
+ * @throws {ApiError} With status 400 if the URN is not an object URN
+ */
+function modelOf(urn) {
+  if (!deurnify(urn).startsWith("urn:adsk.objects:os.object:")) {
+    throw invalid(`'${urn}' is not a model URN.`);
+  }
+  const { bucketKey, objectKey } = parseObjectId(urn);
+  const model = modelName(objectKey);
+  return {
+    id: crypto.createHash("sha1").update(`${bucketKey}/${model}`).digest("hex"),
+    bucket: bucketKey,
+    model,
+  };
+}
+
+/**
+ * Returns the viewable a model opens with.
+ *
+ * @param {string} urn - The URN of the model or of one of its versions
+ * @returns {Promise<Object|null>} The default with `guid`, `name`, `setBy` and `updatedAt`,
+ *   or null if the model opens with the default geometry
+ * @throws {ApiError} With status 400 if the URN is not an object URN
+ */
+defaultViewables.getDefaultViewable = async (urn) => {
+  const { id } = modelOf(urn);
+  return (await records.get(COLLECTION, id)) || null;
+};
+
+/**
+ * Sets the viewable a model opens with.
+ *
+ * @param {string} urn - The URN of the model or of one of its versions
+ * @param {Object} input - The viewable
+ * @param {string} input.guid - The GUID of the viewable
+ * @param {string} input.name - The name of the viewable
+ * @param {string} [input.setBy] - Who chose the viewable
+ * @returns {Promise<Object>} The saved default
+ * @throws {ApiError} With status 400 if the URN or the viewable is invalid
+ */
+defaultViewables.setDefaultViewable = async (
+  urn,
+  { guid, name, setBy } = {}
+) => {
+  const { id, bucket, model } = modelOf(urn);
+  if (typeof guid !== "string" || !guid.trim()) {
+    throw invalid("Viewable GUID is required.");
+  }
+  if (typeof name !== "string" || !name.trim()) {
+    throw invalid("Viewable name is required.");
+  }
+  const viewable = {
+    bucket,
+    model,
+    guid: guid.trim(),
+    name: name.trim(),
+    setBy: typeof setBy === "string" ? setBy.trim() : null,
+    updatedAt: new Date().toISOString(),
+  };
+  await records.put(COLLECTION, id, viewable);
+  return viewable;
+};
+
+/**
+ * Makes a model open with the default geometry again.
+ *
+ * @param {string} urn - The URN of the model or of one of its versions
+ * @returns {Promise<void>}
+ * @throws {ApiError} With status 400 if the URN is not an object URN
+ */
+defaultViewables.clearDefaultViewable = async (urn) => {
+  const { id } = modelOf(urn);
+  await records.remove(COLLECTION, id);
+};
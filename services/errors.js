@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Shared error model.
+ * Every error reported by the API carries a stable machine-readable code, an HTTP status
+ * and a user-facing message. Errors caused by Autodesk Platform Services (APS) also carry
+ * the details of the upstream response. The error middleware turns them into JSON.
+ */
+
+/** @constant {Object<number, string>} Default error codes by HTTP status */
+const DEFAULT_CODES = {
+  400: "BAD_REQUEST",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+  503: "UPSTREAM_UNAVAILABLE",
+};
+
+/**
+ * An error with an HTTP status, a stable code and a message that can be shown to users.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - The HTTP status
+   * @param {string} code - The stable error code, e.g. "BUCKET_NOT_FOUND"
+   * @param {string} message - The user-facing message
+   * @param {Object} [upstream] - Details of the failed APS response
+   */
+  constructor(status, code, message, upstream) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || "ERROR";
+    this.upstream = upstream;
+  }
+}
+
+/** @namespace errors - Exported error functions */
+const errors = (module.exports = {});
+
+errors.ApiError = ApiError;
+
+/**
+ * Returns the HTTP status of a failed APS SDK call.
+ * Network errors have no response, so they have no status either.
+ *
+ * @param {Error} error - The error thrown by the SDK
+ * @returns {number|undefined} The status of the upstream response
+ */
+errors.upstreamStatus = (error) => error?.axiosError?.response?.status;
+
+/**
+ * Converts an error thrown by an APS SDK call into an ApiError.
+ * Client errors keep their status; authentication and server errors become 502,
+ * and unreachable endpoints 503.
+ *
+ * @param {Error} error - The error thrown by the SDK
+ * @param {Object} [overrides] - Replacements for the `code` and `message` of the result
+ * @returns {ApiError} The converted error
+ */
+errors.fromUpstream = (error, overrides = {}) => {
+  const response = error?.axiosError?.response;
+  const request = error?.axiosError?.config;
+  if (!response) {
+    return new ApiError(
+      503,
+      overrides.code || "UPSTREAM_UNAVAILABLE",
+      overrides.message || "Autodesk Platform Services could not be reached.",
+      {
+        service: "APS",
+        method: request?.method?.toUpperCase(),
+        url: request?.url,
+        reason: error?.message,
+      }
+    );
+  }
+  const data = response.data || {};
+  const status = [400, 403, 404, 409, 429].includes(response.status)
+    ? response.status
+    : 502;
+  const reason =
+    data.reason || data.developerMessage || data.diagnostic || data.detail;
+  const result = new ApiError(
+    status,
+    overrides.code || DEFAULT_CODES[status],
+    overrides.message ||
+      reason ||
+      `Autodesk Platform Services responded with status ${response.status}.`,
+    {
+      service: "APS",
+      status: response.status,
+      code: data.errorCode || data.code,
+      reason,
+      method: request?.method?.toUpperCase(),
+      url: request?.url,
+    }
+  );
+  if (response.headers?.["retry-after"]) {
+    result.retryAfter = response.headers["retry-after"];
+  }
+  return result;
+};
+
+/**
+ * Converts any error into an ApiError.
+ * Errors of unknown origin become a generic 500 so that internals never leak to users.
+ *
+ * @param {Error} error - The error to convert
+ * @returns {ApiError} The converted error
+ */
+errors.toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error?.axiosError) {
+    return errors.fromUpstream(error);
+  }
+  // Errors raised by Express and body-parser, such as malformed JSON bodies
+  if (error?.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(
+      error.status,
+      error.type === "entity.parse.failed" ? "INVALID_JSON" : undefined,
+      error.message
+    );
+  }
+  return new ApiError(500, "INTERNAL_ERROR", "An unexpected error occurred.");
+};
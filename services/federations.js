@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Federations: named sets of models viewed together in one scene,
+ * e.g. the architecture, structure and MEP models of a building. Each model of a
+ * federation has an offset that aligns it with the others and a visibility flag.
+ */
+
+const crypto = require("crypto");
+const records = require("./records.js");
+const { ApiError } = require("./errors.js");
+const { deurnify, parseObjectId } = require("./urn.js");
+const { modelName } = require("./versions.js");
+
+/** @constant {string} Record collection of federations */
+const COLLECTION = "federations";
+
+/** @constant {number} Maximum number of models in a federation */
+const MAX_MODELS = 20;
+
+/** @namespace federations - Exported federation functions */
+const federations = (module.exports = {});
+
+function invalid(message) {
+  return new ApiError(400, "INVALID_FEDERATION", message);
+}
+
+/**
+ * Validates a federation submitted by a client and normalizes its models.
+ *
+ * @param {Object} input - The federation
+ * @param {string} input.name - The name of the federation
+ * @param {Array<Object>} input.models - Models with `urn`, and optionally an `offset` of
+ *   `{x, y, z}` in model units and a `visible` flag
+ * @returns {{name: string, models: Array<Object>}} The normalized federation; each model also
+ *   gets the `name` and `bucket` it is stored under
+ * @throws {ApiError} With status 400 if the federation is invalid
+ */
+function normalize({ name, models } = {}) {
+  if (typeof name !== "string" || !name.trim()) {
+    throw invalid("Federation name is required.");
+  }
+  if (!Array.isArray(models) || models.length === 0) {
+    throw invalid("A federation needs at least one model.");
+  }
+  if (models.length > MAX_MODELS) {
+    throw invalid(`A federation can have at most ${MAX_MODELS} models.`);
+  }
+  if (new Set(models.map((model) => model?.urn)).size < models.length) {
+    throw invalid("Each model can only be added to a federation once.");
+  }
+  return {
+    name: name.trim(),
+    models: models.map((model) => {
+      if (
+        typeof model?.urn !== "string" ||
+        !deurnify(model.urn).startsWith("urn:adsk.objects:os.object:")
+      ) {
+        throw invalid(`'${model?.urn}' is not a model URN.`);
+      }
+      const offset = { x: 0, y: 0, z: 0, ...model.offset };
+      if (!Object.values(offset).every(Number.isFinite)) {
+        throw invalid("Model offsets must be numbers.");
+      }
+      const { bucketKey, objectKey } = parseObjectId(model.urn);
+      return {
+        urn: model.urn,
+        name: modelName(objectKey),
+        bucket: bucketKey,
+        offset: { x: offset.x, y: offset.y, z: offset.z },
+        visible: model.visible !== false,
+      };
+    }),
+  };
+}
+
+/**
+ * Lists all federations.
+ *
+ * @returns {Promise<Array<Object>>} The federations, sorted by name
+ */
+federations.listFederations = async () => {
+  const all = await records.list(COLLECTION);
+  return all.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Returns a federation.
+ *
+ * @param {string} id - The ID of the federation
+ * @returns {Promise<Object>} The federation with `id`, `name`, `models`, `createdBy`,
+ *   `createdAt` and `updatedAt`
+ * @throws {ApiError} With status 404 if the federation does not exist
+ */
+federations.getFederation = async (id) => {
+  const federation = await records.get(COLLECTION, id);
+  if (!federation) {
+    throw new ApiError(
+      404,
+      "FEDERATION_NOT_FOUND",
+      `Federation '${id}' not found.`
+    );
+  }
+  return federation;
+};
+
+/**
+ * Saves a new federation.
+ *
+ * @param {Object} input - The federation, see normalize
+ * @param {string} [input.createdBy] - Who saved the federation
+ * @returns {Promise<Object>} The saved federation
+ * @throws {ApiError} With status 400 if the federation is invalid, 409 if the name is taken
+ */
+federations.createFederation = async (input) => {
+  const { name, models } = normalize(input);
+  await checkNameAvailable(name);
+  const now = new Date().toISOString();
+  const federation = {
+    id: crypto.randomUUID(),
+    name,
+    models,
+    createdBy: input.createdBy || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await records.put(COLLECTION, federation.id, federation);
+  return federation;
+};
+
+/**
+ * Replaces the name and models of a federation.
+ *
+ * @param {string} id - The ID of the federation
+ * @param {Object} input - The federation, see normalize
+ * @returns {Promise<Object>} The saved federation
+ * @throws {ApiError} With status 404 if the federation does not exist, 400 if the input
+ *   is invalid, 409 if the name is taken by another federation
+ */
+federations.updateFederation = async (id, input) => {
+  const federation = await federations.getFederation(id);
+  const { name, models } = normalize(input);
+  if (name !== federation.name) {
+    await checkNameAvailable(name);
+  }
+  const updated = {
+    ...federation,
+    name,
+    models,
+    updatedAt: new Date().toISOString(),
+  };
+  await records.put(COLLECTION, id, updated);
+  return updated;
+};
+
+/**
+ * Deletes a federation. The models themselves are kept.
+ *
+ * @param {string} id - The ID of the federation
+ * @returns {Promise<void>}
+ * @throws {ApiError} With status 404 if the federation does not exist
+ */
+federations.deleteFederation = async (id) => {
+  if (!(await records.remove(COLLECTION, id))) {
+    throw new ApiError(
+      404,
+      "FEDERATION_NOT_FOUND",
+      `Federation '${id}' not found.`
+    );
+  }
+};
+
+async function checkNameAvailable(name) {
+  const all = await records.list(COLLECTION);
+  if (all.some((federation) => federation.name === name)) {
+    throw new ApiError(
+      409,
+      "FEDERATION_EXISTS",
+      `A federation named '${name}' already exists.`
+    );
+  }
+}
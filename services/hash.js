@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Content hashing.
+ * Computes the SHA-1 hash that identifies the contents of an upload, whether it
+ * arrives as a single file or as upload session parts.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+/** @namespace hash - Exported hashing functions */
+const hash = (module.exports = {});
+
+/**
+ * Computes the SHA-1 hash of the concatenated contents of files.
+ *
+ * @param {Array<string>} filePaths - Paths of the files, in order
+ * @returns {Promise<string>} The hex-encoded hash
+ */
+hash.sha1Files = async (filePaths) => {
+  const digest = crypto.createHash("sha1");
+  for (const filePath of filePaths) {
+    for await (const chunk of fs.createReadStream(filePath)) {
+      digest.update(chunk);
+    }
+  }
+  return digest.digest("hex");
+};
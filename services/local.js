@@ -0,0 +1,810 @@
+/**
+ * @fileoverview Local filesystem storage backend.
+ * Mirrors the bucket, object, manifest and translation functions of the APS module
+ * without network access: buckets are directories, objects are files, and translation
+ * jobs are simulated so the app can be demoed and tested offline.
+ */
+
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline, finished } = require("stream/promises");
+const { LOCAL_STORAGE_DIR, LOCAL_TRANSLATION_TIME } = require("../config.js");
+const { urnify, deurnify, parseObjectId } = require("./urn.js");
+const { normalizeFormats } = require("./translation.js");
+const cache = require("./cache.js");
+const { ApiError } = require("./errors.js");
+const { DEFAULT_REGION } = require("./regions.js");
+const { fileReader } = require("./zip.js");
+const { sha1Files } = require("./hash.js");
+
+/** @constant {string} Default bucket name for the application */
+const LOCAL_BUCKET = `the-captain-basic-app`;
+
+/** @constant {string} Directory holding simulated translation jobs, next to the buckets */
+const MANIFESTS_DIR = path.join(LOCAL_STORAGE_DIR, ".manifests");
+
+/** @constant {string} Name of the per-bucket metadata file */
+const BUCKET_INFO = ".bucket.json";
+
+/** @constant {string} Per-bucket directory holding object metadata */
+const OBJECT_INFO_DIR = ".objects";
+
+/** @constant {Buffer} Per-process key for signing download URLs */
+const DOWNLOAD_SECRET = crypto.randomBytes(32);
+
+/** @constant {RegExp} Valid bucket keys, as in OSS */
+const BUCKET_KEY = /^[-_.a-z0-9]{3,128}$/;
+
+/** @namespace service - Exported service functions */
+const service = (module.exports = {});
+
+service.DEFAULT_BUCKET = LOCAL_BUCKET;
+service.urnify = urnify;
+service.deurnify = deurnify;
+service.parseObjectId = parseObjectId;
+
+/**
+ * Returns the directory of a bucket. Keys are checked before they reach the filesystem, and
+ * keys starting with a dot are refused as well, as those names belong to the backend itself.
+ *
+ * @param {string} bucketKey - The bucket key
+ * @returns {string} The path of the bucket directory
+ * @throws {ApiError} With status 400 if the bucket key is invalid
+ */
+function bucketDir(bucketKey) {
+  if (
+    typeof bucketKey !== "string" ||
+    !BUCKET_KEY.test(bucketKey) ||
+    bucketKey.startsWith(".")
+  ) {
+    throw new ApiError(
+      400,
+      "INVALID_BUCKET_KEY",
+      `'${bucketKey}' is not a valid bucket key.`
+    );
+  }
+  return path.join(LOCAL_STORAGE_DIR, bucketKey);
+}
+
+function objectPath(bucketKey, objectKey) {
+  return path.join(bucketDir(bucketKey), encodeURIComponent(objectKey));
+}
+
+function objectInfoPath(bucketKey, objectKey) {
+  return path.join(
+    bucketDir(bucketKey),
+    OBJECT_INFO_DIR,
+    `${encodeURIComponent(objectKey)}.json`
+  );
+}
+
+function manifestPath(urn) {
+  return path.join(MANIFESTS_DIR, `${encodeURIComponent(urn)}.json`);
+}
+
+function objectId(bucketKey, objectKey) {
+  return `urn:adsk.objects:os.object:${bucketKey}/${objectKey}`;
+}
+
+async function exists(filePath) {
+  try {
+    await fsp.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function readJson(filePath) {
+  return JSON.parse(await fsp.readFile(filePath, "utf8"));
+}
+
+/**
+ * Reads the region recorded for a bucket.
+ *
+ * @param {string} bucketKey - The bucket key
+ * @returns {Promise<string>} The region, the default one for unknown buckets
+ */
+async function bucketRegion(bucketKey) {
+  const infoPath = path.join(bucketDir(bucketKey), BUCKET_INFO);
+  if (!(await exists(infoPath))) {
+    return DEFAULT_REGION;
+  }
+  return (await readJson(infoPath)).region || DEFAULT_REGION;
+}
+
+/**
+ * Ensures that a bucket directory exists, creating it if necessary.
+ *
+ * @param {string} bucketKey - The key/name of the bucket
+ * @param {string} [region=DEFAULT_REGION] - The region recorded for a new bucket
+ * @returns {Promise<void>}
+ */
+service.ensureBucketExists = async (bucketKey, region = DEFAULT_REGION) => {
+  if (!(await exists(bucketDir(bucketKey)))) {
+    await service.createBucket(bucketKey, region);
+  }
+};
+
+/**
+ * Lists all bucket directories. Directories without bucket information, e.g. created by
+ * hand in the storage directory, are no buckets and are skipped.
+ *
+ * @returns {Promise<Array<Object>>} Array of bucket objects
+ */
+service.listBuckets = async () => {
+  await fsp.mkdir(LOCAL_STORAGE_DIR, { recursive: true });
+  const entries = await fsp.readdir(LOCAL_STORAGE_DIR, {
+    withFileTypes: true,
+  });
+  const buckets = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || entry.name.startsWith(".")) {
+      continue;
+    }
+    try {
+      const bucket = await readJson(
+        path.join(LOCAL_STORAGE_DIR, entry.name, BUCKET_INFO)
+      );
+      buckets.push({ region: DEFAULT_REGION, ...bucket });
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+    }
+  }
+  return buckets;
+};
+
+/**
+ * Returns the details of a bucket directory along with the number and total size of its objects.
+ *
+ * @param {string} bucketKey - The bucket key
+ * @returns {Promise<Object>} The bucket with `region`, `objectCount` and `totalSize`
+ * @throws {Error} With status 404 if the bucket does not exist
+ */
+service.getBucketDetails = async (bucketKey) => {
+  const infoPath = path.join(bucketDir(bucketKey), BUCKET_INFO);
+  if (!(await exists(infoPath))) {
+    throw new ApiError(
+      404,
+      "BUCKET_NOT_FOUND",
+      `Bucket '${bucketKey}' not found.`
+    );
+  }
+  const bucket = await readJson(infoPath);
+  const objects = await service.listObjects(bucketKey);
+  return {
+    region: DEFAULT_REGION,
+    ...bucket,
+    objectCount: objects.length,
+    totalSize: objects.reduce((sum, obj) => sum + obj.size, 0),
+  };
+};
+
+/**
+ * Lists the objects of a bucket directory as a single page.
+ *
+ * @param {string} bucketKey - The bucket key
+ * @returns {Promise<Object>} The objects as `items`, and a null `next` key
+ * @throws {Error} With status 404 if the bucket does not exist
+ */
+service.listObjectPage = async (bucketKey) => {
+  if (!(await exists(bucketDir(bucketKey)))) {
+    throw new ApiError(
+      404,
+      "BUCKET_NOT_FOUND",
+      `Bucket '${bucketKey}' not found.`
+    );
+  }
+  return { items: await service.listObjects(bucketKey), next: null };
+};
+
+/**
+ * Lists all objects stored in a bucket directory.
+ *
+ * @param {string} [bucketKey=LOCAL_BUCKET] - The bucket key to list objects from
+ * @returns {Promise<Array<Object>>} Array of object metadata
+ */
+service.listObjects = async (bucketKey = LOCAL_BUCKET) => {
+  await service.ensureBucketExists(bucketKey);
+  const infoDir = path.join(bucketDir(bucketKey), OBJECT_INFO_DIR);
+  const files = await fsp.readdir(infoDir);
+  const objects = [];
+  for (const file of files) {
+    objects.push(await readJson(path.join(infoDir, file)));
+  }
+  return objects;
+};
+
+/**
+ * Retrieves the recorded metadata of a single object.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object
+ * @returns {Promise<Object>} The object metadata
+ * @throws {Error} With status 404 if the object does not exist
+ */
+service.getObjectDetails = async (bucketKey, objectKey) => {
+  try {
+    return await readJson(objectInfoPath(bucketKey, objectKey));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new ApiError(
+        404,
+        "OBJECT_NOT_FOUND",
+        `Object '${objectKey}' not found in bucket '${bucketKey}'.`
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Reads the content hash recorded for an object.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object
+ * @returns {Promise<string|null>} The hex-encoded SHA-1 hash, or null if the object does not exist
+ */
+service.getObjectHash = async (bucketKey, objectKey) => {
+  try {
+    return (await readJson(objectInfoPath(bucketKey, objectKey))).sha1;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+};
+
+service.createBucket = async (
+  bucketName,
+  region = DEFAULT_REGION,
+  policyKey = "persistent"
+) => {
+  const dir = bucketDir(bucketName);
+  if (await exists(dir)) {
+    throw new ApiError(
+      409,
+      "BUCKET_EXISTS",
+      `Bucket name '${bucketName}' already exists and is accessible. Please choose a different name.`
+    );
+  }
+  await fsp.mkdir(path.join(dir, OBJECT_INFO_DIR), { recursive: true });
+  const bucket = {
+    bucketKey: bucketName,
+    bucketOwner: "local",
+    createdDate: Date.now(),
+    permissions: [],
+    policyKey,
+    region,
+  };
+  await fsp.writeFile(path.join(dir, BUCKET_INFO), JSON.stringify(bucket));
+  return bucket;
+};
+
+/**
+ * Copies a file into a bucket as a new object.
+ *
+ * @param {string} objectName - The name of the object to create
+ * @param {string} filePath - The path of the file to store
+ * @param {string} [bucketKey=LOCAL_BUCKET] - The bucket to upload to
+ * @param {Object} [metadata] - Metadata to store with the object, e.g. `{ sha1 }`
+ * @returns {Promise<Object>} Metadata of the uploaded object
+ */
+service.uploadObject = async (
+  objectName,
+  filePath,
+  bucketKey = LOCAL_BUCKET,
+  metadata = {}
+) => {
+  await service.ensureBucketExists(bucketKey);
+  await fsp.copyFile(filePath, objectPath(bucketKey, objectName));
+  return await writeObjectInfo(bucketKey, objectName, metadata);
+};
+
+/**
+ * Concatenates part files into a new object.
+ *
+ * @param {string} objectName - The name of the object to create
+ * @param {Array<string>} partPaths - Paths of the part files, in order
+ * @param {string} [bucketKey=LOCAL_BUCKET] - The bucket to upload to
+ * @param {Function} [onProgress] - Called with the number of transferred and total parts
+ * @param {Object} [metadata] - Metadata to store with the object, e.g. `{ sha1 }`
+ * @returns {Promise<Object>} Metadata of the uploaded object
+ */
+service.uploadObjectParts = async (
+  objectName,
+  partPaths,
+  bucketKey = LOCAL_BUCKET,
+  onProgress,
+  metadata = {}
+) => {
+  await service.ensureBucketExists(bucketKey);
+  const target = fs.createWriteStream(objectPath(bucketKey, objectName));
+  for (const [index, partPath] of partPaths.entries()) {
+    await pipeline(fs.createReadStream(partPath), target, { end: false });
+    if (onProgress) {
+      onProgress(index + 1, partPaths.length);
+    }
+  }
+  target.end();
+  await finished(target);
+  return await writeObjectInfo(bucketKey, objectName, metadata);
+};
+
+/**
+ * Records the metadata of a stored object, in the shape OSS returns it.
+ * The content hash is computed unless the uploader already provides it.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectName - The name of the object
+ * @param {Object} [metadata] - User-defined metadata, e.g. `{ sha1 }`
+ * @returns {Promise<Object>} Metadata of the object
+ */
+async function writeObjectInfo(bucketKey, objectName, metadata = {}) {
+  const target = objectPath(bucketKey, objectName);
+  const { size } = await fsp.stat(target);
+  const obj = {
+    bucketKey,
+    objectId: objectId(bucketKey, objectName),
+    objectKey: objectName,
+    sha1: metadata.sha1 || (await sha1Files([target])),
+    size,
+    contentType: "application/octet-stream",
+    location: target,
+    lastModifiedDate: Date.now(),
+    userDefinedMetadata: JSON.stringify(metadata),
+  };
+  await fsp.writeFile(
+    objectInfoPath(bucketKey, objectName),
+    JSON.stringify(obj)
+  );
+  return obj;
+}
+
+/**
+ * Starts a simulated translation job.
+ * The job reports progress for LOCAL_TRANSLATION_TIME milliseconds and then succeeds,
+ * unless the source object is empty or a root filename is given for a non-zip object,
+ * in which case it fails.
+ *
+ * @param {string} urn - The URN of the object to translate
+ * @param {string} [rootFilename] - The main design file inside a zip archive
+ * @param {Object} [settings] - Translation settings
+ * @param {Array<Object>} [settings.formats] - Output formats, see translation.normalizeFormats
+ * @param {boolean} [settings.force] - Accepted for parity; a new job always replaces the old one
+ * @returns {Promise<string>} The job result
+ */
+service.translateObject = async (urn, rootFilename, settings = {}) => {
+  const formats = normalizeFormats(settings.formats);
+  const { bucketKey, objectKey } = parseObjectId(urn);
+  const source = objectPath(bucketKey, objectKey);
+  if (!(await exists(source))) {
+    throw new ApiError(
+      404,
+      "MODEL_NOT_FOUND",
+      `Object for URN '${urn}' not found.`
+    );
+  }
+  const { size } = await fsp.stat(source);
+  const messages = [];
+  if (size === 0) {
+    messages.push({ type: "error", message: "The source file is empty." });
+  }
+  if (rootFilename && !objectKey.endsWith(".zip")) {
+    messages.push({
+      type: "error",
+      message: `Root filename '${rootFilename}' given for a non-zip object.`,
+    });
+  }
+  await cache.clear(urn);
+  await fsp.mkdir(MANIFESTS_DIR, { recursive: true });
+  await fsp.writeFile(
+    manifestPath(urn),
+    JSON.stringify({
+      urn,
+      rootFilename,
+      formats,
+      startedAt: Date.now(),
+      duration: LOCAL_TRANSLATION_TIME,
+      messages,
+    })
+  );
+  return "created";
+};
+
+/**
+ * Computes the manifest of a simulated translation job from its elapsed time.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @returns {Promise<Object|null>} The manifest, or null if the object was never translated
+ */
+service.getManifest = async (urn) => {
+  const jobPath = manifestPath(urn);
+  if (!(await exists(jobPath))) {
+    return null;
+  }
+  const job = await readJson(jobPath);
+  const elapsed = Date.now() - job.startedAt;
+  let status = "inprogress";
+  let progress = `${Math.min(
+    99,
+    Math.floor((elapsed / job.duration) * 100)
+  )}% complete`;
+  if (elapsed >= job.duration) {
+    status = job.messages.length > 0 ? "failed" : "success";
+    progress = "complete";
+  }
+  return {
+    type: "manifest",
+    urn,
+    region: await bucketRegion(parseObjectId(urn).bucketKey),
+    hasThumbnail: "false",
+    status,
+    progress,
+    derivatives: job.formats.map((format) => {
+      const name = job.rootFilename || parseObjectId(urn).objectKey;
+      const children = [];
+      if (status === "success" && !["svf", "svf2"].includes(format.type)) {
+        children.push({
+          guid: crypto.createHash("md5").update(format.type).digest("hex"),
+          type: "resource",
+          role: format.type,
+          urn: `urn:adsk.viewing:fs.file:${urn}/output/${name}.${format.type}`,
+          mime: "application/octet-stream",
+          status,
+        });
+      }
+      return {
+        name,
+        outputType: format.type,
+        status,
+        progress,
+        hasThumbnail: "false",
+        messages: status === "failed" ? job.messages : [],
+        children,
+      };
+    }),
+  };
+};
+
+service.deleteBucket = async (bucketName) => {
+  const dir = bucketDir(bucketName);
+  if (!(await exists(dir))) {
+    throw new ApiError(
+      404,
+      "BUCKET_NOT_FOUND",
+      `Bucket '${bucketName}' not found.`
+    );
+  }
+  await fsp.rm(dir, { recursive: true, force: true });
+  return {
+    success: true,
+    message: `Bucket '${bucketName}' deleted successfully.`,
+  };
+};
+
+/**
+ * Deletes a single object and its metadata from a bucket directory.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object to delete
+ * @returns {Promise<void>}
+ * @throws {Error} With status 404 if the object does not exist
+ */
+service.deleteObject = async (bucketKey, objectKey) => {
+  const source = objectPath(bucketKey, objectKey);
+  if (!(await exists(source))) {
+    throw new ApiError(
+      404,
+      "OBJECT_NOT_FOUND",
+      `Object '${objectKey}' not found in bucket '${bucketKey}'.`
+    );
+  }
+  await fsp.rm(source);
+  await fsp.rm(objectInfoPath(bucketKey, objectKey), { force: true });
+};
+
+/**
+ * Copies an object to another key, in the same or in another bucket.
+ *
+ * @param {string} bucketKey - The bucket containing the source object
+ * @param {string} objectKey - The key of the source object
+ * @param {string} targetBucketKey - The bucket to copy the object to
+ * @param {string} targetObjectKey - The key of the new object
+ * @returns {Promise<Object>} Metadata of the new object
+ * @throws {Error} With status 404 if the source object does not exist
+ */
+service.copyObject = async (
+  bucketKey,
+  objectKey,
+  targetBucketKey,
+  targetObjectKey
+) => {
+  const source = objectPath(bucketKey, objectKey);
+  if (!(await exists(source))) {
+    throw new ApiError(
+      404,
+      "OBJECT_NOT_FOUND",
+      `Object '${objectKey}' not found in bucket '${bucketKey}'.`
+    );
+  }
+  return await service.uploadObject(targetObjectKey, source, targetBucketKey);
+};
+
+/**
+ * Deletes the simulated manifest and derivatives of an object.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @returns {Promise<void>}
+ */
+service.deleteManifest = async (urn) => {
+  await fsp.rm(manifestPath(urn), { force: true });
+  await cache.clear(urn);
+};
+
+/**
+ * Renders a simulated thumbnail for a successfully translated object:
+ * its file extension on a background color derived from the URN.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @param {number} [width=200] - The thumbnail size in pixels
+ * @returns {Promise<Object|null>} The SVG image `data` and its `contentType`, or null if there is no thumbnail
+ */
+service.getThumbnail = async (urn, width = 200) => {
+  const manifest = await service.getManifest(urn);
+  if (manifest?.status !== "success") {
+    return null;
+  }
+  const { objectKey } = parseObjectId(urn);
+  const extension = path.extname(objectKey).replace(/[^\w]/g, "").toUpperCase();
+  const hue = (crypto.createHash("md5").update(urn).digest()[0] * 360) / 256;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${width}" viewBox="0 0 100 100">
+  <rect width="100" height="100" fill="hsl(${hue}, 45%, 55%)"/>
+  <text x="50" y="58" font-family="sans-serif" font-size="20" fill="white" text-anchor="middle">${
+    extension || "?"
+  }</text>
+</svg>`;
+  return { data: Buffer.from(svg), contentType: "image/svg+xml" };
+};
+
+/**
+ * Returns the simulated 3D view of a successfully translated object.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @returns {Promise<Object>} The view, with `name`, `guid`, `role` and `isMasterView`
+ * @throws {Error} With status 404 if the translation has not succeeded
+ */
+async function modelView(urn) {
+  const manifest = await service.getManifest(urn);
+  if (manifest?.status !== "success") {
+    throw new ApiError(
+      404,
+      "METADATA_NOT_FOUND",
+      `No metadata found for '${urn}'.`
+    );
+  }
+  return {
+    name: "{3D}",
+    guid: crypto.createHash("md5").update(urn).digest("hex"),
+    role: "3d",
+    isMasterView: true,
+  };
+}
+
+async function checkModelView(urn, guid) {
+  const view = await modelView(urn);
+  if (view.guid !== guid) {
+    throw new ApiError(
+      404,
+      "VIEWABLE_NOT_FOUND",
+      `Viewable '${guid}' not found.`
+    );
+  }
+}
+
+/**
+ * Lists the simulated viewables of a translated object: a single 3D view.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @returns {Promise<Array<Object>>} Viewables with `name`, `guid`, `role` and `isMasterView`
+ * @throws {Error} With status 404 if the translation has not succeeded
+ */
+service.getModelViews = async (urn) => {
+  return [await modelView(urn)];
+};
+
+/**
+ * Returns the simulated object hierarchy of a viewable:
+ * the model as root with a single element below it.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @param {string} guid - The GUID of the viewable
+ * @returns {Promise<Object>} `{ isProcessing, objects }`
+ * @throws {Error} With status 404 if the viewable does not exist
+ */
+service.getObjectTree = async (urn, guid) => {
+  await checkModelView(urn, guid);
+  const { objectKey } = parseObjectId(urn);
+  return {
+    isProcessing: false,
+    objects: [
+      {
+        objectid: 1,
+        name: objectKey,
+        objects: [{ objectid: 2, name: "Element [2]" }],
+      },
+    ],
+  };
+};
+
+/**
+ * Returns the simulated properties of the objects of a viewable.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @param {string} guid - The GUID of the viewable
+ * @returns {Promise<Object>} `{ isProcessing, collection }`
+ * @throws {Error} With status 404 if the viewable does not exist
+ */
+service.getProperties = async (urn, guid) => {
+  await checkModelView(urn, guid);
+  const { bucketKey, objectKey } = parseObjectId(urn);
+  const { size } = await fsp.stat(objectPath(bucketKey, objectKey));
+  return {
+    isProcessing: false,
+    collection: [
+      {
+        objectid: 1,
+        name: objectKey,
+        externalId: "root",
+        properties: {
+          Item: { Name: objectKey, Type: "Model" },
+          File: { Size: `${size} bytes` },
+        },
+      },
+      {
+        objectid: 2,
+        name: "Element [2]",
+        externalId: "element-2",
+        properties: {
+          Item: { Name: "Element", Type: "Generic" },
+          "Identity Data": { Mark: "2" },
+        },
+      },
+    ],
+  };
+};
+
+/**
+ * Opens a simulated derivative for download.
+ * Local derivatives have no content of their own, so the source object is served instead.
+ *
+ * @param {string} urn - The URN of the translated object
+ * @param {string} derivativeUrn - The URN of the derivative, from the manifest
+ * @returns {Promise<Object>} The derivative `stream`, `size` and `contentType`
+ * @throws {Error} With status 404 if the object does not exist
+ */
+service.openDerivative = async (urn, derivativeUrn) => {
+  const { bucketKey, objectKey } = parseObjectId(urn);
+  const source = objectPath(bucketKey, objectKey);
+  if (!(await exists(source))) {
+    throw new ApiError(
+      404,
+      "DERIVATIVE_NOT_FOUND",
+      `Derivative '${derivativeUrn}' not found.`
+    );
+  }
+  const { size } = await fsp.stat(source);
+  return {
+    stream: fs.createReadStream(source),
+    size,
+    contentType: "application/octet-stream",
+  };
+};
+
+/**
+ * Reads viewer data on behalf of the viewers, which get no access token of their own.
+ * The local backend has no viewables, so there is never any data to read.
+ *
+ * @param {string} resourcePath - The path the viewer requested
+ * @returns {Promise<Object>} Never returns
+ * @throws {ApiError} With status 404
+ */
+service.fetchViewerData = async (resourcePath) => {
+  throw new ApiError(
+    404,
+    "VIEWER_DATA_NOT_FOUND",
+    `No viewer data found at '${resourcePath}'.`
+  );
+};
+
+function downloadSignature(urn, expires) {
+  return crypto
+    .createHmac("sha256", DOWNLOAD_SECRET)
+    .update(`${urn}:${expires}`)
+    .digest("hex");
+}
+
+/**
+ * Creates a time-limited download URL for an object, served by the local routes.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object
+ * @param {number} minutes - How long the URL stays valid
+ * @returns {Promise<{url: string, expiresAt: number}>} The signed URL and its expiry time
+ */
+service.getDownloadUrl = async (bucketKey, objectKey, minutes) => {
+  const urn = urnify(objectId(bucketKey, objectKey));
+  const expiresAt = Date.now() + minutes * 60 * 1000;
+  return {
+    url: `/api/local/objects/${urn}?expires=${expiresAt}&signature=${downloadSignature(
+      urn,
+      expiresAt
+    )}`,
+    expiresAt,
+  };
+};
+
+/**
+ * Opens an object for a download URL created by getDownloadUrl.
+ *
+ * @param {string} urn - The URN of the object
+ * @param {string} expires - The expiry time from the URL
+ * @param {string} signature - The signature from the URL
+ * @returns {Promise<Object>} The object `stream`, `size` and `name`
+ * @throws {Error} With status 403 if the signature is invalid or expired, 404 if the object does not exist
+ */
+service.openSignedObject = async (urn, expires, signature) => {
+  const expected = downloadSignature(urn, expires);
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) ||
+    Date.now() > parseInt(expires, 10)
+  ) {
+    throw new ApiError(
+      403,
+      "DOWNLOAD_LINK_INVALID",
+      "The download link is invalid or has expired."
+    );
+  }
+  const { bucketKey, objectKey } = parseObjectId(urn);
+  const source = objectPath(bucketKey, objectKey);
+  if (!(await exists(source))) {
+    throw new ApiError(
+      404,
+      "OBJECT_NOT_FOUND",
+      `Object '${objectKey}' not found.`
+    );
+  }
+  const { size } = await fsp.stat(source);
+  return {
+    stream: fs.createReadStream(source),
+    size,
+    name: path.posix.basename(objectKey),
+  };
+};
+
+/**
+ * Opens an object for random access, e.g. to read the central directory of a zip archive.
+ *
+ * @param {string} bucketKey - The bucket containing the object
+ * @param {string} objectKey - The key of the object
+ * @returns {Promise<Object>} Reader with the object `size` and a `read(position, length)` function
+ * @throws {Error} With status 404 if the object does not exist
+ */
+service.openObjectReader = async (bucketKey, objectKey) => {
+  const source = objectPath(bucketKey, objectKey);
+  if (!(await exists(source))) {
+    throw new ApiError(
+      404,
+      "OBJECT_NOT_FOUND",
+      `Object '${objectKey}' not found.`
+    );
+  }
+  return await fileReader(source);
+};
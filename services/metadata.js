@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Model metadata, property queries and thumbnails.
+ * Wraps the viewables, object tree, properties and thumbnail calls of the storage backend,
+ * caches complete results on disk, and filters and paginates properties on the server.
+ */
+
+const cache = require("./cache.js");
+const { ApiError } = require("./errors.js");
+const {
+  getModelViews,
+  getObjectTree,
+  getProperties,
+  getThumbnail,
+  getManifest,
+  openDerivative,
+} = require("./storage.js");
+
+/** @constant {Array<number>} Thumbnail sizes supported by Model Derivative, in pixels */
+const THUMBNAIL_SIZES = [100, 200, 400];
+
+/** @constant {number} Default page size of property queries */
+const DEFAULT_LIMIT = 100;
+
+/** @constant {number} Maximum page size of property queries */
+const MAX_LIMIT = 1000;
+
+/** @namespace metadata - Exported metadata functions */
+const metadata = (module.exports = {});
+
+const isComplete = (result) => !result.isProcessing;
+
+/**
+ * Lists the viewables (model views) of a translated model.
+ * They are only cached once the translation has succeeded, as views are still being added
+ * while it is in progress.
+ *
+ * @param {string} urn - The URN of the model
+ * @returns {Promise<Array<Object>>} Viewables with name, guid, role and isMasterView
+ */
+metadata.getViewables = async (urn) => {
+  let translated = false;
+  return await cache.remember(
+    urn,
+    "viewables",
+    async () => {
+      translated = (await getManifest(urn))?.status === "success";
+      return await getModelViews(urn);
+    },
+    () => translated
+  );
+};
+
+/**
+ * Returns the object tree of a viewable.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} guid - The GUID of the viewable
+ * @returns {Promise<Object>} `{ isProcessing, objects }`; objects are missing while Model Derivative still extracts them
+ */
+metadata.getObjectTree = async (urn, guid) => {
+  return await cache.remember(
+    urn,
+    `tree-${guid}`,
+    () => getObjectTree(urn, guid),
+    isComplete
+  );
+};
+
+/**
+ * Checks whether an object matches a property query.
+ *
+ * @param {Object} object - An entry of the properties collection
+ * @param {Object} query - The query, see queryProperties
+ * @returns {boolean} Whether the object matches
+ */
+function matches(object, query) {
+  const lower = (text) => String(text).toLowerCase();
+  if (query.search && !lower(object.name).includes(lower(query.search))) {
+    return false;
+  }
+  let groups = Object.entries(object.properties || {});
+  if (query.category) {
+    groups = groups.filter(([group]) => lower(group) === lower(query.category));
+    if (groups.length === 0) {
+      return false;
+    }
+  }
+  if (query.property) {
+    return groups.some(([, properties]) =>
+      Object.entries(properties).some(
+        ([name, value]) =>
+          lower(name) === lower(query.property) &&
+          (query.value === undefined || lower(value) === lower(query.value))
+      )
+    );
+  }
+  return true;
+}
+
+/**
+ * Queries the properties of a viewable.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} guid - The GUID of the viewable
+ * @param {Object} [query] - Filters and pagination
+ * @param {string} [query.category] - Only objects with this property category (group)
+ * @param {string} [query.property] - Only objects with a property of this name
+ * @param {string} [query.value] - Together with `property`, only objects where that property has this value
+ * @param {string} [query.search] - Only objects whose name contains this text
+ * @param {number} [query.offset=0] - Index of the first object to return
+ * @param {number} [query.limit=100] - Maximum number of objects to return
+ * @returns {Promise<Object>} `{ isProcessing, total, offset, limit, items }`
+ */
+metadata.queryProperties = async (urn, guid, query = {}) => {
+  const properties = await cache.remember(
+    urn,
+    `properties-${guid}`,
+    () => getProperties(urn, guid),
+    isComplete
+  );
+  if (properties.isProcessing) {
+    return { isProcessing: true };
+  }
+  const offset = Math.max(0, parseInt(query.offset, 10) || 0);
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT)
+  );
+  const filtered = properties.collection.filter((object) =>
+    matches(object, query)
+  );
+  return {
+    isProcessing: false,
+    total: filtered.length,
+    offset,
+    limit,
+    items: filtered.slice(offset, offset + limit),
+  };
+};
+
+/**
+ * Returns the thumbnail of a translated model.
+ * Missing thumbnails are not cached, as they appear once a translation finishes.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {number} [width=200] - The thumbnail size in pixels: 100, 200 or 400
+ * @returns {Promise<Object|null>} The image `data` and its `contentType`, or null if the model has no thumbnail
+ */
+metadata.getThumbnail = async (urn, width = 200) => {
+  checkThumbnailSize(width);
+  return await rememberImage(urn, `thumbnail-${width}`, () =>
+    getThumbnail(urn, width)
+  );
+};
+
+/**
+ * Returns the thumbnail of a single viewable (2D sheet or 3D view) of a translated model,
+ * taken from the thumbnail resources the translation stored next to each viewable.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} guid - The GUID of the viewable
+ * @param {number} [width=200] - The thumbnail size in pixels: 100, 200 or 400
+ * @returns {Promise<Object|null>} The image `data` and its `contentType`, or null if the viewable has no thumbnail
+ */
+metadata.getViewableThumbnail = async (urn, guid, width = 200) => {
+  checkThumbnailSize(width);
+  return await rememberImage(urn, `thumbnail-${guid}-${width}`, async () => {
+    const viewable = findNode(await getManifest(urn), guid);
+    const thumbnail = (viewable?.children || [])
+      .filter((child) => child.role === "thumbnail" && child.urn)
+      .sort(
+        (a, b) =>
+          Math.abs((a.resolution?.[0] || 0) - width) -
+          Math.abs((b.resolution?.[0] || 0) - width)
+      )[0];
+    if (!thumbnail) {
+      return null;
+    }
+    const { stream, contentType } = await openDerivative(urn, thumbnail.urn);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return {
+      contentType: contentType || "image/png",
+      data: Buffer.concat(chunks),
+    };
+  });
+};
+
+function checkThumbnailSize(width) {
+  if (!THUMBNAIL_SIZES.includes(width)) {
+    throw new ApiError(
+      400,
+      "INVALID_THUMBNAIL_SIZE",
+      `Thumbnail width must be one of: ${THUMBNAIL_SIZES.join(", ")}.`
+    );
+  }
+}
+
+function findNode(node, guid) {
+  if (!node) {
+    return null;
+  }
+  if (node.guid === guid) {
+    return node;
+  }
+  for (const child of node.derivatives || node.children || []) {
+    const found = findNode(child, guid);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Caches an image on disk. Missing images are not cached, as they appear once a translation finishes.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} key - The cache key of the image
+ * @param {Function} load - Loads the image `data` and its `contentType`, or null if there is none
+ * @returns {Promise<Object|null>} The image, or null if there is none
+ */
+async function rememberImage(urn, key, load) {
+  const image = await cache.remember(
+    urn,
+    key,
+    async () => {
+      const loaded = await load();
+      return (
+        loaded && {
+          contentType: loaded.contentType,
+          data: loaded.data.toString("base64"),
+        }
+      );
+    },
+    (cached) => cached !== null
+  );
+  return (
+    image && {
+      contentType: image.contentType,
+      data: Buffer.from(image.data, "base64"),
+    }
+  );
+}
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Progress events for uploads and translations.
+ * Publishes upload, OSS transfer and translation progress on named channels
+ * ("upload:<id>" and "model:<urn>") that the Server-Sent Events route streams to browsers.
+ * Translations are polled on the server only while someone listens, so every
+ * open tab receives the same updates from a single poll.
+ */
+
+const { EventEmitter } = require("events");
+const { TRANSLATION_POLL_INTERVAL } = require("../config.js");
+const { getManifest } = require("./storage.js");
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/** @type {Map<string, NodeJS.Timeout>} Active translation pollers keyed by URN */
+const watchers = new Map();
+
+/** @namespace progress - Exported progress functions */
+const progress = (module.exports = {});
+
+/**
+ * Subscribes to the events of a channel.
+ *
+ * @param {string} channel - The channel name
+ * @param {Function} listener - Called with each published event
+ * @returns {Function} Function that removes the subscription
+ */
+progress.subscribe = (channel, listener) => {
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+/**
+ * Publishes an event to all subscribers of a channel.
+ *
+ * @param {string} channel - The channel name
+ * @param {Object} event - The event, with at least a `type` property
+ */
+progress.publish = (channel, event) => {
+  emitter.emit(channel, event);
+};
+
+/**
+ * Reads the translation status of a model from its manifest,
+ * collecting the messages of all derivatives.
+ *
+ * @param {string} urn - The URN of the model
+ * @returns {Promise<Object>} Status, progress text, progress percentage, messages and the region of the derivatives
+ */
+progress.getTranslationStatus = async (urn) => {
+  const manifest = await getManifest(urn);
+  if (!manifest) {
+    return { status: "n/a" };
+  }
+  let messages = [];
+  for (const derivative of manifest.derivatives || []) {
+    messages = messages.concat(derivative.messages || []);
+    for (const child of derivative.children || []) {
+      messages = messages.concat(child.messages || []);
+    }
+  }
+  const match = /(\d+)%/.exec(manifest.progress || "");
+  return {
+    status: manifest.status,
+    progress: manifest.progress,
+    percent: manifest.progress === "complete" ? 100 : match ? +match[1] : 0,
+    messages,
+    region: manifest.region,
+  };
+};
+
+/**
+ * Polls the translation of a model and publishes its status on "model:<urn>"
+ * until the translation finishes or nobody listens anymore.
+ * Calling it for a model that is already being watched has no effect.
+ *
+ * @param {string} urn - The URN of the model
+ */
+progress.watchTranslation = (urn) => {
+  if (watchers.has(urn)) {
+    return;
+  }
+  const channel = `model:${urn}`;
+  const poll = async () => {
+    try {
+      const status = await progress.getTranslationStatus(urn);
+      progress.publish(channel, { type: "translation", urn, ...status });
+      const running =
+        status.status === "pending" || status.status === "inprogress";
+      if (running && emitter.listenerCount(channel) > 0) {
+        watchers.set(urn, setTimeout(poll, TRANSLATION_POLL_INTERVAL));
+        return;
+      }
+    } catch (error) {
+      console.error(`Could not poll translation of ${urn}:`, error.message);
+      progress.publish(channel, {
+        type: "error",
+        urn,
+        message: error.message,
+      });
+    }
+    watchers.delete(urn);
+  };
+  watchers.set(urn, setTimeout(poll, 0));
+};
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Disk storage of records created by users, such as federations.
+ * Records are JSON documents grouped in collections, one file per record. Unlike the
+ * cache, they cannot be derived again, so files are replaced atomically.
+ */
+
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { DATA_DIR } = require("../config.js");
+
+/** @namespace records - Exported record functions */
+const records = (module.exports = {});
+
+function collectionDir(collection) {
+  return path.join(DATA_DIR, collection.replace(/[^\w.-]/g, "_"));
+}
+
+function recordPath(collection, id) {
+  return path.join(
+    collectionDir(collection),
+    `${id.replace(/[^\w.-]/g, "_")}.json`
+  );
+}
+
+/**
+ * Reads a record.
+ *
+ * @param {string} collection - The name of the collection
+ * @param {string} id - The ID of the record
+ * @returns {Promise<Object|undefined>} The record, or undefined if there is none
+ */
+records.get = async (collection, id) => {
+  try {
+    return JSON.parse(await fsp.readFile(recordPath(collection, id), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return undefined;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Reads all records of a collection.
+ *
+ * @param {string} collection - The name of the collection
+ * @returns {Promise<Array<Object>>} The records, in no particular order
+ */
+records.list = async (collection) => {
+  let files;
+  try {
+    files = await fsp.readdir(collectionDir(collection));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+  const ids = files
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length));
+  const found = await Promise.all(ids.map((id) => records.get(collection, id)));
+  return found.filter(Boolean);
+};
+
+/**
+ * Stores a record, replacing any previous one with the same ID.
+ *
+ * @param {string} collection - The name of the collection
+ * @param {string} id - The ID of the record
+ * @param {Object} value - A JSON-serializable record
+ * @returns {Promise<void>}
+ */
+records.put = async (collection, id, value) => {
+  const file = recordPath(collection, id);
+  const temp = `${file}.${crypto.randomUUID()}.tmp`;
+  await fsp.mkdir(collectionDir(collection), { recursive: true });
+  await fsp.writeFile(temp, JSON.stringify(value));
+  await fsp.rename(temp, file);
+};
+
+/**
+ * Deletes a record.
+ *
+ * @param {string} collection - The name of the collection
+ * @param {string} id - The ID of the record
+ * @returns {Promise<boolean>} Whether the record existed
+ */
+records.remove = async (collection, id) => {
+  try {
+    await fsp.unlink(recordPath(collection, id));
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return false;
+    }
+    throw error;
+  }
+};
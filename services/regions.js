@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Data center regions.
+ * Buckets are created in one of these regions, and the Model Derivative calls and
+ * the viewer must use the same region as the bucket holding a model.
+ */
+
+const { Region } = require("@aps_sdk/oss");
+const { ApiError } = require("./errors.js");
+
+/** @constant {Array<string>} Regions buckets can be created in */
+const REGIONS = [Region.Us, Region.Emea, Region.Apac];
+
+/** @namespace regions - Exported region functions */
+const regions = (module.exports = {});
+
+regions.REGIONS = REGIONS;
+regions.DEFAULT_REGION = Region.Us;
+
+/**
+ * Validates a requested region, defaulting to the US.
+ *
+ * @param {string} [region] - The requested region, case-insensitive
+ * @returns {string} One of REGIONS
+ * @throws {Error} With status 400 if the region is not supported
+ */
+regions.normalizeRegion = (region) => {
+  if (region === undefined || region === null || region === "") {
+    return regions.DEFAULT_REGION;
+  }
+  const normalized = String(region).toUpperCase();
+  if (!REGIONS.includes(normalized)) {
+    throw new ApiError(
+      400,
+      "INVALID_REGION",
+      `Unsupported region '${region}'. Expected one of: ${REGIONS.join(", ")}.`
+    );
+  }
+  return normalized;
+};
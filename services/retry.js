@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Retry policy and circuit breaker for Autodesk Platform Services (APS) calls.
+ * Throttled calls wait as long as APS asks through Retry-After; server and network errors
+ * are retried with exponential backoff and full jitter, but only for calls that are safe to
+ * repeat. After too many consecutive server failures the circuit opens and calls fail fast
+ * until a trial call succeeds again.
+ */
+
+const {
+  APS_RETRY_ATTEMPTS,
+  APS_RETRY_BASE_DELAY,
+  APS_RETRY_MAX_DELAY,
+  APS_CIRCUIT_THRESHOLD,
+  APS_CIRCUIT_RESET_TIMEOUT,
+} = require("../config.js");
+const { ApiError, upstreamStatus } = require("./errors.js");
+
+/** @constant {Array<string>} Network error codes raised before a request reaches the server */
+const NOT_SENT_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+/** State of the circuit breaker shared by all APS calls */
+const circuit = {
+  failures: 0,
+  openedAt: null,
+  trial: false,
+};
+
+/** @namespace retry - Exported retry functions */
+const retry = (module.exports = {});
+
+/**
+ * Returns the HTTP status behind an error, looking through errors already converted to ApiError.
+ *
+ * @param {Error} error - The error thrown by the call
+ * @returns {number|undefined} The upstream status, or undefined for network errors
+ */
+function statusOf(error) {
+  return upstreamStatus(error) || error.upstream?.status || error.status;
+}
+
+/**
+ * Checks whether a request certainly never reached the server, so that it can be resent
+ * even if it is not idempotent.
+ *
+ * @param {Error} error - The error thrown by the call
+ * @returns {boolean} Whether the request was not sent
+ */
+function wasNotSent(error) {
+  const code = error.axiosError?.code || error.cause?.code;
+  return NOT_SENT_CODES.includes(code);
+}
+
+/**
+ * Checks whether a call without an HTTP status failed on the way to APS, i.e. the SDK or fetch
+ * could not get a response, as opposed to a local error such as a bug or a missing file.
+ *
+ * @param {Error} error - The error thrown by the call
+ * @returns {boolean} Whether the error is a network error
+ */
+function isNetworkError(error) {
+  // fetch rejects with a TypeError whose cause is the network error
+  return !!(
+    error.axiosError?.code ||
+    error.axiosError?.request ||
+    error.cause?.code
+  );
+}
+
+/**
+ * Reads the Retry-After header of a throttled response.
+ *
+ * @param {Error} error - The error thrown by the call
+ * @returns {number|null} The requested delay in milliseconds, or null if there is none
+ */
+function retryAfter(error) {
+  const value = error.axiosError?.response?.headers?.["retry-after"];
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes the exponential backoff delay with full jitter for a retry.
+ *
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @returns {number} The delay in milliseconds
+ */
+function backoff(attempt) {
+  const ceiling = Math.min(
+    APS_RETRY_MAX_DELAY,
+    APS_RETRY_BASE_DELAY * 2 ** (attempt - 1)
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Fails fast while the circuit is open. Once the reset timeout has passed,
+ * a single trial call is let through to probe whether APS has recovered.
+ *
+ * @param {string} name - The name of the call, for error messages
+ * @throws {ApiError} With status 503 while the circuit is open
+ */
+function checkCircuit(name) {
+  if (circuit.openedAt === null) {
+    return;
+  }
+  const remaining =
+    circuit.openedAt + APS_CIRCUIT_RESET_TIMEOUT * 1000 - Date.now();
+  if (remaining > 0 || circuit.trial) {
+    const error = new ApiError(
+      503,
+      "UPSTREAM_UNAVAILABLE",
+      "Autodesk Platform Services is temporarily unavailable. Please try again later.",
+      { service: "APS", reason: `Circuit open, ${name} was not attempted.` }
+    );
+    error.retryAfter = Math.max(1, Math.ceil(remaining / 1000));
+    throw error;
+  }
+  circuit.trial = true;
+  console.log(`APS circuit half-open, trying ${name}.`);
+}
+
+function recordSuccess() {
+  if (circuit.openedAt !== null) {
+    console.log("APS circuit closed, calls resume.");
+  }
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.trial = false;
+}
+
+function recordFailure(name) {
+  circuit.failures++;
+  if (circuit.trial || circuit.failures >= APS_CIRCUIT_THRESHOLD) {
+    if (circuit.openedAt === null || circuit.trial) {
+      console.error(
+        `APS circuit open after ${circuit.failures} consecutive failure(s), last in ${name}. Failing fast for ${APS_CIRCUIT_RESET_TIMEOUT} s.`
+      );
+    }
+    circuit.openedAt = Date.now();
+    circuit.trial = false;
+  }
+}
+
+/**
+ * Runs an APS call under the retry policy and the circuit breaker.
+ * Throttling (429) is always retried, since APS rejected the request without processing it.
+ * Server and network errors are only retried for idempotent calls, or when the request
+ * never reached the server. Local errors, such as a part file that cannot be read, are thrown
+ * at once and do not count toward opening the circuit.
+ *
+ * @param {string} name - The name of the call for the logs, e.g. "OSS getObjects"
+ * @param {Function} operation - Async function making the call
+ * @param {Object} [options] - Retry options
+ * @param {boolean} [options.idempotent=true] - Whether repeating the call has no additional effect
+ * @returns {Promise<*>} The result of the call
+ * @throws {ApiError} With status 503 if the circuit is open
+ */
+retry.withRetry = async (name, operation, { idempotent = true } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    checkCircuit(name);
+    try {
+      const result = await operation();
+      recordSuccess();
+      return result;
+    } catch (error) {
+      const status = statusOf(error);
+      if (!status && !isNetworkError(error)) {
+        // Local errors say nothing about the health of APS
+        throw error;
+      }
+      const serverFailure = !status || status >= 500;
+      if (serverFailure) {
+        recordFailure(name);
+      } else {
+        recordSuccess();
+      }
+      const retryable =
+        status === 429 || (serverFailure && (idempotent || wasNotSent(error)));
+      // Once the circuit is open, further attempts would only fail fast
+      if (
+        !retryable ||
+        attempt >= APS_RETRY_ATTEMPTS ||
+        circuit.openedAt !== null
+      ) {
+        throw error;
+      }
+      const requested = status === 429 ? retryAfter(error) : null;
+      if (requested !== null && requested > APS_RETRY_MAX_DELAY) {
+        console.warn(
+          `${name} was throttled for ${requested} ms, longer than the maximum retry delay. Giving up.`
+        );
+        throw error;
+      }
+      const delay = requested !== null ? requested : backoff(attempt);
+      console.warn(
+        `${name} failed (${
+          status || error.code || error.message
+        }), retrying in ${delay} ms (attempt ${
+          attempt + 1
+        } of ${APS_RETRY_ATTEMPTS}).`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Named views of a model: the viewable (2D sheet or 3D view), camera and
+ * selected and isolated objects, saved on the server so everyone can return to them.
+ * Views belong to the URN they were saved on, so every version of a model has its own.
+ */
+
+const crypto = require("crypto");
+const records = require("./records.js");
+const { ApiError } = require("./errors.js");
+
+/** @constant {number} Maximum length of view names */
+const MAX_NAME_LENGTH = 100;
+
+/** @constant {number} Maximum number of selected or isolated objects of a view */
+const MAX_IDS = 10000;
+
+/** @namespace savedViews - Exported saved view functions */
+const savedViews = (module.exports = {});
+
+function collection(urn) {
+  return `views-${crypto.createHash("sha1").update(urn).digest("hex")}`;
+}
+
+function invalid(message) {
+  return new ApiError(400, "INVALID_VIEW", message);
+}
+
+function notFound(id) {
+  return new ApiError(404, "VIEW_NOT_FOUND", `View '${id}' not found.`);
+}
+
+/**
+ * Validates a view submitted by a client.
+ *
+ * @param {Object} input - The view
+ * @param {string} input.name - The name of the view
+ * @param {string} [input.viewable] - The GUID of the viewable
+ * @param {Object} [input.camera] - The viewport part of the viewer state
+ * @param {Array<number>} [input.selection] - The dbIds of the selected objects
+ * @param {Array<number>} [input.isolation] - The dbIds of the isolated objects
+ * @returns {Object} The normalized view
+ * @throws {ApiError} With status 400 if the view is invalid
+ */
+function validate({ name, viewable, camera, selection, isolation } = {}) {
+  if (
+    typeof name !== "string" ||
+    !name.trim() ||
+    name.length > MAX_NAME_LENGTH
+  ) {
+    throw invalid(
+      `View name is required and must be at most ${MAX_NAME_LENGTH} characters.`
+    );
+  }
+  if (viewable != null && typeof viewable !== "string") {
+    throw invalid("Viewable must be a GUID.");
+  }
+  if (camera != null && (typeof camera !== "object" || Array.isArray(camera))) {
+    throw invalid("Camera must be a viewport state object.");
+  }
+  const checkIds = (ids, label) => {
+    if (ids == null) {
+      return [];
+    }
+    if (
+      !Array.isArray(ids) ||
+      ids.length > MAX_IDS ||
+      !ids.every((id) => Number.isInteger(id) && id >= 0)
+    ) {
+      throw invalid(
+        `${label} must be a list of at most ${MAX_IDS} object IDs.`
+      );
+    }
+    return ids;
+  };
+  return {
+    name: name.trim(),
+    viewable: viewable || null,
+    camera: camera || null,
+    selection: checkIds(selection, "Selection"),
+    isolation: checkIds(isolation, "Isolation"),
+  };
+}
+
+/**
+ * Lists the saved views of a model.
+ *
+ * @param {string} urn - The URN of the model
+ * @returns {Promise<Array<Object>>} The views, sorted by name
+ */
+savedViews.listViews = async (urn) => {
+  const all = await records.list(collection(urn));
+  return all.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Returns a saved view of a model.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} id - The ID of the view
+ * @returns {Promise<Object>} The view with `id`, `urn`, `name`, `viewable`, `camera`,
+ *   `selection`, `isolation`, `author` and `createdAt`
+ * @throws {ApiError} With status 404 if the view does not exist
+ */
+savedViews.getView = async (urn, id) => {
+  const view = await records.get(collection(urn), id);
+  if (!view) {
+    throw notFound(id);
+  }
+  return view;
+};
+
+/**
+ * Saves a view of a model.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {Object} input - The view, see validate
+ * @param {string} [input.author] - Who saved the view
+ * @returns {Promise<Object>} The saved view
+ * @throws {ApiError} With status 400 if the view is invalid, 409 if the model already has a
+ *   view with the same name
+ */
+savedViews.createView = async (urn, input) => {
+  const fields = validate(input);
+  const existing = await savedViews.listViews(urn);
+  if (existing.some((view) => view.name === fields.name)) {
+    throw new ApiError(
+      409,
+      "VIEW_EXISTS",
+      `The model already has a view named '${fields.name}'.`
+    );
+  }
+  const view = {
+    id: crypto.randomUUID(),
+    urn,
+    ...fields,
+    author: typeof input.author === "string" ? input.author.trim() : null,
+    createdAt: new Date().toISOString(),
+  };
+  await records.put(collection(urn), view.id, view);
+  return view;
+};
+
+/**
+ * Deletes a saved view.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} id - The ID of the view
+ * @returns {Promise<void>}
+ * @throws {ApiError} With status 404 if the view does not exist
+ */
+savedViews.deleteView = async (urn, id) => {
+  if (!(await records.remove(collection(urn), id))) {
+    throw notFound(id);
+  }
+};
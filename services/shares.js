@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Share links: expiring, read-only access to a single model for people without
+ * access to the application, e.g. clients. A link holds a random token; whoever holds the token,
+ * and the password if the link has one, can view the model on the public share page and nothing else.
+ * The share page gets no access token: its viewer reads the shared model through the server,
+ * which only passes on the data of the shared model.
+ * Passwords are only kept as salted scrypt hashes.
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const records = require("./records.js");
+const { ApiError } = require("./errors.js");
+const { deurnify, parseObjectId } = require("./urn.js");
+const { modelName } = require("./versions.js");
+
+const scrypt = promisify(crypto.scrypt);
+
+/** @constant {string} Record collection of share links */
+const COLLECTION = "shares";
+
+/** @constant {number} Validity of share links unless stated otherwise, in hours */
+const DEFAULT_EXPIRATION = 7 * 24;
+
+/** @constant {number} Maximum validity of share links, in hours */
+const MAX_EXPIRATION = 90 * 24;
+
+/** @constant {number} Maximum length of share link passwords */
+const MAX_PASSWORD_LENGTH = 200;
+
+/** @constant {RegExp} Paths the viewer reads derivatives from, optionally of a region */
+const VIEWER_RESOURCE =
+  /^(?:\/regions\/[a-z]+)?\/(modeldata\/manifest|modeldata\/file|cdn)\/(.+)$/;
+
+/** @constant {string} Placeholder for the CDN path in the paths of SVF2 (OTG) manifests */
+const OTG_CDN = "$otg_cdn$";
+
+/** @type {Map<string, Buffer>} Digests of the passwords already checked, keyed by share token */
+const checkedPasswords = new Map();
+
+/**
+ * @type {Map<string, Set<string>>} CDN paths below which the data of each shared model lies,
+ *   keyed by share token, as listed by the SVF2 manifest of the model
+ */
+const cdnRoots = new Map();
+
+/** @namespace shares - Exported share link functions */
+const shares = (module.exports = {});
+
+function invalid(message) {
+  return new ApiError(400, "INVALID_SHARE", message);
+}
+
+function notFound() {
+  // Unknown, expired and revoked links are not told apart
+  return new ApiError(
+    404,
+    "SHARE_NOT_FOUND",
+    "This share link does not exist or has expired."
+  );
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16)) {
+  const hash = await scrypt(password, salt, 32);
+  return `${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+async function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(":");
+  const candidate = await hashPassword(password, Buffer.from(salt, "hex"));
+  return crypto.timingSafeEqual(
+    Buffer.from(candidate.split(":")[1], "hex"),
+    Buffer.from(hash, "hex")
+  );
+}
+
+/**
+ * Checks the password of a share link. The share page sends it with every viewer request,
+ * so it is only hashed with scrypt until it has been found correct once.
+ *
+ * @param {Object} share - The stored share link
+ * @param {string} password - The password entered by the viewer
+ * @returns {Promise<boolean>} Whether the password is correct
+ */
+async function isPasswordCorrect(share, password) {
+  const digest = crypto
+    .createHash("sha256")
+    .update(`${share.passwordHash}:${password}`)
+    .digest();
+  const checked = checkedPasswords.get(share.token);
+  if (checked && crypto.timingSafeEqual(checked, digest)) {
+    return true;
+  }
+  if (!(await checkPassword(password, share.passwordHash))) {
+    return false;
+  }
+  checkedPasswords.set(share.token, digest);
+  return true;
+}
+
+function isActive(share) {
+  return Date.parse(share.expiresAt) > Date.now();
+}
+
+/**
+ * Describes a share link for clients, without its password hash.
+ *
+ * @param {Object} share - The stored share link
+ * @returns {Object} The link with `token`, `urn`, `name`, `createdBy`, `createdAt`,
+ *   `expiresAt` and whether it is password `protected`
+ */
+function describe({ passwordHash, ...share }) {
+  return { ...share, protected: !!passwordHash };
+}
+
+/**
+ * Creates a share link for a model.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {Object} [input] - The link settings
+ * @param {number} [input.expiresIn=168] - How long the link stays valid, in hours, at most 90 days
+ * @param {string} [input.password] - The password viewers must enter, if any
+ * @param {string} [input.createdBy] - Who shared the model
+ * @returns {Promise<Object>} The share link, see describe
+ * @throws {ApiError} With status 400 if the URN or the settings are invalid
+ */
+shares.createShare = async (urn, input = {}) => {
+  if (!deurnify(urn).startsWith("urn:adsk.objects:os.object:")) {
+    throw invalid(`'${urn}' is not a model URN.`);
+  }
+  const expiresIn =
+    input.expiresIn === undefined
+      ? DEFAULT_EXPIRATION
+      : Number(input.expiresIn);
+  if (!(expiresIn > 0 && expiresIn <= MAX_EXPIRATION)) {
+    throw invalid(`Expiration must be between 0 and ${MAX_EXPIRATION} hours.`);
+  }
+  const { password } = input;
+  if (
+    password !== undefined &&
+    password !== null &&
+    password !== "" &&
+    (typeof password !== "string" || password.length > MAX_PASSWORD_LENGTH)
+  ) {
+    throw invalid(
+      `Password must be a string of at most ${MAX_PASSWORD_LENGTH} characters.`
+    );
+  }
+  const now = Date.now();
+  const share = {
+    token: crypto.randomBytes(24).toString("base64url"),
+    urn,
+    name: modelName(parseObjectId(urn).objectKey),
+    createdBy:
+      typeof input.createdBy === "string" ? input.createdBy.trim() : null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + expiresIn * 60 * 60 * 1000).toISOString(),
+    passwordHash: password ? await hashPassword(password) : null,
+  };
+  await records.put(COLLECTION, share.token, share);
+  return describe(share);
+};
+
+/**
+ * Lists the active share links of a model. Expired links are deleted on the way.
+ *
+ * @param {string} urn - The URN of the model
+ * @returns {Promise<Array<Object>>} The share links, see describe, newest first
+ */
+shares.listShares = async (urn) => {
+  const all = await records.list(COLLECTION);
+  const active = [];
+  for (const share of all) {
+    if (!isActive(share)) {
+      await records.remove(COLLECTION, share.token);
+      checkedPasswords.delete(share.token);
+      cdnRoots.delete(share.token);
+    } else if (share.urn === urn) {
+      active.push(describe(share));
+    }
+  }
+  return active.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Revokes a share link of a model, so its token is refused from now on.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {string} token - The token of the link
+ * @returns {Promise<void>}
+ * @throws {ApiError} With status 404 if the model has no such link
+ */
+shares.revokeShare = async (urn, token) => {
+  const share = await records.get(COLLECTION, token);
+  if (!share || share.urn !== urn) {
+    throw notFound();
+  }
+  await records.remove(COLLECTION, token);
+  checkedPasswords.delete(token);
+  cdnRoots.delete(token);
+};
+
+/**
+ * Checks a share token, and its password if the link has one, and returns the shared model.
+ *
+ * @param {string} token - The token of the link
+ * @param {string} [password] - The password entered by the viewer
+ * @returns {Promise<Object>} The share link, see describe
+ * @throws {ApiError} With status 404 if the link does not exist, has expired or was revoked,
+ *   401 if it needs a password that was not given, 403 if the password is wrong
+ */
+shares.openShare = async (token, password) => {
+  const share = await records.get(COLLECTION, token);
+  if (!share || share.token !== token || !isActive(share)) {
+    throw notFound();
+  }
+  if (share.passwordHash) {
+    if (!password) {
+      throw new ApiError(
+        401,
+        "SHARE_PASSWORD_REQUIRED",
+        "This share link is protected by a password."
+      );
+    }
+    if (!(await isPasswordCorrect(share, password))) {
+      throw new ApiError(
+        403,
+        "SHARE_PASSWORD_INVALID",
+        "The password is not correct."
+      );
+    }
+  }
+  return describe(share);
+};
+
+/**
+ * Splits a viewer request path into the kind of resource and the path below it.
+ *
+ * @param {string} resourcePath - The path the viewer requests, with its query string
+ * @returns {{kind: string, rest: string}|null} The resource, or null if the path is invalid
+ */
+function parseResource(resourcePath) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(resourcePath.split("?")[0]);
+  } catch {
+    return null;
+  }
+  const match = VIEWER_RESOURCE.exec(pathname);
+  if (
+    !match ||
+    pathname.split("/").some((segment) => segment === "." || segment === "..")
+  ) {
+    return null;
+  }
+  return { kind: match[1], rest: match[2] };
+}
+
+/**
+ * Checks that a viewer request of a share page only reads the shared model: its manifest, its
+ * derivative files, or the SVF2 data below the CDN paths its SVF2 manifest lists,
+ * see isCdnManifest.
+ *
+ * @param {Object} share - The share link, see openShare
+ * @param {string} resourcePath - The path the viewer requests, with its query string,
+ *   e.g. "/modeldata/manifest/<urn>"
+ * @returns {boolean} Whether the request may be passed on
+ */
+shares.isSharedResource = (share, resourcePath) => {
+  const resource = parseResource(resourcePath);
+  if (!resource) {
+    return false;
+  }
+  const { kind, rest } = resource;
+  switch (kind) {
+    case "modeldata/manifest":
+      return rest === share.urn || rest === `urn:${share.urn}`;
+    case "modeldata/file":
+      return rest.startsWith(`urn:adsk.viewing:fs.file:${share.urn}/`);
+    default:
+      return [...(cdnRoots.get(share.token) || [])].some((root) =>
+        rest.startsWith(root)
+      );
+  }
+};
+
+/**
+ * Checks whether a viewer request reads an SVF2 manifest, whose CDN paths must be recorded
+ * with recordCdnRoots before the viewer can read the SVF2 data of the model.
+ *
+ * @param {string} resourcePath - The path the viewer requests, with its query string
+ * @returns {boolean} Whether the path is that of an SVF2 manifest
+ */
+shares.isCdnManifest = (resourcePath) => {
+  const resource = parseResource(resourcePath);
+  return (
+    resource?.kind === "modeldata/file" &&
+    resource.rest.endsWith("/otg_manifest.json")
+  );
+};
+
+/**
+ * Records the CDN paths listed by the SVF2 manifest of a shared model, so that the viewer of
+ * the share page may read the SVF2 data below them.
+ *
+ * @param {Object} share - The share link, see openShare
+ * @param {Object} manifest - The SVF2 manifest read for the share page
+ */
+shares.recordCdnRoots = (share, manifest) => {
+  const roots = cdnRoots.get(share.token) || new Set();
+  for (const root of Object.values(manifest?.paths || {})) {
+    if (typeof root === "string" && root.startsWith(OTG_CDN)) {
+      roots.add(root.slice(OTG_CDN.length).replace(/^\//, ""));
+    }
+  }
+  cdnRoots.set(share.token, roots);
+};
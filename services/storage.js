@@ -0,0 +1,23 @@
+/**
+ * @fileoverview Storage backend selection.
+ * Exposes the bucket, object, manifest and translation functions of the backend
+ * configured by STORAGE_BACKEND in config.js ("aps" or "local").
+ */
+
+const { STORAGE_BACKEND } = require("../config.js");
+
+/** @constant {Object<string, Function>} Loaders for the available backends */
+const backends = {
+  aps: () => require("./aps.js"),
+  local: () => require("./local.js"),
+};
+
+if (!backends[STORAGE_BACKEND]) {
+  throw new Error(
+    `Unknown storage backend '${STORAGE_BACKEND}'. Expected one of: ${Object.keys(
+      backends
+    ).join(", ")}.`
+  );
+}
+
+module.exports = backends[STORAGE_BACKEND]();
@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Token manager for APS two-legged authentication.
+ * Caches access tokens per scope set, refreshes them in the background shortly before they
+ * expire, and collapses concurrent refresh requests for the same scopes into one call.
+ */
+
+const { AuthenticationClient } = require("@aps_sdk/authentication");
+const {
+  APS_CLIENT_ID,
+  APS_CLIENT_SECRET,
+  APS_TOKEN_REFRESH_MARGIN,
+} = require("../config.js");
+const { withRetry } = require("./retry.js");
+
+const authenticationClient = new AuthenticationClient();
+
+/**
+ * @type {Map<string, {credentials: Object, expiresAt: number, refreshAt: number}>}
+ *   Cached tokens keyed by scope set
+ */
+const cache = new Map();
+
+/** @type {Map<string, Promise<Object>>} In-flight token requests keyed by scope set */
+const pending = new Map();
+
+/** @type {Map<string, NodeJS.Timeout>} Scheduled background refreshes keyed by scope set */
+const timers = new Map();
+
+/** Whether the refresh margin was found too long for the token lifetime, see refreshMargin */
+let marginClamped = false;
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  refreshes: 0,
+  failures: 0,
+};
+
+/** @namespace tokens - Exported token manager functions */
+const tokens = (module.exports = {});
+
+/**
+ * Builds a stable cache key for a list of scopes, independent of their order.
+ *
+ * @param {Array<string>} scopes - The requested scopes
+ * @returns {string} The cache key
+ */
+function scopeKey(scopes) {
+  return [...new Set(scopes)].sort().join(" ");
+}
+
+/**
+ * Returns how long before its expiry a token is refreshed. The configured margin is capped at
+ * half the token lifetime, since a margin as long as the lifetime would refresh on every call.
+ *
+ * @param {number} lifetime - The lifetime of the token, in milliseconds
+ * @returns {number} The refresh margin, in milliseconds
+ */
+function refreshMargin(lifetime) {
+  const margin = APS_TOKEN_REFRESH_MARGIN * 1000;
+  if (margin < lifetime / 2) {
+    return margin;
+  }
+  if (!marginClamped) {
+    marginClamped = true;
+    console.warn(
+      `APS_TOKEN_REFRESH_MARGIN of ${APS_TOKEN_REFRESH_MARGIN} s is not shorter than half the token lifetime of ${
+        lifetime / 1000
+      } s. Tokens are refreshed halfway through their lifetime instead.`
+    );
+  }
+  return lifetime / 2;
+}
+
+/**
+ * Schedules the refresh of a cached token for when it enters the refresh margin, so callers
+ * keep getting cached tokens. The timer does not keep the process alive.
+ * A failed background refresh is left to the next caller, who refreshes the token on demand.
+ *
+ * @param {string} key - The cache key of the scope set
+ * @param {Array<string>} scopes - The requested scopes
+ * @param {Object} entry - The cache entry of the token
+ */
+function scheduleRefresh(key, scopes, entry) {
+  clearTimeout(timers.get(key));
+  timers.delete(key);
+  const delay = entry.refreshAt - Date.now();
+  if (delay <= 0) {
+    // Tokens issued without a lifetime would be refreshed over and over
+    return;
+  }
+  const timer = setTimeout(() => {
+    timers.delete(key);
+    refresh(key, scopes).catch((error) => {
+      console.error(`Background token refresh failed: ${error.message}`);
+    });
+  }, delay);
+  timer.unref();
+  timers.set(key, timer);
+}
+
+/**
+ * Requests a new two-legged token from APS and stores it in the cache.
+ * Concurrent callers asking for the same scope set share a single request,
+ * whether it was started by them or by the background refresh.
+ *
+ * @param {string} key - The cache key of the scope set
+ * @param {Array<string>} scopes - The requested scopes
+ * @returns {Promise<Object>} The cache entry for the new token
+ */
+function refresh(key, scopes) {
+  if (pending.has(key)) {
+    return pending.get(key);
+  }
+  const request = withRetry("Authentication getTwoLeggedToken", () =>
+    authenticationClient.getTwoLeggedToken(
+      APS_CLIENT_ID,
+      APS_CLIENT_SECRET,
+      scopes
+    )
+  )
+    .then((credentials) => {
+      const lifetime = credentials.expires_in * 1000;
+      const expiresAt = Date.now() + lifetime;
+      const entry = {
+        credentials,
+        expiresAt,
+        refreshAt: expiresAt - refreshMargin(lifetime),
+      };
+      cache.set(key, entry);
+      scheduleRefresh(key, scopes, entry);
+      stats.refreshes++;
+      return entry;
+    })
+    .catch((error) => {
+      stats.failures++;
+      throw error;
+    })
+    .finally(() => pending.delete(key));
+  pending.set(key, request);
+  return request;
+}
+
+/**
+ * Returns a two-legged token for the given scopes.
+ * A cached token is reused until it is within the refresh margin of its expiry, see refreshMargin.
+ *
+ * @param {Array<string>} scopes - The requested scopes
+ * @returns {Promise<Object>} Token object with access_token and the remaining expires_in (in seconds)
+ */
+tokens.getToken = async (scopes) => {
+  const key = scopeKey(scopes);
+  let entry = cache.get(key);
+  if (entry && Date.now() < entry.refreshAt) {
+    stats.hits++;
+  } else {
+    stats.misses++;
+    entry = await refresh(key, scopes);
+  }
+  return {
+    ...entry.credentials,
+    expires_in: Math.floor((entry.expiresAt - Date.now()) / 1000),
+  };
+};
+
+/**
+ * Returns cache statistics, including the remaining lifetime of each cached scope set.
+ *
+ * @returns {Object} Hit, miss, refresh and failure counters plus cached entries
+ */
+tokens.getStats = () => ({
+  ...stats,
+  pending: pending.size,
+  cached: [...cache.entries()].map(([scopes, entry]) => ({
+    scopes,
+    expiresIn: Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000)),
+  })),
+});
+
+/**
+ * Drops all cached tokens, forcing the next request for any scope set to refresh.
+ */
+tokens.clear = () => {
+  cache.clear();
+  for (const timer of timers.values()) {
+    clearTimeout(timer);
+  }
+  timers.clear();
+};
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Translation job settings.
+ * Validates the output formats requested by clients and turns them into
+ * Model Derivative job formats, defaulting to SVF2 with 2D and 3D views.
+ */
+
+const { View, OutputType } = require("@aps_sdk/model-derivative");
+const { ApiError } = require("./errors.js");
+
+/** @constant {Array<string>} Output types the viewer can display */
+const VIEWABLE_TYPES = [OutputType.Svf, OutputType.Svf2];
+
+/** @constant {Array<string>} Output types that produce downloadable files */
+const EXPORT_TYPES = [
+  OutputType.Obj,
+  OutputType.Stl,
+  OutputType.Step,
+  OutputType.Iges,
+  OutputType.Ifc,
+];
+
+/** @constant {Array<Object>} Formats requested when a client specifies none */
+const DEFAULT_FORMATS = [
+  { type: OutputType.Svf2, views: [View._2d, View._3d] },
+];
+
+/** @namespace translation - Exported translation settings functions */
+const translation = (module.exports = {});
+
+translation.VIEWABLE_TYPES = VIEWABLE_TYPES;
+translation.EXPORT_TYPES = EXPORT_TYPES;
+
+function settingsError(message) {
+  return new ApiError(400, "INVALID_TRANSLATION_SETTINGS", message);
+}
+
+/**
+ * Validates requested output formats and fills in defaults.
+ * At most one viewable format (SVF or SVF2) may be requested; viewable formats
+ * default to 2D and 3D views. Advanced options are passed to Model Derivative as-is.
+ *
+ * @param {Array<Object>} [formats] - Requested formats, e.g. [{ type: "svf2", advanced: { "2dviews": "pdf" } }, { type: "obj" }]
+ * @returns {Array<Object>} Formats for the Model Derivative job payload
+ * @throws {Error} With status 400 if the formats are invalid
+ */
+translation.normalizeFormats = (formats) => {
+  if (formats === undefined || formats === null) {
+    return DEFAULT_FORMATS;
+  }
+  if (!Array.isArray(formats) || formats.length === 0) {
+    throw settingsError("Formats must be a non-empty array.");
+  }
+  const normalized = formats.map((format) => {
+    const type = String(format?.type || "").toLowerCase();
+    if (!VIEWABLE_TYPES.includes(type) && !EXPORT_TYPES.includes(type)) {
+      throw settingsError(
+        `Unsupported output type '${format?.type}'. Expected one of: ${[
+          ...VIEWABLE_TYPES,
+          ...EXPORT_TYPES,
+        ].join(", ")}.`
+      );
+    }
+    if (
+      format.advanced !== undefined &&
+      (typeof format.advanced !== "object" || Array.isArray(format.advanced))
+    ) {
+      throw settingsError(`Advanced options for '${type}' must be an object.`);
+    }
+    const result = { type };
+    if (VIEWABLE_TYPES.includes(type)) {
+      const views = format.views || [View._2d, View._3d];
+      if (
+        !Array.isArray(views) ||
+        views.length === 0 ||
+        views.some((view) => view !== View._2d && view !== View._3d)
+      ) {
+        throw settingsError(`Views for '${type}' must be "2d" and/or "3d".`);
+      }
+      result.views = views;
+    }
+    if (format.advanced) {
+      result.advanced = format.advanced;
+    }
+    return result;
+  });
+  if (normalized.filter((f) => VIEWABLE_TYPES.includes(f.type)).length > 1) {
+    throw settingsError("Only one of 'svf' and 'svf2' can be requested.");
+  }
+  return normalized;
+};
+
+/**
+ * Lists the downloadable files of a manifest: the resources of all successful export derivatives.
+ *
+ * @param {Object} manifest - The manifest returned by getManifest
+ * @returns {Array<Object>} Derivatives with `urn`, `name`, `outputType`, `role` and `mime`
+ */
+translation.listDownloadableDerivatives = (manifest) => {
+  const downloads = [];
+  const collect = (node, outputType) => {
+    if (node.type === "resource" && node.urn && node.status !== "failed") {
+      downloads.push({
+        urn: node.urn,
+        name: decodeURIComponent(node.urn.split("/").pop()),
+        outputType,
+        role: node.role,
+        mime: node.mime,
+      });
+    }
+    for (const child of node.children || []) {
+      collect(child, outputType);
+    }
+  };
+  for (const derivative of manifest?.derivatives || []) {
+    if (
+      EXPORT_TYPES.includes(derivative.outputType) &&
+      derivative.status === "success"
+    ) {
+      collect(derivative, derivative.outputType);
+    }
+  }
+  return downloads;
+};
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Resumable chunked upload sessions.
+ * The browser sends a file as fixed-size parts; each session keeps its parts in a
+ * temporary directory until all of them are received, then hands them to the storage
+ * backend as a multipart upload and removes the temporary files.
+ */
+
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const {
+  UPLOAD_TEMP_DIR,
+  UPLOAD_PART_SIZE,
+  UPLOAD_SESSION_TTL,
+} = require("../config.js");
+const { uploadObjectParts } = require("./storage.js");
+const { publish } = require("./progress.js");
+const { storeUpload } = require("./deduplication.js");
+const { sha1Files } = require("./hash.js");
+const { ApiError } = require("./errors.js");
+const zip = require("./zip.js");
+
+/** @constant {number} Minimum delay between byte-level progress events, in milliseconds */
+const PROGRESS_INTERVAL = 250;
+
+/** @constant {RegExp} Format of session IDs, which double as directory names */
+const SESSION_ID =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/** @namespace uploads - Exported upload session functions */
+const uploads = (module.exports = {});
+
+function sessionDir(id) {
+  if (!SESSION_ID.test(id)) {
+    throw new ApiError(
+      404,
+      "UPLOAD_NOT_FOUND",
+      `Upload session '${id}' not found.`
+    );
+  }
+  return path.join(UPLOAD_TEMP_DIR, id);
+}
+
+function partPath(id, index) {
+  return path.join(sessionDir(id), `part-${index}`);
+}
+
+/**
+ * Returns the expected byte size of a part.
+ *
+ * @param {Object} session - The upload session
+ * @param {number} index - The zero-based part index
+ * @returns {number} The size of the part in bytes
+ */
+function partLength(session, index) {
+  if (index < session.partCount - 1) {
+    return session.partSize;
+  }
+  return session.size - session.partSize * (session.partCount - 1);
+}
+
+async function readSession(id) {
+  try {
+    return JSON.parse(
+      await fsp.readFile(path.join(sessionDir(id), "session.json"), "utf8")
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new ApiError(
+        404,
+        "UPLOAD_NOT_FOUND",
+        `Upload session '${id}' not found.`
+      );
+    }
+    throw error;
+  }
+}
+
+async function writeSession(session) {
+  await fsp.writeFile(
+    path.join(sessionDir(session.id), "session.json"),
+    JSON.stringify(session)
+  );
+}
+
+/**
+ * Removes sessions that have not received a part for longer than UPLOAD_SESSION_TTL.
+ *
+ * @returns {Promise<void>}
+ */
+async function removeExpiredSessions() {
+  const ids = await fsp.readdir(UPLOAD_TEMP_DIR).catch(() => []);
+  for (const id of ids.filter((id) => SESSION_ID.test(id))) {
+    try {
+      const session = await readSession(id);
+      if (Date.now() - session.updatedAt > UPLOAD_SESSION_TTL * 1000) {
+        console.log(`Removing expired upload session: ${id}`);
+        await uploads.deleteSession(id);
+      }
+    } catch (error) {
+      console.warn(`Could not check upload session ${id}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Starts a new upload session.
+ *
+ * @param {Object} options - Session options
+ * @param {string} options.bucketKey - The bucket to upload to
+ * @param {string} options.objectKey - The name of the uploaded object
+ * @param {number} options.size - The total file size in bytes
+ * @param {string} [options.rootFilename] - The main design file if the upload is a zip archive
+ * @param {Object} [options.translation] - Translation settings applied once the upload completes
+ * @param {string} [options.uploader] - Who uploads the file, recorded with the new version
+ * @param {string} [options.comment] - What changed, recorded with the new version
+ * @returns {Promise<Object>} The session status
+ */
+uploads.createSession = async ({
+  bucketKey,
+  objectKey,
+  size,
+  rootFilename,
+  translation,
+  uploader,
+  comment,
+}) => {
+  await removeExpiredSessions();
+  const session = {
+    id: crypto.randomUUID(),
+    bucketKey,
+    objectKey,
+    size,
+    rootFilename,
+    translation,
+    uploader,
+    comment,
+    partSize: UPLOAD_PART_SIZE,
+    partCount: Math.max(1, Math.ceil(size / UPLOAD_PART_SIZE)),
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  await fsp.mkdir(sessionDir(session.id), { recursive: true });
+  await writeSession(session);
+  return await uploads.getSession(session.id);
+};
+
+/**
+ * Returns the state of an upload session, including which parts have been received.
+ *
+ * @param {string} id - The session ID
+ * @returns {Promise<Object>} The session with `received` and `missing` part indices
+ * @throws {Error} With status 404 if the session does not exist
+ */
+uploads.getSession = async (id) => {
+  const session = await readSession(id);
+  const files = await fsp.readdir(sessionDir(id));
+  const received = files
+    .filter((file) => /^part-\d+$/.test(file))
+    .map((file) => parseInt(file.substring(5), 10))
+    .sort((a, b) => a - b);
+  const missing = [];
+  for (let index = 0; index < session.partCount; index++) {
+    if (!received.includes(index)) {
+      missing.push(index);
+    }
+  }
+  return {
+    ...session,
+    received,
+    missing,
+    receivedBytes: received.reduce(
+      (total, index) => total + partLength(session, index),
+      0
+    ),
+  };
+};
+
+function partSizeError(session, index, received) {
+  return new ApiError(
+    400,
+    "INVALID_PART_SIZE",
+    `Part ${index} must be ${partLength(
+      session,
+      index
+    )} bytes long, received ${received}.`
+  );
+}
+
+/**
+ * Stores one part of an upload. The part is written to a temporary file first,
+ * so a dropped connection never leaves a truncated part behind. A part whose declared
+ * length is wrong is refused before it is read; a part without a declared length stops
+ * being written as soon as it grows beyond its size, and the rest is discarded so that
+ * the client still receives the error.
+ * Publishes byte-level "upload" events on "upload:<id>" while the part streams in.
+ *
+ * @param {string} id - The session ID
+ * @param {number} index - The zero-based part index
+ * @param {stream.Readable} source - The part contents
+ * @param {number|string} [declaredLength] - The length of the part announced by the client,
+ *   e.g. its Content-Length header
+ * @returns {Promise<Object>} The updated session status
+ * @throws {Error} With status 400 if the index or the part size is invalid
+ */
+uploads.writePart = async (id, index, source, declaredLength) => {
+  const session = await readSession(id);
+  if (!Number.isInteger(index) || index < 0 || index >= session.partCount) {
+    throw new ApiError(
+      400,
+      "INVALID_PART_INDEX",
+      `Part index must be between 0 and ${session.partCount - 1}.`
+    );
+  }
+  const target = partPath(id, index);
+  const temp = `${target}.${crypto.randomUUID()}.tmp`;
+  const { receivedBytes } = await uploads.getSession(id);
+  const expected = partLength(session, index);
+  if (
+    declaredLength !== undefined &&
+    declaredLength !== null &&
+    Number(declaredLength) !== expected
+  ) {
+    throw partSizeError(session, index, declaredLength);
+  }
+  let partBytes = 0;
+  let lastPublished = 0;
+  const limit = async function* (chunks) {
+    for await (const chunk of chunks) {
+      partBytes += chunk.length;
+      if (partBytes > expected) {
+        continue;
+      }
+      if (Date.now() - lastPublished >= PROGRESS_INTERVAL) {
+        lastPublished = Date.now();
+        publish(`upload:${id}`, {
+          type: "upload",
+          loaded: receivedBytes + partBytes,
+          total: session.size,
+        });
+      }
+      yield chunk;
+    }
+  };
+  try {
+    await pipeline(source, limit, fs.createWriteStream(temp));
+    if (partBytes !== expected) {
+      throw partSizeError(session, index, partBytes);
+    }
+    await fsp.rename(temp, target);
+  } finally {
+    await fsp.rm(temp, { force: true });
+  }
+  session.updatedAt = Date.now();
+  await writeSession(session);
+  const status = await uploads.getSession(id);
+  publish(`upload:${id}`, {
+    type: "upload",
+    loaded: status.receivedBytes,
+    total: session.size,
+  });
+  return status;
+};
+
+/**
+ * Returns a session with all of its parts, failing if some are still missing.
+ *
+ * @param {string} id - The session ID
+ * @returns {Promise<Object>} The session status
+ * @throws {Error} With status 409 if some parts are still missing
+ */
+async function getCompleteSession(id) {
+  const session = await uploads.getSession(id);
+  if (session.missing.length > 0) {
+    throw new ApiError(
+      409,
+      "UPLOAD_INCOMPLETE",
+      `Upload is incomplete, missing parts: ${session.missing.join(", ")}.`
+    );
+  }
+  return session;
+}
+
+/**
+ * Lists the entries of an uploaded zip archive and ranks its likely root design files,
+ * reading the central directory straight from the received parts.
+ *
+ * @param {string} id - The session ID
+ * @returns {Promise<{entries: Array<Object>, candidates: Array<string>}>} The archive contents
+ * @throws {Error} With status 409 if some parts are still missing, 400 if the upload is not a zip archive
+ */
+uploads.inspectArchive = async (id) => {
+  const session = await getCompleteSession(id);
+  return await zip.inspect(
+    zip.partsReader(
+      session.received.map((index) => partPath(id, index)),
+      session.partSize,
+      session.size
+    )
+  );
+};
+
+/**
+ * Finalizes an upload session by sending all parts to the storage backend as a new
+ * version of the model, then removes the session and its temporary files.
+ * The root filename of a zip archive is checked against the archive first, and the
+ * content hash of the parts is compared with the bucket, see deduplication.storeUpload;
+ * if an identical object is reused, nothing is sent.
+ * Publishes "transfer" events on "upload:<id>" as parts reach the backend.
+ *
+ * @param {string} id - The session ID
+ * @param {string} [rootFilename] - The main design file of a zip archive, replacing the one given when the session was created
+ * @param {string} [onDuplicate] - What to do if the content is already stored under another model
+ * @returns {Promise<Object>} The result of deduplication.storeUpload, with the finished `session` and the `sha1` hash
+ * @throws {Error} With status 409 if some parts are still missing or the content is a duplicate to ask about,
+ *   400 if the root filename is not in the archive
+ */
+uploads.completeSession = async (id, rootFilename, onDuplicate) => {
+  const session = await getCompleteSession(id);
+  if (rootFilename) {
+    session.rootFilename = rootFilename;
+  }
+  if (zip.isArchive(session.objectKey)) {
+    zip.checkRootFilename(
+      await uploads.inspectArchive(id),
+      session.rootFilename
+    );
+  }
+  const parts = session.received.map((index) => partPath(id, index));
+  const sha1 = await sha1Files(parts);
+  const stored = await storeUpload({
+    bucketKey: session.bucketKey,
+    name: session.objectKey,
+    sha1,
+    size: session.size,
+    store: (objectKey) =>
+      uploadObjectParts(
+        objectKey,
+        parts,
+        session.bucketKey,
+        (loaded, total) =>
+          publish(`upload:${id}`, { type: "transfer", loaded, total }),
+        { sha1 }
+      ),
+    onDuplicate,
+    uploader: session.uploader,
+    comment: session.comment,
+  });
+  await uploads.deleteSession(id);
+  return { ...stored, session, sha1 };
+};
+
+/**
+ * Aborts an upload session and removes its temporary files.
+ *
+ * @param {string} id - The session ID
+ * @returns {Promise<void>}
+ */
+uploads.deleteSession = async (id) => {
+  await fsp.rm(sessionDir(id), { recursive: true, force: true });
+};
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview URN helpers shared by all storage backends.
+ * Converts between OSS object IDs and the unpadded base64 URNs used by Model Derivative and the viewer.
+ */
+
+/**
+ * Encodes an object or bucket ID as an unpadded base64 URN.
+ *
+ * @param {string} id - The ID to encode
+ * @returns {string} The URN
+ */
+const urnify = (id) => Buffer.from(id).toString("base64").replace(/=/g, "");
+
+/**
+ * Decodes an unpadded base64 URN back to the original ID.
+ *
+ * @param {string} urn - The URN to decode
+ * @returns {string} The decoded ID
+ */
+const deurnify = (urn) => {
+  const paddedUrn = urn + "=".repeat((4 - (urn.length % 4)) % 4);
+  return Buffer.from(paddedUrn, "base64").toString();
+};
+
+/**
+ * Splits an OSS object ID (or its URN) into bucket key and object key.
+ *
+ * @param {string} id - The object ID or URN, e.g. "urn:adsk.objects:os.object:bucket/key"
+ * @returns {{bucketKey: string, objectKey: string}} The bucket and object keys
+ */
+const parseObjectId = (id) => {
+  const objectId = id.startsWith("urn:") ? id : deurnify(id);
+  const [bucketKey, ...rest] = objectId
+    .replace("urn:adsk.objects:os.object:", "")
+    .split("/");
+  return { bucketKey, objectKey: rest.join("/") };
+};
+
+module.exports = { urnify, deurnify, parseObjectId };
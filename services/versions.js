@@ -0,0 +1,467 @@
+/**
+ * @fileoverview Version history of models.
+ * A model is a logical name, such as "building.rvt", with one or more versions. Each upload
+ * is stored under its own versioned key, so every version keeps its own URN and derivatives,
+ * and an index object next to the versions records their metadata and which one is current.
+ * Objects stored under a plain key before versioning count as version 1 of their model.
+ */
+
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const {
+  getObjectDetails,
+  openObjectReader,
+  uploadObject,
+  copyObject,
+  listObjects,
+  deleteObject,
+  deleteManifest,
+  urnify,
+  DEFAULT_BUCKET,
+} = require("./storage.js");
+const { ApiError } = require("./errors.js");
+
+/** @constant {string} Key prefix of version objects and version indexes */
+const VERSIONS_PREFIX = ".versions/";
+
+/** @constant {string} Name of the index object of a model's versions */
+const INDEX_NAME = "index.json";
+
+/** @constant {RegExp} Format of versioned object keys, capturing the model name and version */
+const VERSION_KEY = /^\.versions\/(.+)\/v(\d+)\/[^/]+$/;
+
+const changes = new EventEmitter();
+changes.setMaxListeners(0);
+
+/** @namespace versions - Exported version history functions */
+const versions = (module.exports = {});
+
+function indexKey(name) {
+  return `${VERSIONS_PREFIX}${name}/${INDEX_NAME}`;
+}
+
+function objectUrn(bucketKey, objectKey) {
+  return urnify(`urn:adsk.objects:os.object:${bucketKey}/${objectKey}`);
+}
+
+function modelNotFound(name) {
+  return new ApiError(404, "MODEL_NOT_FOUND", `Model '${name}' not found.`);
+}
+
+/**
+ * Returns the key under which a version of a model is stored.
+ * The key ends with the file name of the model, which Model Derivative needs to detect the file type.
+ *
+ * @param {string} name - The model name
+ * @param {number} version - The version number
+ * @returns {string} The object key, e.g. ".versions/building.rvt/v2/building.rvt"
+ */
+versions.versionKey = (name, version) =>
+  `${VERSIONS_PREFIX}${name}/v${version}/${path.posix.basename(name)}`;
+
+/**
+ * Checks whether an object key belongs to version storage: a version object or an index.
+ *
+ * @param {string} objectKey - The object key
+ * @returns {boolean} Whether the key is a version storage key
+ */
+versions.isVersionStorageKey = (objectKey) =>
+  objectKey.startsWith(VERSIONS_PREFIX);
+
+/**
+ * Checks that a model name can be stored, i.e. that it does not collide with version storage.
+ *
+ * @param {string} name - The model name
+ * @throws {ApiError} With status 400 if the name is reserved
+ */
+versions.checkModelName = (name) => {
+  if (versions.isVersionStorageKey(name)) {
+    throw new ApiError(
+      400,
+      "INVALID_MODEL_NAME",
+      `Model names cannot start with '${VERSIONS_PREFIX}'.`
+    );
+  }
+};
+
+/**
+ * Returns the name of the model an object belongs to.
+ *
+ * @param {string} objectKey - The object key, versioned or plain
+ * @returns {string} The model name
+ */
+versions.modelName = (objectKey) => {
+  const match = VERSION_KEY.exec(objectKey);
+  return match ? match[1] : objectKey;
+};
+
+/**
+ * Reads the version index of a model.
+ *
+ * @param {string} bucketKey - The bucket containing the model
+ * @param {string} name - The model name
+ * @returns {Promise<Object|null>} The index, or null if the model has none
+ */
+async function readIndex(bucketKey, name) {
+  let reader;
+  try {
+    reader = await openObjectReader(bucketKey, indexKey(name));
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+  return JSON.parse((await reader.read(0, reader.size)).toString("utf8"));
+}
+
+/**
+ * Stores the version index of a model, replacing the previous one.
+ * Indexes are rewritten as a whole, so concurrent uploads of the same model can lose an entry.
+ *
+ * @param {string} bucketKey - The bucket containing the model
+ * @param {Object} index - The index
+ * @returns {Promise<void>}
+ */
+async function writeIndex(bucketKey, index) {
+  const file = path.join(os.tmpdir(), `versions-${crypto.randomUUID()}.json`);
+  try {
+    await fsp.writeFile(file, JSON.stringify(index));
+    await uploadObject(indexKey(index.name), file, bucketKey);
+  } finally {
+    await fsp.rm(file, { force: true });
+  }
+  changes.emit("change", bucketKey, index.name);
+}
+
+/**
+ * Subscribes to changes of models: new, promoted, moved and deleted versions.
+ *
+ * @param {Function} listener - Called with the bucket key and the name of each changed model
+ * @returns {Function} Function that removes the subscription
+ */
+versions.onModelChange = (listener) => {
+  changes.on("change", listener);
+  return () => changes.off("change", listener);
+};
+
+/**
+ * Reads the version history of a model. Models stored under a plain key without an index
+ * have a single version.
+ *
+ * @param {string} [bucketKey=DEFAULT_BUCKET] - The bucket containing the model
+ * @param {string} name - The model name
+ * @returns {Promise<Object|null>} The index with `name`, `current` and `versions`, or null if the model does not exist
+ */
+versions.getHistory = async (bucketKey = DEFAULT_BUCKET, name) => {
+  const index = await readIndex(bucketKey, name);
+  if (index) {
+    return index;
+  }
+  let obj;
+  try {
+    obj = await getObjectDetails(bucketKey, name);
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+  return {
+    name,
+    current: 1,
+    versions: [
+      {
+        version: 1,
+        objectKey: name,
+        size: obj.size,
+        sha1: obj.sha1 || null,
+        uploader: null,
+        comment: null,
+        uploadedAt: obj.lastModifiedDate
+          ? new Date(obj.lastModifiedDate).toISOString()
+          : null,
+      },
+    ],
+  };
+};
+
+/**
+ * Formats the version history of a model for clients, newest version first.
+ *
+ * @param {string} [bucketKey=DEFAULT_BUCKET] - The bucket containing the model
+ * @param {string} name - The model name
+ * @returns {Promise<Object>} The model `name`, the `current` version number and the `versions`,
+ *   each with `version`, `urn`, `size`, `sha1`, `uploader`, `comment`, `uploadedAt` and `current`
+ * @throws {ApiError} With status 404 if the model does not exist
+ */
+versions.listVersions = async (bucketKey = DEFAULT_BUCKET, name) => {
+  const history = await versions.getHistory(bucketKey, name);
+  if (!history) {
+    throw modelNotFound(name);
+  }
+  return {
+    name,
+    current: history.current,
+    versions: history.versions
+      .map(({ objectKey, ...entry }) => ({
+        ...entry,
+        urn: objectUrn(bucketKey, objectKey),
+        current: entry.version === history.current,
+      }))
+      .sort((a, b) => b.version - a.version),
+  };
+};
+
+/**
+ * Stores an upload as the new current version of a model.
+ *
+ * @param {string} [bucketKey=DEFAULT_BUCKET] - The bucket containing the model
+ * @param {string} name - The model name
+ * @param {Function} store - Async function storing the upload under the given object key and
+ *   returning the object metadata, e.g. `(objectKey) => uploadObject(objectKey, file, bucketKey)`
+ * @param {Object} [details] - Version metadata
+ * @param {string} [details.sha1] - The content hash
+ * @param {string} [details.uploader] - Who uploaded the version
+ * @param {string} [details.comment] - What changed in the version
+ * @returns {Promise<{object: Object, version: number}>} The stored object and its version number
+ */
+versions.addVersion = async (
+  bucketKey = DEFAULT_BUCKET,
+  name,
+  store,
+  details = {}
+) => {
+  const history = (await versions.getHistory(bucketKey, name)) || {
+    name,
+    current: 0,
+    versions: [],
+  };
+  const version =
+    Math.max(0, ...history.versions.map((entry) => entry.version)) + 1;
+  const object = await store(versions.versionKey(name, version));
+  history.versions.push({
+    version,
+    objectKey: object.objectKey,
+    size: object.size,
+    sha1: details.sha1 || object.sha1 || null,
+    uploader: details.uploader || null,
+    comment: details.comment || null,
+    uploadedAt: new Date().toISOString(),
+  });
+  history.current = version;
+  await writeIndex(bucketKey, history);
+  return { object, version };
+};
+
+/**
+ * Moves a model with all of its versions to another name or bucket.
+ * The versions are added to the target model after its own, if it exists, keeping their
+ * metadata and order, and the moved current version becomes the target's current version.
+ * The source model is only deleted once every version has been copied and the target's
+ * index written, so a failed move loses nothing.
+ *
+ * @param {string} sourceBucketKey - The bucket containing the model
+ * @param {string} sourceName - The model name
+ * @param {string} targetBucketKey - The bucket to move the model to
+ * @param {string} targetName - The new model name
+ * @param {boolean} [deleteDerivatives] - Whether to delete the manifests of the source versions
+ * @returns {Promise<{object: Object, version: number, moved: Array<Object>}>} The object and
+ *   number of the target's new current version, and the `object` and `version` of every moved
+ *   version, which have new URNs and thus no derivatives yet
+ * @throws {ApiError} With status 404 if the model does not exist
+ */
+versions.moveModel = async (
+  sourceBucketKey,
+  sourceName,
+  targetBucketKey,
+  targetName,
+  deleteDerivatives = false
+) => {
+  const source = await versions.getHistory(sourceBucketKey, sourceName);
+  if (!source) {
+    throw modelNotFound(sourceName);
+  }
+  const target = (await versions.getHistory(targetBucketKey, targetName)) || {
+    name: targetName,
+    current: 0,
+    versions: [],
+  };
+  const offset = Math.max(0, ...target.versions.map((entry) => entry.version));
+  const moved = [];
+  for (const entry of [...source.versions].sort(
+    (a, b) => a.version - b.version
+  )) {
+    const version = offset + entry.version;
+    const object = await copyObject(
+      sourceBucketKey,
+      entry.objectKey,
+      targetBucketKey,
+      versions.versionKey(targetName, version)
+    );
+    target.versions.push({ ...entry, version, objectKey: object.objectKey });
+    moved.push({ object, version });
+  }
+  const current = moved.find(
+    ({ version }) => version === offset + source.current
+  );
+  target.current = current.version;
+  await writeIndex(targetBucketKey, target);
+  await versions.deleteModel(sourceBucketKey, sourceName, deleteDerivatives);
+  return { ...current, moved };
+};
+
+/**
+ * Makes an earlier version the current version of a model.
+ * Its object and derivatives are kept, so no upload or translation is needed.
+ *
+ * @param {string} [bucketKey=DEFAULT_BUCKET] - The bucket containing the model
+ * @param {string} name - The model name
+ * @param {number} version - The version to promote
+ * @returns {Promise<Object>} The updated history, as returned by listVersions
+ * @throws {ApiError} With status 404 if the model or the version does not exist
+ */
+versions.promote = async (bucketKey = DEFAULT_BUCKET, name, version) => {
+  const history = await versions.getHistory(bucketKey, name);
+  if (!history) {
+    throw modelNotFound(name);
+  }
+  if (!history.versions.some((entry) => entry.version === version)) {
+    throw new ApiError(
+      404,
+      "VERSION_NOT_FOUND",
+      `Model '${name}' has no version ${version}.`
+    );
+  }
+  if (history.current !== version) {
+    history.current = version;
+    await writeIndex(bucketKey, history);
+  }
+  return await versions.listVersions(bucketKey, name);
+};
+
+/**
+ * Returns a model with its current version, like listModels does for all models of a bucket.
+ *
+ * @param {string} [bucketKey=DEFAULT_BUCKET] - The bucket containing the model
+ * @param {string} name - The model name
+ * @returns {Promise<Object|null>} The model with `name`, the current version's `object`, the
+ *   current `version` number and the number of `versions`, or null if the model does not exist
+ */
+versions.getModel = async (bucketKey = DEFAULT_BUCKET, name) => {
+  const history = await versions.getHistory(bucketKey, name);
+  const current = history?.versions.find(
+    (entry) => entry.version === history.current
+  );
+  const object =
+    current &&
+    (await getObjectDetails(bucketKey, current.objectKey).catch((error) => {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }));
+  if (!object) {
+    return null;
+  }
+  return {
+    name,
+    object,
+    version: current.version,
+    versions: history.versions.length,
+  };
+};
+
+/**
+ * Lists the models of a bucket with their current versions.
+ * Version objects and indexes are folded into the model they belong to. The upload date
+ * of a version comes from its index, as listing objects does not return their dates;
+ * objects stored without an index only have one if the storage backend lists it.
+ *
+ * @param {string} [bucketKey=DEFAULT_BUCKET] - The bucket to list
+ * @returns {Promise<Array<Object>>} Models with `name`, the current version's `object`,
+ *   the current `version` number and the number of `versions`, sorted by name
+ */
+versions.listModels = async (bucketKey = DEFAULT_BUCKET) => {
+  const objects = await listObjects(bucketKey);
+  const byKey = new Map(objects.map((obj) => [obj.objectKey, obj]));
+  const models = new Map();
+  for (const obj of objects) {
+    if (!obj.objectKey.endsWith(`/${INDEX_NAME}`)) {
+      continue;
+    }
+    const name = obj.objectKey.slice(
+      VERSIONS_PREFIX.length,
+      -INDEX_NAME.length - 1
+    );
+    const history = await readIndex(bucketKey, name);
+    const current = history?.versions.find(
+      (entry) => entry.version === history.current
+    );
+    if (current && byKey.has(current.objectKey)) {
+      const object = byKey.get(current.objectKey);
+      models.set(name, {
+        name,
+        object: {
+          ...object,
+          lastModifiedDate: current.uploadedAt
+            ? Date.parse(current.uploadedAt)
+            : object.lastModifiedDate,
+        },
+        version: current.version,
+        versions: history.versions.length,
+      });
+    }
+  }
+  for (const obj of objects) {
+    if (
+      !versions.isVersionStorageKey(obj.objectKey) &&
+      !models.has(obj.objectKey)
+    ) {
+      models.set(obj.objectKey, {
+        name: obj.objectKey,
+        object: obj,
+        version: 1,
+        versions: 1,
+      });
+    }
+  }
+  return [...models.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Deletes a model with all of its versions and its index.
+ *
+ * @param {string} [bucketKey=DEFAULT_BUCKET] - The bucket containing the model
+ * @param {string} name - The model name
+ * @param {boolean} [deleteDerivatives] - Whether to delete the manifests of the versions as well
+ * @returns {Promise<number>} The number of deleted versions
+ * @throws {ApiError} With status 404 if the model does not exist
+ */
+versions.deleteModel = async (
+  bucketKey = DEFAULT_BUCKET,
+  name,
+  deleteDerivatives = false
+) => {
+  const history = await versions.getHistory(bucketKey, name);
+  if (!history) {
+    throw modelNotFound(name);
+  }
+  const ignoreMissing = (error) => {
+    if (error.status !== 404) {
+      throw error;
+    }
+  };
+  for (const entry of history.versions) {
+    if (deleteDerivatives) {
+      await deleteManifest(objectUrn(bucketKey, entry.objectKey));
+    }
+    await deleteObject(bucketKey, entry.objectKey).catch(ignoreMissing);
+  }
+  await deleteObject(bucketKey, indexKey(name)).catch(ignoreMissing);
+  changes.emit("change", bucketKey, name);
+  return history.versions.length;
+};
@@ -0,0 +1,299 @@
+/**
+ * @fileoverview Zip archive inspection.
+ * Reads the central directory at the end of an archive to list its entries without
+ * extracting anything, ranks the entries that are likely root design files, and checks
+ * the root filename requested for a translation against the archive.
+ * Archives are read through readers (`{ size, read(position, length) }`), so the same
+ * code works for uploaded files, upload session parts and stored objects.
+ */
+
+const fsp = require("fs/promises");
+const path = require("path");
+const { ApiError } = require("./errors.js");
+
+/** @constant {Array<string>} Extensions of root design files, most likely root first */
+const ROOT_EXTENSIONS = [
+  ".rvt",
+  ".nwd",
+  ".nwf",
+  ".iam",
+  ".sldasm",
+  ".catproduct",
+  ".asm",
+  ".f3d",
+  ".dwg",
+  ".nwc",
+  ".ifc",
+  ".ipt",
+  ".sldprt",
+  ".catpart",
+  ".prt",
+  ".dgn",
+  ".3dm",
+  ".skp",
+  ".step",
+  ".stp",
+  ".iges",
+  ".igs",
+  ".fbx",
+  ".dxf",
+];
+
+/** @constant {number} Size of the end of central directory record without its comment */
+const EOCD_SIZE = 22;
+
+/** @constant {number} Largest possible archive comment */
+const MAX_COMMENT_SIZE = 0xffff;
+
+/** @constant {number} Size of the ZIP64 end of central directory locator */
+const ZIP64_LOCATOR_SIZE = 20;
+
+/** @constant {number} Largest central directory read into memory, in bytes */
+const MAX_CENTRAL_DIRECTORY_SIZE = 64 * 1024 * 1024;
+
+/** @namespace zip - Exported zip archive functions */
+const zip = (module.exports = {});
+
+function invalidArchive(message) {
+  return new ApiError(400, "INVALID_ZIP", message);
+}
+
+/**
+ * Checks whether an object or file name denotes a zip archive.
+ *
+ * @param {string} name - The name
+ * @returns {boolean} Whether the name ends with ".zip"
+ */
+zip.isArchive = (name) => /\.zip$/i.test(name || "");
+
+/**
+ * Creates a reader for a file on disk.
+ *
+ * @param {string} filePath - The path of the file
+ * @returns {Promise<Object>} Reader with the file `size` and a `read(position, length)` function
+ */
+zip.fileReader = async (filePath) => {
+  const { size } = await fsp.stat(filePath);
+  return {
+    size,
+    read: async (position, length) => {
+      const handle = await fsp.open(filePath, "r");
+      try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
+  };
+};
+
+/**
+ * Creates a reader for a file split into consecutive part files of equal size.
+ *
+ * @param {Array<string>} partPaths - Paths of the part files, in order
+ * @param {number} partSize - The size of every part but the last, in bytes
+ * @param {number} size - The total size, in bytes
+ * @returns {Object} Reader with the total `size` and a `read(position, length)` function
+ */
+zip.partsReader = (partPaths, partSize, size) => ({
+  size,
+  read: async (position, length) => {
+    const chunks = [];
+    let offset = position;
+    const end = Math.min(size, position + length);
+    while (offset < end) {
+      const index = Math.floor(offset / partSize);
+      const part = await zip.fileReader(partPaths[index]);
+      const start = offset - index * partSize;
+      const chunk = await part.read(
+        start,
+        Math.min(end - offset, partSize - start)
+      );
+      if (chunk.length === 0) {
+        break;
+      }
+      chunks.push(chunk);
+      offset += chunk.length;
+    }
+    return Buffer.concat(chunks);
+  },
+});
+
+/**
+ * Finds the end of central directory record and returns the location of the central directory,
+ * following the ZIP64 records of large archives.
+ *
+ * @param {Object} reader - The archive reader
+ * @returns {Promise<{offset: number, size: number, count: number}>} The central directory location
+ * @throws {ApiError} With status 400 if the file is not a zip archive
+ */
+async function findCentralDirectory(reader) {
+  const tailSize = Math.min(reader.size, EOCD_SIZE + MAX_COMMENT_SIZE);
+  const tailStart = reader.size - tailSize;
+  const tail = await reader.read(tailStart, tailSize);
+  let eocd = -1;
+  for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw invalidArchive("The file is not a valid zip archive.");
+  }
+  let count = tail.readUInt16LE(eocd + 10);
+  let size = tail.readUInt32LE(eocd + 12);
+  let offset = tail.readUInt32LE(eocd + 16);
+
+  const locator = eocd - ZIP64_LOCATOR_SIZE;
+  if (locator >= 0 && tail.readUInt32LE(locator) === 0x07064b50) {
+    const recordOffset = Number(tail.readBigUInt64LE(locator + 8));
+    const record = await reader.read(recordOffset, 56);
+    if (record.length < 56 || record.readUInt32LE(0) !== 0x06064b50) {
+      throw invalidArchive("The ZIP64 records of the archive are corrupt.");
+    }
+    count = Number(record.readBigUInt64LE(32));
+    size = Number(record.readBigUInt64LE(40));
+    offset = Number(record.readBigUInt64LE(48));
+  }
+  if (offset + size > reader.size) {
+    throw invalidArchive("The central directory of the archive is corrupt.");
+  }
+  return { offset, size, count };
+}
+
+/**
+ * Returns the uncompressed size of a central directory entry, reading it from the
+ * ZIP64 extra field when it does not fit in 32 bits.
+ *
+ * @param {Buffer} extra - The extra fields of the entry
+ * @param {number} size - The 32-bit uncompressed size
+ * @returns {number} The uncompressed size
+ */
+function entrySize(extra, size) {
+  if (size !== 0xffffffff) {
+    return size;
+  }
+  for (let i = 0; i + 4 <= extra.length; ) {
+    const id = extra.readUInt16LE(i);
+    const length = extra.readUInt16LE(i + 2);
+    // The uncompressed size is the first value of the ZIP64 extra field
+    if (id === 0x0001 && length >= 8) {
+      return Number(extra.readBigUInt64LE(i + 4));
+    }
+    i += 4 + length;
+  }
+  return size;
+}
+
+/**
+ * Lists the files in an archive. Directories and macOS resource forks are left out.
+ *
+ * @param {Object} reader - The archive reader
+ * @returns {Promise<Array<{name: string, size: number}>>} The file entries, in archive order
+ * @throws {ApiError} With status 400 if the file is not a valid zip archive
+ */
+zip.listEntries = async (reader) => {
+  const { offset, size, count } = await findCentralDirectory(reader);
+  if (size > MAX_CENTRAL_DIRECTORY_SIZE) {
+    throw invalidArchive("The archive contains too many entries to inspect.");
+  }
+  const directory = await reader.read(offset, size);
+  const entries = [];
+  let position = 0;
+  for (let i = 0; i < count; i++) {
+    if (
+      position + 46 > directory.length ||
+      directory.readUInt32LE(position) !== 0x02014b50
+    ) {
+      throw invalidArchive("The central directory of the archive is corrupt.");
+    }
+    const flags = directory.readUInt16LE(position + 8);
+    const uncompressedSize = directory.readUInt32LE(position + 24);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const nameStart = position + 46;
+    const name = directory
+      .subarray(nameStart, nameStart + nameLength)
+      // Bit 11 marks UTF-8 names; older tools use code page 437, which matches for ASCII names
+      .toString(flags & 0x800 ? "utf8" : "latin1");
+    const extra = directory.subarray(
+      nameStart + nameLength,
+      nameStart + nameLength + extraLength
+    );
+    position = nameStart + nameLength + extraLength + commentLength;
+
+    const hidden =
+      name.startsWith("__MACOSX/") ||
+      path.posix.basename(name).startsWith("._");
+    if (!name.endsWith("/") && !hidden) {
+      entries.push({
+        name,
+        size: entrySize(extra, uncompressedSize),
+      });
+    }
+  }
+  return entries;
+};
+
+/**
+ * Ranks the entries that are likely root design files. Files with more likely
+ * extensions come first, then files closer to the archive root, then larger files.
+ *
+ * @param {Array<{name: string, size: number}>} entries - The archive entries
+ * @returns {Array<string>} Names of the candidate root files, best first
+ */
+zip.rankRootFiles = (entries) =>
+  entries
+    .map((entry) => ({
+      ...entry,
+      rank: ROOT_EXTENSIONS.indexOf(
+        path.posix.extname(entry.name).toLowerCase()
+      ),
+      depth: entry.name.split("/").length,
+    }))
+    .filter((entry) => entry.rank >= 0)
+    .sort((a, b) => a.rank - b.rank || a.depth - b.depth || b.size - a.size)
+    .map((entry) => entry.name);
+
+/**
+ * Lists the entries of an archive together with the ranked root file candidates.
+ *
+ * @param {Object} reader - The archive reader
+ * @returns {Promise<{entries: Array<Object>, candidates: Array<string>}>} The archive contents
+ */
+zip.inspect = async (reader) => {
+  const entries = await zip.listEntries(reader);
+  return { entries, candidates: zip.rankRootFiles(entries) };
+};
+
+/**
+ * Checks that a root filename names a file in the archive.
+ *
+ * @param {Object} archive - The archive contents, as returned by inspect
+ * @param {string} rootFilename - The requested root filename
+ * @throws {ApiError} With status 400 if the root filename is missing or not in the archive
+ */
+zip.checkRootFilename = (archive, rootFilename) => {
+  const suggestions =
+    archive.candidates.length > 0
+      ? ` Likely root files: ${archive.candidates.slice(0, 5).join(", ")}.`
+      : "";
+  if (!rootFilename) {
+    throw new ApiError(
+      400,
+      "ZIP_ENTRYPOINT_REQUIRED",
+      `The main design file of the archive is required.${suggestions}`
+    );
+  }
+  if (!archive.entries.some((entry) => entry.name === rootFilename)) {
+    throw new ApiError(
+      400,
+      "INVALID_ZIP_ENTRYPOINT",
+      `The archive does not contain '${rootFilename}'.${suggestions}`
+    );
+  }
+};
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Tests of the content-hash deduplication of uploads, on the local storage backend.
+ * Each test works in a bucket of its own, in a storage directory removed afterwards.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "deduplication-test-"));
+process.env.STORAGE_BACKEND = "local";
+process.env.LOCAL_STORAGE_DIR = path.join(root, "storage");
+process.env.CACHE_DIR = path.join(root, "cache");
+process.env.DATA_DIR = path.join(root, "data");
+process.env.LOCAL_TRANSLATION_TIME = "1";
+
+const {
+  storeUpload,
+  translateUpload,
+} = require("../services/deduplication.js");
+const { listVersions } = require("../services/versions.js");
+const { uploadObject, listObjects, urnify } = require("../services/storage.js");
+
+after(async () => {
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Uploads a file through storeUpload.
+ *
+ * @param {string} bucketKey - The bucket to upload to
+ * @param {string} name - The model name
+ * @param {string} content - The file content
+ * @param {Object} [options] - Further storeUpload options, e.g. `onDuplicate`
+ * @returns {Promise<Object>} The result of storeUpload
+ */
+async function upload(bucketKey, name, content, options = {}) {
+  const file = path.join(root, `upload-${crypto.randomUUID()}`);
+  await fsp.writeFile(file, content);
+  try {
+    return await storeUpload({
+      bucketKey,
+      name,
+      sha1: crypto.createHash("sha1").update(content).digest("hex"),
+      size: Buffer.byteLength(content),
+      store: (objectKey) => uploadObject(objectKey, file, bucketKey),
+      ...options,
+    });
+  } finally {
+    await fsp.rm(file, { force: true });
+  }
+}
+
+test("stores new content as a new model", async () => {
+  const result = await upload("new-models", "a.txt", "alpha");
+  assert.equal(result.upload, "new");
+  assert.equal(result.name, "a.txt");
+  assert.equal(result.version, 1);
+});
+
+test("stores changed content as a new version of the model", async () => {
+  const bucket = "new-versions";
+  await upload(bucket, "a.txt", "alpha");
+  const result = await upload(bucket, "a.txt", "beta");
+  assert.equal(result.upload, "version");
+  assert.equal(result.version, 2);
+});
+
+test("reuses the current version when the same file is uploaded again", async () => {
+  const bucket = "same-upload";
+  const first = await upload(bucket, "a.txt", "alpha");
+  const objects = (await listObjects(bucket)).length;
+  const result = await upload(bucket, "a.txt", "alpha");
+  assert.equal(result.upload, "deduplicated");
+  assert.equal(result.version, 1);
+  assert.equal(result.object.objectKey, first.object.objectKey);
+  assert.equal((await listObjects(bucket)).length, objects);
+});
+
+test("makes an earlier version current again when it is uploaded again", async () => {
+  const bucket = "earlier-upload";
+  await upload(bucket, "a.txt", "alpha");
+  await upload(bucket, "a.txt", "beta");
+  const result = await upload(bucket, "a.txt", "alpha");
+  assert.equal(result.upload, "deduplicated");
+  assert.equal(result.version, 1);
+  assert.equal((await listVersions(bucket, "a.txt")).current, 1);
+});
+
+test("asks what to do with content stored under another model", async () => {
+  const bucket = "ask-duplicates";
+  const first = await upload(bucket, "a.txt", "alpha");
+  await assert.rejects(upload(bucket, "c.txt", "alpha"), (error) => {
+    assert.equal(error.status, 409);
+    assert.equal(error.code, "DUPLICATE_OBJECT");
+    assert.deepEqual(error.details, {
+      name: "a.txt",
+      urn: urnify(first.object.objectId),
+      actions: ["reuse", "upload"],
+    });
+    return true;
+  });
+});
+
+test("reuses or copies content stored under another model as chosen", async () => {
+  const bucket = "chosen-duplicates";
+  const first = await upload(bucket, "a.txt", "alpha");
+
+  const reused = await upload(bucket, "c.txt", "alpha", {
+    onDuplicate: "reuse",
+  });
+  assert.equal(reused.upload, "deduplicated");
+  assert.equal(reused.name, "a.txt");
+  assert.equal(reused.version, null);
+  assert.equal(reused.object.objectKey, first.object.objectKey);
+
+  const copied = await upload(bucket, "c.txt", "alpha", {
+    onDuplicate: "upload",
+  });
+  assert.equal(copied.upload, "new");
+  assert.equal(copied.name, "c.txt");
+  assert.notEqual(copied.object.objectKey, first.object.objectKey);
+});
+
+test("refuses unknown duplicate handling", async () => {
+  await assert.rejects(
+    upload("invalid-policy", "a.txt", "alpha", { onDuplicate: "merge" }),
+    { status: 400, code: "INVALID_DUPLICATE_POLICY" }
+  );
+});
+
+test("does not translate reused objects that are already translated", async () => {
+  const bucket = "translate-uploads";
+  const { object } = await upload(bucket, "a.txt", "alpha");
+  const urn = urnify(object.objectId);
+  assert.equal(await translateUpload(urn, "new"), "created");
+  // Let the simulated translation finish
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(await translateUpload(urn, "deduplicated"), "skipped");
+  assert.notEqual(
+    await translateUpload(urn, "deduplicated", undefined, { force: true }),
+    "skipped"
+  );
+});
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Tests of the retry policy and the circuit breaker of APS calls.
+ * The tests share the circuit of the module, so the one opening it runs last.
+ */
+
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.APS_RETRY_ATTEMPTS = "3";
+process.env.APS_RETRY_BASE_DELAY = "1";
+process.env.APS_RETRY_MAX_DELAY = "50";
+process.env.APS_CIRCUIT_THRESHOLD = "5";
+process.env.APS_CIRCUIT_RESET_TIMEOUT = "1";
+
+const { withRetry } = require("../services/retry.js");
+const { ApiError } = require("../services/errors.js");
+
+mock.method(console, "log", () => {});
+mock.method(console, "warn", () => {});
+mock.method(console, "error", () => {});
+
+/**
+ * Builds an error like the ones thrown by the APS SDK for a response with the given status.
+ *
+ * @param {number} status - The HTTP status of the response
+ * @param {Object} [headers] - The response headers
+ * @returns {Error} The error
+ */
+function responseError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.axiosError = { response: { status, headers } };
+  return error;
+}
+
+/**
+ * Builds an error like the ones thrown by the APS SDK when no response was received.
+ *
+ * @param {string} code - The network error code, e.g. "ECONNRESET"
+ * @returns {Error} The error
+ */
+function networkError(code) {
+  const error = new Error(code);
+  error.axiosError = { code, request: {} };
+  return error;
+}
+
+/**
+ * Returns an operation failing with the given errors, one per call, and succeeding afterwards.
+ *
+ * @param {...Error} errors - The errors to throw
+ * @returns {Function} The operation, with the number of `calls` made so far
+ */
+function failing(...errors) {
+  const operation = async () => {
+    operation.calls++;
+    if (errors.length > 0) {
+      throw errors.shift();
+    }
+    return "done";
+  };
+  operation.calls = 0;
+  return operation;
+}
+
+test("returns the result of a successful call", async () => {
+  const operation = failing();
+  assert.equal(await withRetry("test", operation), "done");
+  assert.equal(operation.calls, 1);
+});
+
+test("retries server errors of idempotent calls", async () => {
+  const operation = failing(responseError(503), responseError(500));
+  assert.equal(await withRetry("test", operation), "done");
+  assert.equal(operation.calls, 3);
+});
+
+test("gives up after the configured number of attempts", async () => {
+  const operation = failing(
+    responseError(502),
+    responseError(502),
+    responseError(502)
+  );
+  await assert.rejects(withRetry("test", operation), /status code 502/);
+  assert.equal(operation.calls, 3);
+  // Reset the count of consecutive failures for the following tests
+  await withRetry("test", failing());
+});
+
+test("does not retry server errors of non-idempotent calls", async () => {
+  const operation = failing(responseError(500));
+  await assert.rejects(
+    withRetry("test", operation, { idempotent: false }),
+    /status code 500/
+  );
+  assert.equal(operation.calls, 1);
+});
+
+test("retries non-idempotent calls that never reached the server", async () => {
+  const operation = failing(networkError("ECONNREFUSED"));
+  assert.equal(
+    await withRetry("test", operation, { idempotent: false }),
+    "done"
+  );
+  assert.equal(operation.calls, 2);
+});
+
+test("retries fetch calls failing on the network", async () => {
+  const operation = failing(
+    new TypeError("fetch failed", { cause: { code: "ECONNRESET" } })
+  );
+  assert.equal(await withRetry("test", operation), "done");
+  assert.equal(operation.calls, 2);
+});
+
+test("does not retry client errors", async () => {
+  const operation = failing(responseError(404));
+  await assert.rejects(withRetry("test", operation), /status code 404/);
+  assert.equal(operation.calls, 1);
+});
+
+test("retries throttled calls, even if they are not idempotent", async () => {
+  const operation = failing(responseError(429, { "retry-after": "0" }));
+  assert.equal(
+    await withRetry("test", operation, { idempotent: false }),
+    "done"
+  );
+  assert.equal(operation.calls, 2);
+});
+
+test("gives up when throttled for longer than the maximum delay", async () => {
+  const operation = failing(responseError(429, { "retry-after": "60" }));
+  await assert.rejects(withRetry("test", operation), /status code 429/);
+  assert.equal(operation.calls, 1);
+});
+
+test("throws local errors at once without opening the circuit", async () => {
+  for (let i = 0; i < 5; i++) {
+    const error = new Error("ENOENT: no such file or directory");
+    error.code = "ENOENT";
+    const operation = failing(error);
+    await assert.rejects(withRetry("test", operation), /ENOENT/);
+    assert.equal(operation.calls, 1);
+  }
+  const operation = failing(new TypeError("x is not a function"));
+  await assert.rejects(withRetry("test", operation), TypeError);
+  assert.equal(await withRetry("test", failing()), "done");
+});
+
+test("opens the circuit after consecutive failures and closes it after a successful trial", async () => {
+  const operation = failing(
+    responseError(500),
+    responseError(500),
+    responseError(500)
+  );
+  await assert.rejects(withRetry("test", operation), /status code 500/);
+  assert.equal(operation.calls, 3);
+  // The fifth consecutive failure opens the circuit, so the call is not attempted again
+  const opening = failing(responseError(500), responseError(500));
+  await assert.rejects(withRetry("test", opening), /status code 500/);
+  assert.equal(opening.calls, 2);
+
+  const skipped = failing();
+  await assert.rejects(withRetry("test", skipped), (error) => {
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.status, 503);
+    assert.equal(error.code, "UPSTREAM_UNAVAILABLE");
+    return true;
+  });
+  assert.equal(skipped.calls, 0);
+
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  assert.equal(await withRetry("test", failing()), "done");
+  assert.equal(await withRetry("test", failing()), "done");
+});
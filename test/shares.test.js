@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Tests of share links: their validation, passwords, expiry and the viewer
+ * resources they give access to. Links are stored in a data directory removed afterwards.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "shares-test-"));
+process.env.STORAGE_BACKEND = "local";
+process.env.LOCAL_STORAGE_DIR = path.join(root, "storage");
+process.env.CACHE_DIR = path.join(root, "cache");
+process.env.DATA_DIR = path.join(root, "data");
+
+const shares = require("../services/shares.js");
+const { urnify } = require("../services/urn.js");
+
+after(async () => {
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+const URN = urnify(
+  "urn:adsk.objects:os.object:share-test/.versions/a.rvt/v2/a.rvt"
+);
+const OTHER_URN = urnify("urn:adsk.objects:os.object:share-test/b.rvt");
+
+test("creates links to models with a random token and an expiry", async () => {
+  const before = Date.now();
+  const share = await shares.createShare(URN, { createdBy: " ann " });
+  assert.match(share.token, /^[\w-]{32}$/);
+  assert.equal(share.urn, URN);
+  assert.equal(share.name, "a.rvt");
+  assert.equal(share.createdBy, "ann");
+  assert.equal(share.protected, false);
+  assert.ok(!("passwordHash" in share));
+  const validity = Date.parse(share.expiresAt) - before;
+  assert.ok(Math.abs(validity - 7 * 24 * 60 * 60 * 1000) < 60 * 1000);
+  assert.notEqual((await shares.createShare(URN)).token, share.token);
+});
+
+test("refuses invalid links", async () => {
+  await assert.rejects(shares.createShare("not-a-urn"), {
+    status: 400,
+    code: "INVALID_SHARE",
+  });
+  for (const expiresIn of [0, -1, 90 * 24 + 1, "soon"]) {
+    await assert.rejects(shares.createShare(URN, { expiresIn }), {
+      status: 400,
+      code: "INVALID_SHARE",
+    });
+  }
+  await assert.rejects(shares.createShare(URN, { password: 1234 }), {
+    status: 400,
+    code: "INVALID_SHARE",
+  });
+  await assert.rejects(shares.createShare(URN, { password: "x".repeat(201) }), {
+    status: 400,
+    code: "INVALID_SHARE",
+  });
+});
+
+test("opens links without a password", async () => {
+  const { token } = await shares.createShare(URN);
+  const share = await shares.openShare(token);
+  assert.equal(share.urn, URN);
+  assert.ok(!("passwordHash" in share));
+});
+
+test("only opens password-protected links with their password", async () => {
+  const { token, protected: isProtected } = await shares.createShare(URN, {
+    password: "s3cret é",
+  });
+  assert.equal(isProtected, true);
+  await assert.rejects(shares.openShare(token), {
+    status: 401,
+    code: "SHARE_PASSWORD_REQUIRED",
+  });
+  await assert.rejects(shares.openShare(token, "wrong"), {
+    status: 403,
+    code: "SHARE_PASSWORD_INVALID",
+  });
+  assert.equal((await shares.openShare(token, "s3cret é")).token, token);
+  // A password found correct once is still checked against the link
+  assert.equal((await shares.openShare(token, "s3cret é")).token, token);
+  await assert.rejects(shares.openShare(token, "s3cret"), {
+    status: 403,
+    code: "SHARE_PASSWORD_INVALID",
+  });
+});
+
+test("keeps only a salted hash of the password", async () => {
+  const { token } = await shares.createShare(URN, { password: "s3cret" });
+  const stored = await fsp.readFile(
+    path.join(root, "data", "shares", `${token}.json`),
+    "utf8"
+  );
+  assert.ok(!stored.includes("s3cret"));
+  assert.match(JSON.parse(stored).passwordHash, /^[0-9a-f]{32}:[0-9a-f]{64}$/);
+
+  const other = await shares.createShare(URN, { password: "s3cret" });
+  const otherStored = await fsp.readFile(
+    path.join(root, "data", "shares", `${other.token}.json`),
+    "utf8"
+  );
+  assert.notEqual(
+    JSON.parse(otherStored).passwordHash,
+    JSON.parse(stored).passwordHash
+  );
+});
+
+test("refuses unknown, expired and revoked links alike", async () => {
+  const notFound = { status: 404, code: "SHARE_NOT_FOUND" };
+  await assert.rejects(shares.openShare("unknown-token"), notFound);
+
+  const expiring = await shares.createShare(URN, { expiresIn: 1e-6 });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  await assert.rejects(shares.openShare(expiring.token), notFound);
+
+  const revoked = await shares.createShare(URN);
+  await assert.rejects(shares.revokeShare(OTHER_URN, revoked.token), notFound);
+  await shares.revokeShare(URN, revoked.token);
+  await assert.rejects(shares.openShare(revoked.token), notFound);
+});
+
+test("lists the active links of a model, newest first", async () => {
+  const urn = urnify("urn:adsk.objects:os.object:share-test/listed.rvt");
+  const first = await shares.createShare(urn);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const second = await shares.createShare(urn);
+  await shares.createShare(urn, { expiresIn: 1e-6 });
+  await shares.createShare(OTHER_URN);
+  await new Promise((resolve) => setTimeout(resolve, 10));
+
+  const listed = await shares.listShares(urn);
+  assert.deepEqual(
+    listed.map((share) => share.token),
+    [second.token, first.token]
+  );
+});
+
+test("only gives access to the viewer data of the shared model", async () => {
+  const share = await shares.openShare((await shares.createShare(URN)).token);
+  const allowed = [
+    `/modeldata/manifest/${URN}`,
+    `/modeldata/manifest/urn:${URN}`,
+    `/regions/eu/modeldata/manifest/${URN}?domain=x`,
+    `/modeldata/file/urn:adsk.viewing:fs.file:${URN}/output/0/0.svf`,
+  ];
+  const refused = [
+    `/modeldata/manifest/${OTHER_URN}`,
+    `/modeldata/file/urn:adsk.viewing:fs.file:${OTHER_URN}/output/0/0.svf`,
+    `/modeldata/file/urn:adsk.viewing:fs.file:${URN}/../${OTHER_URN}/0.svf`,
+    `/modeldata/file/urn:adsk.viewing:fs.file:${URN}/%2e%2e/${OTHER_URN}`,
+    `/derivativeservice/v2/manifest/${URN}`,
+    "/cdn/any/path",
+    "/modeldata/manifest/%E0%A4%A",
+  ];
+  for (const resourcePath of allowed) {
+    assert.ok(shares.isSharedResource(share, resourcePath), resourcePath);
+  }
+  for (const resourcePath of refused) {
+    assert.ok(!shares.isSharedResource(share, resourcePath), resourcePath);
+  }
+});
+
+test("gives access to the CDN paths listed by the SVF2 manifest of the shared model", async () => {
+  const share = await shares.openShare((await shares.createShare(URN)).token);
+  const manifestPath = `/modeldata/file/urn:adsk.viewing:fs.file:${URN}/output/otg_manifest.json`;
+  assert.ok(shares.isCdnManifest(manifestPath));
+  assert.ok(!shares.isCdnManifest(`/modeldata/manifest/${URN}`));
+  assert.ok(!shares.isSharedResource(share, "/cdn/acct/model/file.bin"));
+
+  shares.recordCdnRoots(share, {
+    paths: {
+      version_root: "$otg_cdn$/acct/model/",
+      shared_root: "$otg_cdn$/acct/shared/",
+      global_sharding: 2,
+    },
+  });
+  assert.ok(shares.isSharedResource(share, "/cdn/acct/model/file.bin"));
+  assert.ok(shares.isSharedResource(share, "/regions/eu/cdn/acct/shared/x"));
+  assert.ok(!shares.isSharedResource(share, "/cdn/acct/other/file.bin"));
+  assert.ok(!shares.isSharedResource(share, "/cdn/acct/model/../other/x"));
+
+  const other = await shares.openShare((await shares.createShare(URN)).token);
+  assert.ok(!shares.isSharedResource(other, "/cdn/acct/model/file.bin"));
+});
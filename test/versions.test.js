@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Tests of the version history of models, on the local storage backend.
+ * Each test works in a bucket of its own, in a storage directory removed afterwards.
+ */
+
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "versions-test-"));
+process.env.STORAGE_BACKEND = "local";
+process.env.LOCAL_STORAGE_DIR = path.join(root, "storage");
+process.env.CACHE_DIR = path.join(root, "cache");
+process.env.DATA_DIR = path.join(root, "data");
+
+const versions = require("../services/versions.js");
+const { uploadObject, listObjects, urnify } = require("../services/storage.js");
+
+after(async () => {
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+/**
+ * Returns a store function for addVersion that uploads the given content.
+ *
+ * @param {string} bucketKey - The bucket to upload to
+ * @param {string} content - The file content
+ * @returns {Function} The store function
+ */
+function storing(bucketKey, content) {
+  return async (objectKey) => {
+    const file = path.join(root, `upload-${Date.now()}-${Math.random()}`);
+    await fsp.writeFile(file, content);
+    try {
+      return await uploadObject(objectKey, file, bucketKey);
+    } finally {
+      await fsp.rm(file, { force: true });
+    }
+  };
+}
+
+test("stores versions under versioned keys named after the model", () => {
+  const key = versions.versionKey("plans/building.rvt", 2);
+  assert.equal(key, ".versions/plans/building.rvt/v2/building.rvt");
+  assert.equal(versions.modelName(key), "plans/building.rvt");
+  assert.equal(versions.modelName("building.rvt"), "building.rvt");
+  assert.ok(versions.isVersionStorageKey(key));
+  assert.ok(!versions.isVersionStorageKey("building.rvt"));
+});
+
+test("refuses model names reserved for version storage", () => {
+  assert.throws(() => versions.checkModelName(".versions/a.rvt"), {
+    status: 400,
+    code: "INVALID_MODEL_NAME",
+  });
+  assert.doesNotThrow(() => versions.checkModelName("a.rvt"));
+});
+
+test("numbers the versions of a model and makes the newest one current", async () => {
+  const bucket = "add-versions";
+  const first = await versions.addVersion(
+    bucket,
+    "a.rvt",
+    storing(bucket, "one"),
+    { uploader: "ann", comment: "First" }
+  );
+  const second = await versions.addVersion(
+    bucket,
+    "a.rvt",
+    storing(bucket, "two")
+  );
+  assert.equal(first.version, 1);
+  assert.equal(second.version, 2);
+  assert.equal(second.object.objectKey, ".versions/a.rvt/v2/a.rvt");
+
+  const history = await versions.listVersions(bucket, "a.rvt");
+  assert.equal(history.current, 2);
+  assert.deepEqual(
+    history.versions.map(({ version, current }) => [version, current]),
+    [
+      [2, true],
+      [1, false],
+    ]
+  );
+  assert.equal(history.versions[1].uploader, "ann");
+  assert.equal(history.versions[1].comment, "First");
+  assert.equal(history.versions[0].urn, urnify(second.object.objectId));
+});
+
+test("treats objects stored without an index as version 1", async () => {
+  const bucket = "plain-objects";
+  await storing(bucket, "legacy")("old.dwg");
+  const history = await versions.getHistory(bucket, "old.dwg");
+  assert.equal(history.current, 1);
+  assert.equal(history.versions[0].objectKey, "old.dwg");
+  assert.equal(await versions.getHistory(bucket, "missing.dwg"), null);
+});
+
+test("promotes an earlier version without storing anything", async () => {
+  const bucket = "promote-versions";
+  await versions.addVersion(bucket, "a.rvt", storing(bucket, "one"));
+  await versions.addVersion(bucket, "a.rvt", storing(bucket, "two"));
+  const objects = (await listObjects(bucket)).length;
+
+  const history = await versions.promote(bucket, "a.rvt", 1);
+  assert.equal(history.current, 1);
+  assert.equal((await listObjects(bucket)).length, objects);
+  assert.equal((await versions.getModel(bucket, "a.rvt")).version, 1);
+  await assert.rejects(versions.promote(bucket, "a.rvt", 3), {
+    status: 404,
+    code: "VERSION_NOT_FOUND",
+  });
+});
+
+test("lists each model once with its current version", async () => {
+  const bucket = "list-models";
+  await versions.addVersion(bucket, "a.rvt", storing(bucket, "one"));
+  await versions.addVersion(bucket, "a.rvt", storing(bucket, "two"));
+  await versions.addVersion(bucket, "b.dwg", storing(bucket, "three"));
+
+  const models = await versions.listModels(bucket);
+  assert.deepEqual(
+    models.map(({ name, version, versions }) => [name, version, versions]),
+    [
+      ["a.rvt", 2, 2],
+      ["b.dwg", 1, 1],
+    ]
+  );
+});
+
+test("moves every version of a model after those of the target", async () => {
+  const bucket = "move-source";
+  const target = "move-target";
+  await versions.addVersion(bucket, "a.rvt", storing(bucket, "one"));
+  await versions.addVersion(bucket, "a.rvt", storing(bucket, "two"));
+  await versions.promote(bucket, "a.rvt", 1);
+  await versions.addVersion(target, "b.rvt", storing(target, "other"));
+
+  const moved = await versions.moveModel(bucket, "a.rvt", target, "b.rvt");
+  assert.equal(moved.version, 2);
+  assert.deepEqual(
+    moved.moved.map(({ object, version }) => [object.objectKey, version]),
+    [
+      [".versions/b.rvt/v2/b.rvt", 2],
+      [".versions/b.rvt/v3/b.rvt", 3],
+    ]
+  );
+
+  const history = await versions.listVersions(target, "b.rvt");
+  assert.equal(history.current, 2);
+  assert.equal(history.versions.length, 3);
+  assert.equal(await versions.getHistory(bucket, "a.rvt"), null);
+  assert.deepEqual(await listObjects(bucket), []);
+});
+
+test("deletes a model with all of its versions", async () => {
+  const bucket = "delete-models";
+  await versions.addVersion(bucket, "a.rvt", storing(bucket, "one"));
+  await versions.addVersion(bucket, "a.rvt", storing(bucket, "two"));
+
+  assert.equal(await versions.deleteModel(bucket, "a.rvt"), 2);
+  assert.deepEqual(await listObjects(bucket), []);
+  await assert.rejects(versions.deleteModel(bucket, "a.rvt"), {
+    status: 404,
+    code: "MODEL_NOT_FOUND",
+  });
+});
+
+test("reports changed models to subscribers until they unsubscribe", async () => {
+  const bucket = "model-changes";
+  const changes = [];
+  const unsubscribe = versions.onModelChange((bucketKey, name) =>
+    changes.push([bucketKey, name])
+  );
+  await versions.addVersion(bucket, "a.rvt", storing(bucket, "one"));
+  await versions.deleteModel(bucket, "a.rvt");
+  unsubscribe();
+  await versions.addVersion(bucket, "b.rvt", storing(bucket, "two"));
+
+  assert.deepEqual(changes, [
+    [bucket, "a.rvt"],
+    [bucket, "a.rvt"],
+  ]);
+});
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Comparison of two models, typically two versions of the same design.
+ * Elements are matched by their external IDs. Elements only in the compared model are added,
+ * elements only in the base model are removed, and matched elements whose properties or
+ * bounding boxes differ are modified. The models are shown side by side in two viewers with
+ * synchronized cameras, or overlaid in one viewer, with the changes colored.
+ */
+
+import { createViewer, loadModel, waitForModel } from "./viewer.js";
+
+/** @constant {Object<string, Array<number>>} Theming colors (RGB, 0-1) of each kind of change */
+const CHANGE_COLORS = {
+  added: [0.1, 0.7, 0.2],
+  removed: [0.85, 0.1, 0.1],
+  modified: [1, 0.6, 0],
+};
+
+/**
+ * Collects the elements of a model, i.e. the leaf nodes with an external ID, with a
+ * signature of their properties and bounding box to detect modifications.
+ *
+ * @param {Object} model - The loaded model
+ * @returns {Promise<Map<string, Object>>} Elements with `dbId`, `name` and `signature` by external ID
+ */
+async function collectElements(model) {
+  const mapping = await new Promise((resolve, reject) =>
+    model.getExternalIdMapping(resolve, reject)
+  );
+  const tree = model.getInstanceTree();
+  const externalIds = new Map();
+  for (const [externalId, dbId] of Object.entries(mapping)) {
+    if (tree.getChildCount(dbId) === 0) {
+      externalIds.set(dbId, externalId);
+    }
+  }
+  const results = await new Promise((resolve, reject) =>
+    model.getBulkProperties(
+      [...externalIds.keys()],
+      { ignoreHidden: true },
+      resolve,
+      reject
+    )
+  );
+  const box = new Float32Array(6);
+  const elements = new Map();
+  for (const { dbId, name, properties } of results) {
+    tree.getNodeBox(dbId, box);
+    const signature = JSON.stringify([
+      properties
+        .map((prop) => [
+          prop.displayCategory,
+          prop.displayName,
+          prop.displayValue,
+        ])
+        .sort(),
+      Array.from(box, (value) => Math.round(value * 1000) / 1000),
+    ]);
+    elements.set(externalIds.get(dbId), { dbId, name, signature });
+  }
+  return elements;
+}
+
+/**
+ * Lists the changes between the elements of two models.
+ *
+ * @param {Map<string, Object>} base - The elements of the base model, see collectElements
+ * @param {Map<string, Object>} compared - The elements of the compared model
+ * @returns {Array<Object>} Changes with `kind` ("added", "removed" or "modified"), `externalId`,
+ *   `name`, and the `baseId` and/or `comparedId` dbIds of the element in each model
+ */
+function diffElements(base, compared) {
+  const changes = [];
+  for (const [externalId, element] of base) {
+    const other = compared.get(externalId);
+    if (!other) {
+      changes.push({
+        kind: "removed",
+        externalId,
+        name: element.name,
+        baseId: element.dbId,
+        comparedId: null,
+      });
+    } else if (other.signature !== element.signature) {
+      changes.push({
+        kind: "modified",
+        externalId,
+        name: other.name,
+        baseId: element.dbId,
+        comparedId: other.dbId,
+      });
+    }
+  }
+  for (const [externalId, element] of compared) {
+    if (!base.has(externalId)) {
+      changes.push({
+        kind: "added",
+        externalId,
+        name: element.name,
+        baseId: null,
+        comparedId: element.dbId,
+      });
+    }
+  }
+  return changes.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Colors the changed elements of a model.
+ *
+ * @param {Object} viewer - The viewer displaying the model
+ * @param {Object} model - The model
+ * @param {Array<Object>} changes - The changes, see diffElements
+ * @param {string} idKey - The property holding the model's dbIds, "baseId" or "comparedId"
+ */
+function colorChanges(viewer, model, changes, idKey) {
+  for (const change of changes) {
+    if (change[idKey] !== null) {
+      const [r, g, b] = CHANGE_COLORS[change.kind];
+      viewer.setThemingColor(
+        change[idKey],
+        new THREE.Vector4(r, g, b, 1),
+        model
+      );
+    }
+  }
+}
+
+/**
+ * Keeps the cameras of two viewers in sync.
+ *
+ * @param {Object} first - A viewer
+ * @param {Object} second - The other viewer
+ * @returns {Function} Stops synchronizing
+ */
+function syncCameras(first, second) {
+  let syncing = false;
+  const follow = (from, to) => () => {
+    if (syncing) {
+      return;
+    }
+    syncing = true;
+    to.restoreState(from.getState({ viewport: true }), null, true);
+    syncing = false;
+  };
+  const followFirst = follow(first, second);
+  const followSecond = follow(second, first);
+  first.addEventListener(Autodesk.Viewing.CAMERA_CHANGE_EVENT, followFirst);
+  second.addEventListener(Autodesk.Viewing.CAMERA_CHANGE_EVENT, followSecond);
+  followFirst();
+  return () => {
+    first.removeEventListener(
+      Autodesk.Viewing.CAMERA_CHANGE_EVENT,
+      followFirst
+    );
+    second.removeEventListener(
+      Autodesk.Viewing.CAMERA_CHANGE_EVENT,
+      followSecond
+    );
+  };
+}
+
+/**
+ * Loads two models and compares them.
+ * In "split" mode, the base model stays in the main viewer and the compared model opens in a
+ * second viewer in `splitContainer`. In "overlay" mode, both models are loaded in the main
+ * viewer; unchanged and modified elements of the base model are hidden, so the compared model
+ * shows through, and removed elements remain visible in red.
+ *
+ * @param {Object} viewer - The main viewer
+ * @param {Object} base - The base model, with `urn` and `region`
+ * @param {Object} compared - The compared model, with `urn` and `region`
+ * @param {Object} [options] - Comparison options
+ * @param {string} [options.mode="overlay"] - "split" or "overlay"
+ * @param {HTMLElement} [options.splitContainer] - The container of the second viewer in "split" mode
+ * @returns {Promise<Object>} The comparison, with its `mode` and `changes` (see diffElements),
+ *   `focus(change)` to zoom to a change, and `stop()` to end the comparison
+ * @throws {Error} If the models are stored in different regions and are to be overlaid
+ */
+export async function compareModels(
+  viewer,
+  base,
+  compared,
+  { mode = "overlay", splitContainer } = {}
+) {
+  const sameRegion = base.region === compared.region;
+  if (mode === "overlay" && !sameRegion) {
+    throw new Error(
+      "Models stored in different regions can only be compared side by side."
+    );
+  }
+  let otherViewer = viewer;
+  if (mode === "split") {
+    splitContainer.hidden = false;
+    document.body.classList.add("split-view");
+    viewer.resize();
+    otherViewer = createViewer(splitContainer);
+  }
+  let stopSync = () => {};
+  const stop = () => {
+    stopSync();
+    if (otherViewer !== viewer) {
+      otherViewer.finish();
+      splitContainer.hidden = true;
+      document.body.classList.remove("split-view");
+      viewer.resize();
+    }
+    for (const model of viewer.getAllModels()) {
+      viewer.clearThemingColors(model);
+    }
+    viewer.showAll();
+  };
+
+  try {
+    const baseModel = await loadModel(viewer, base.urn, base.region);
+    if (!sameRegion) {
+      // The viewer API is shared by both viewers, so it only switches regions once the
+      // base model has finished loading
+      await waitForModel(viewer, baseModel);
+    }
+    const comparedModel = await loadModel(
+      otherViewer,
+      compared.urn,
+      compared.region,
+      { keepCurrentModels: otherViewer === viewer }
+    );
+    await Promise.all([
+      waitForModel(viewer, baseModel),
+      waitForModel(otherViewer, comparedModel),
+    ]);
+    const [baseElements, comparedElements] = await Promise.all([
+      collectElements(baseModel),
+      collectElements(comparedModel),
+    ]);
+    const changes = diffElements(baseElements, comparedElements);
+
+    colorChanges(viewer, baseModel, changes, "baseId");
+    colorChanges(otherViewer, comparedModel, changes, "comparedId");
+    if (otherViewer === viewer) {
+      const removed = new Set(
+        changes
+          .filter((change) => change.kind === "removed")
+          .map((change) => change.baseId)
+      );
+      viewer.hide(
+        [...baseElements.values()]
+          .map((element) => element.dbId)
+          .filter((dbId) => !removed.has(dbId)),
+        baseModel
+      );
+    } else {
+      stopSync = syncCameras(viewer, otherViewer);
+    }
+
+    const focus = (change) => {
+      // Fitting one viewer moves the other too, as their cameras are synchronized
+      const [target, model, dbId] =
+        change.comparedId !== null
+          ? [otherViewer, comparedModel, change.comparedId]
+          : [viewer, baseModel, change.baseId];
+      target.setAggregateSelection([{ model, ids: [dbId] }]);
+      target.fitToView([dbId], model);
+    };
+    return { mode, changes, focus, stop };
+  } catch (err) {
+    stop();
+    throw err;
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Error handling for API responses.
+ * The server reports errors as `{ error: { code, status, message, requestId, details } }`;
+ * these helpers turn them into Error objects and messages users can act on.
+ */
+
+/**
+ * Creates an Error from a failed API response.
+ * Falls back to the response text for responses without a JSON error envelope.
+ *
+ * @param {Response} resp - The failed fetch response
+ * @returns {Promise<Error>} Error with `code`, `status`, `requestId` and `details` properties
+ */
+export async function responseError(resp) {
+  const text = await resp.text();
+  let details;
+  try {
+    details = JSON.parse(text).error;
+  } catch {
+    details = null;
+  }
+  const error = new Error(
+    details?.message || text || `Request failed with status ${resp.status}.`
+  );
+  error.code = details?.code;
+  error.status = resp.status;
+  error.requestId = details?.requestId || resp.headers.get("X-Request-Id");
+  error.details = details?.details;
+  return error;
+}
+
+/**
+ * Formats an error for display, including the request ID that identifies it in the server logs.
+ *
+ * @param {string} summary - What could not be done, e.g. "Could not list buckets."
+ * @param {Error} err - The error
+ * @returns {string} The message to show to the user
+ */
+export function describeError(summary, err) {
+  return `${summary}\n\n${err.message}${
+    err.requestId ? `\n\nRequest ID: ${err.requestId}` : ""
+  }`;
+}
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Federated scenes: several models loaded into one viewer, e.g. the architecture,
+ * structure and MEP models of a building. Models share the global offset of the first one,
+ * so their shared coordinates line up, and each can be moved by an extra offset, hidden or unloaded.
+ */
+
+import { loadModel } from "./viewer.js";
+
+/**
+ * Creates an empty federated scene in a viewer.
+ * Adding the first model replaces whatever the viewer displayed before.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @returns {Object} The scene, with its `members` and functions to `add`, `setOffset`,
+ *   `setVisible` and `remove` them
+ */
+export function createFederatedScene(viewer) {
+  const members = [];
+  let globalOffset = null;
+
+  const find = (urn) => {
+    const member = members.find((member) => member.urn === urn);
+    if (!member) {
+      throw new Error("The model is not part of the federation.");
+    }
+    return member;
+  };
+
+  const applyOffset = (member) => {
+    const { x, y, z } = member.offset;
+    member.model.setPlacementTransform(
+      new THREE.Matrix4().makeTranslation(x, y, z).multiply(member.placement)
+    );
+    viewer.impl.invalidate(true, true, true);
+  };
+
+  const scene = {
+    members,
+
+    /**
+     * Loads a model into the scene.
+     *
+     * @param {Object} entry - The model
+     * @param {string} entry.urn - The URN of the model
+     * @param {string} entry.name - The name shown for the model
+     * @param {string} entry.region - The data center region holding its derivatives
+     * @param {Object} [entry.offset] - The offset `{x, y, z}` in model units
+     * @param {boolean} [entry.visible=true] - Whether the model is shown
+     * @returns {Promise<Object>} The member, with the entry's properties and the loaded `model`
+     * @throws {Error} If the model is already loaded, or stored in another region than the others
+     */
+    async add({ urn, name, region, offset, visible = true }) {
+      if (members.some((member) => member.urn === urn)) {
+        throw new Error(`${name} is already part of the federation.`);
+      }
+      if (members.length > 0 && members[0].region !== region) {
+        throw new Error(
+          `${name} is stored in another region than the other models.`
+        );
+      }
+      const model = await loadModel(viewer, urn, region, {
+        keepCurrentModels: members.length > 0,
+        applyRefPoint: true,
+        ...(globalOffset ? { globalOffset } : {}),
+      });
+      globalOffset = globalOffset || model.getGlobalOffset();
+      const member = {
+        urn,
+        name,
+        region,
+        offset: { x: 0, y: 0, z: 0, ...offset },
+        visible: true,
+        model,
+        placement: model.getPlacementTransform().clone(),
+      };
+      members.push(member);
+      applyOffset(member);
+      if (!visible) {
+        scene.setVisible(urn, false);
+      }
+      return member;
+    },
+
+    /**
+     * Moves a model by an offset from its original placement.
+     *
+     * @param {string} urn - The URN of the model
+     * @param {Object} offset - The offset `{x, y, z}` in model units
+     */
+    setOffset(urn, offset) {
+      const member = find(urn);
+      member.offset = { ...member.offset, ...offset };
+      applyOffset(member);
+    },
+
+    /**
+     * Shows or hides a model.
+     *
+     * @param {string} urn - The URN of the model
+     * @param {boolean} visible - Whether to show the model
+     */
+    setVisible(urn, visible) {
+      const member = find(urn);
+      if (visible) {
+        viewer.showModel(member.model.id, true);
+      } else {
+        viewer.hideModel(member.model.id);
+      }
+      member.visible = visible;
+    },
+
+    /**
+     * Unloads a model from the scene.
+     *
+     * @param {string} urn - The URN of the model
+     */
+    remove(urn) {
+      const member = find(urn);
+      if (!member.visible) {
+        // Hidden models are not part of the scene, but still loaded
+        viewer.showModel(member.model.id, true);
+      }
+      viewer.unloadModel(member.model);
+      members.splice(members.indexOf(member), 1);
+      if (members.length === 0) {
+        globalOffset = null;
+      }
+    },
+  };
+  return scene;
+}
@@ -3,7 +3,32 @@
  * Handles bucket management, model uploading, and viewer initialization.
  */
 
-import { initViewer, loadModel } from "./viewer.js";
+import {
+  initViewer,
+  loadModel,
+  waitForModel,
+  listViewables,
+} from "./viewer.js";
+import { responseError, describeError } from "./errors.js";
+import { compareModels } from "./compare.js";
+import { createFederatedScene } from "./federation.js";
+import {
+  startMarkup,
+  setMarkupTool,
+  finishMarkup,
+  showMarkup,
+  hideMarkups,
+} from "./markups.js";
+import {
+  readUrlState,
+  writeUrlState,
+  parseModelUrn,
+  captureView,
+  restoreView,
+} from "./state.js";
+
+/** @constant {number} Number of models loaded at a time in the model picker */
+const MODEL_PAGE_SIZE = 50;
 
 /**
  * Initialize the application when the DOM is loaded.
@@ -11,11 +36,25 @@ import { initViewer, loadModel } from "./viewer.js";
  */
 initViewer(document.getElementById("preview")).then((viewer) => {
   window.viewer = viewer; // Store viewer globally for delete function access
-  const urn = window.location.hash?.substring(1);
-  setUpBucketSelection(viewer, urn);
-  setupModelSelection(viewer, urn);
+  const state = readUrlState();
+  if (state.model) {
+    // Restored once the model has loaded, see onTranslationStatus
+    window.pendingView = { urn: state.model, ...state };
+  }
+  setUpBucketSelection(viewer, state.bucket, state.model);
+  setupModelPicker(viewer);
+  setupVersionPicker(viewer);
+  setupViewablePicker(viewer);
+  setupViewState(viewer);
   setupModelUpload(viewer);
+  setupModelActions(viewer);
+  setupDownloads();
+  setupComparison(viewer);
+  setupFederation(viewer);
+  setupAnnotations(viewer);
+  setupSharing();
   setupBucketCreation(viewer);
+  setupBucketDetails();
 });
 
 /**
@@ -24,9 +63,10 @@ initViewer(document.getElementById("preview")).then((viewer) => {
  *
  * @param {Object} viewer - The Autodesk Viewer instance
  * @param {string} [selectedUrn] - The URN of the bucket to pre-select
+ * @param {string} [selectedModelUrn] - The URN of the model to pre-select in that bucket
  * @returns {Promise<void>}
  */
-async function setUpBucketSelection(viewer, selectedUrn) {
+async function setUpBucketSelection(viewer, selectedUrn, selectedModelUrn) {
   const dropdownContainer = document.getElementById("buckets");
   const dropdownOptions = document.getElementById("bucket-options");
   const selectedText = dropdownContainer.querySelector(".selected-text");
@@ -36,7 +76,7 @@ async function setUpBucketSelection(viewer, selectedUrn) {
   try {
     const resp = await fetch("/api/buckets");
     if (!resp.ok) {
-      throw new Error(await resp.text());
+      throw await responseError(resp);
     }
     const buckets = await resp.json();
 
@@ -56,6 +96,7 @@ async function setUpBucketSelection(viewer, selectedUrn) {
             <span class="option-name" title="${bucket.name}">${
             bucket.name
           }</span>
+            <span class="region-tag">${bucket.region || ""}</span>
             <button class="delete-btn" onclick="event.stopPropagation(); deleteBucket('${
               bucket.name
             }')" title="Delete bucket (Note: Only buckets created by this app can be deleted)" aria-label="Delete bucket ${
@@ -69,58 +110,499 @@ async function setUpBucketSelection(viewer, selectedUrn) {
     if (selectedBucket) {
       selectedText.textContent = selectedBucket.name;
       selectedText.title = selectedBucket.name;
-      onBucketSelected(viewer, selectedUrn);
+      onBucketSelected(viewer, selectedUrn, selectedModelUrn);
+      showBucketDetails(selectedUrn);
     } else if (buckets.length > 0) {
       const firstBucket = buckets[0];
       selectedText.textContent = firstBucket.name;
       selectedText.title = firstBucket.name;
       onBucketSelected(viewer, firstBucket.urn);
+      showBucketDetails(firstBucket.urn);
     } else {
       selectedText.textContent = "Select a bucket...";
       selectedText.title = "";
     }
   } catch (err) {
     selectedText.textContent = "Error loading buckets";
-    alert("Could not list buckets. See the console for more details.");
+    alert(describeError("Could not list buckets.", err));
     console.error(err);
   }
 }
 
 /**
- * Sets up the model selection dropdown with available models.
- * Populates the dropdown with models from the default bucket.
+ * Sets up the model picker: opening and closing the list, keyboard access, selection,
+ * searching and sorting, and loading further pages when the list is scrolled to its end.
+ * The options themselves are rendered by renderModelOptions.
  *
  * @param {Object} viewer - The Autodesk Viewer instance
- * @param {string} [selectedUrn] - The URN of the model to pre-select
+ */
+function setupModelPicker(viewer) {
+  const dropdown = document.getElementById("models");
+  const toggle = dropdown.querySelector(".dropdown-selected");
+  const list = dropdown.querySelector(".dropdown-options");
+  const options = document.getElementById("model-options");
+  const search = document.getElementById("model-search");
+  const sort = document.getElementById("model-sort");
+
+  const setOpen = (open) => {
+    dropdown.classList.toggle("open", open);
+    toggle.setAttribute("aria-expanded", String(open));
+  };
+
+  toggle.onclick = () => setOpen(!dropdown.classList.contains("open"));
+  toggle.onkeydown = (event) => {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      toggle.onclick();
+    } else if (event.key === "Escape") {
+      setOpen(false);
+    }
+  };
+  options.addEventListener("click", (event) => {
+    const option = event.target.closest(".dropdown-option[data-urn]");
+    if (!option) {
+      return;
+    }
+    setOpen(false);
+    if (!option.classList.contains("selected")) {
+      selectModelOption(option.dataset.urn);
+      onModelSelected(viewer, option.dataset.urn);
+      showModelVersions(option.dataset.name);
+    }
+  });
+  document.addEventListener("click", (event) => {
+    if (!dropdown.contains(event.target)) {
+      setOpen(false);
+    }
+  });
+
+  let timer;
+  search.oninput = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => reloadModelOptions(), 300);
+  };
+  search.onkeydown = (event) => {
+    if (event.key === "Escape") {
+      setOpen(false);
+      toggle.focus();
+    }
+  };
+  sort.onchange = () => reloadModelOptions();
+  list.addEventListener("scroll", () => {
+    if (list.scrollTop + list.clientHeight >= list.scrollHeight - 100) {
+      loadMoreModelOptions();
+    }
+  });
+}
+
+/**
+ * Fetches a page of the models of a bucket, searched and sorted as chosen in the model picker.
+ *
+ * @param {string} bucketUrn - The URN of the bucket
+ * @param {Object} [query] - The query
+ * @param {string} [query.cursor] - The cursor of the page, from the previous page
+ * @param {string} [query.search] - The search text; defaults to the one in the model picker
+ * @returns {Promise<Object>} The page, with `total`, `items` and the `next` cursor
+ * @throws {Error} If the models cannot be listed
+ */
+async function fetchModelPage(bucketUrn, { cursor, search } = {}) {
+  const [sort, order] = document.getElementById("model-sort").value.split(":");
+  const params = new URLSearchParams({
+    bucket: bucketUrn,
+    limit: MODEL_PAGE_SIZE,
+    status: "true",
+  });
+  if (cursor) {
+    params.set("cursor", cursor);
+  } else {
+    params.set(
+      "search",
+      search ?? document.getElementById("model-search").value
+    );
+    params.set("sort", sort);
+    params.set("order", order);
+  }
+  const resp = await fetch(`/api/models?${params}`);
+  if (!resp.ok) {
+    throw await responseError(resp);
+  }
+  return await resp.json();
+}
+
+/**
+ * Finds a model of a bucket by its exact name, whether or not it is listed in the model picker.
+ *
+ * @param {string} bucketUrn - The URN of the bucket
+ * @param {string} name - The model name
+ * @returns {Promise<Object|null>} The model, or null if the bucket has no model of that name
+ * @throws {Error} If the models cannot be listed
+ */
+async function findModel(bucketUrn, name) {
+  let page = await fetchModelPage(bucketUrn, { search: name });
+  for (;;) {
+    const model = page.items.find((item) => item.name === name);
+    if (model || !page.next) {
+      return model || null;
+    }
+    page = await fetchModelPage(bucketUrn, { cursor: page.next });
+  }
+}
+
+/**
+ * Lists the models of the selected bucket in the model picker again from the first page,
+ * e.g. after the search text or the sort order changed. The selected model stays selected.
+ *
+ * @returns {Promise<void>}
+ */
+async function reloadModelOptions() {
+  const options = document.getElementById("model-options");
+  const bucketUrn = options.dataset.bucket;
+  if (!bucketUrn) {
+    return;
+  }
+  try {
+    const page = await fetchModelPage(bucketUrn);
+    renderModelOptions(bucketUrn, page);
+    selectModelOption(getSelectedModel()?.urn);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Appends the next page of models to the model picker, if there is one and it is not being loaded yet.
+ *
  * @returns {Promise<void>}
  */
-async function setupModelSelection(viewer, selectedUrn) {
+async function loadMoreModelOptions() {
+  const options = document.getElementById("model-options");
+  const { bucket, next } = options.dataset;
+  if (!next || options.dataset.loading) {
+    return;
+  }
+  options.dataset.loading = "true";
+  try {
+    const page = await fetchModelPage(bucket, { cursor: next });
+    if (options.dataset.next === next) {
+      renderModelOptions(bucket, page, { append: true });
+      selectModelOption(getSelectedModel()?.urn);
+    }
+  } catch (err) {
+    console.error(err);
+  } finally {
+    delete options.dataset.loading;
+  }
+}
+
+/**
+ * Escapes text for use in HTML, e.g. names of uploaded files and comments
+ * written by users.
+ *
+ * @param {string} [text] - The text; missing values give an empty string
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+}
+
+/**
+ * Renders a page of the models of a bucket in the model picker, each with its thumbnail,
+ * size, upload date, current version and translation status badge.
+ *
+ * @param {string} bucketUrn - The URN of the bucket
+ * @param {Object} page - The page, with `total`, `items` and the `next` cursor; items are models
+ *   with urn, name, size, uploadedAt, version, versions and status
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.append] - Whether to add the models to the ones already listed
+ *   instead of replacing them
+ */
+function renderModelOptions(bucketUrn, page, { append = false } = {}) {
+  const options = document.getElementById("model-options");
+  const listed = new Set(
+    append
+      ? [...options.querySelectorAll(".dropdown-option")].map(
+          (option) => option.dataset.urn
+        )
+      : []
+  );
+  // A model looked up by name for a link can be listed before its page is loaded
+  const models = page.items.filter((model) => !listed.has(model.urn));
+  const html = models
+    .map(
+      (model) =>
+        `<div class="dropdown-option model-option" data-urn="${
+          model.urn
+        }" data-name="${escapeHtml(
+          model.name
+        )}" role="option" tabindex="-1" title="${escapeHtml(model.name)}">
+          <img class="thumbnail" src="/api/models/${
+            model.urn
+          }/thumbnail?width=100" alt="" loading="lazy" />
+          <span class="model-info">
+            <span class="option-name">${escapeHtml(model.name)}</span>
+            <span class="model-details">${[
+              model.versions > 1 && `v${model.version} of ${model.versions}`,
+              formatSize(model.size),
+              model.uploadedAt &&
+                new Date(model.uploadedAt).toLocaleDateString(),
+            ]
+              .filter(Boolean)
+              .join(" · ")}</span>
+          </span>
+          <span class="status-badge">...</span>
+        </div>`
+    )
+    .join("\n");
+  if (append) {
+    options.insertAdjacentHTML("beforeend", html);
+  } else {
+    options.innerHTML = html;
+  }
+  options.dataset.bucket = bucketUrn;
+  options.dataset.next = page.next || "";
+  document.getElementById("model-list-status").textContent =
+    page.items.length === 0 && !append ? "No models found." : "";
+  for (const model of models) {
+    updateModelStatus(model.urn, model.status || { status: "unknown" });
+  }
+}
+
+/**
+ * Marks a model as selected in the model picker. The selection is kept while the model
+ * is not listed, e.g. because the search text does not match it.
+ *
+ * @param {string} [urn] - The URN of the model, or nothing to clear the selection
+ * @param {string} [name] - The name of the model; defaults to the name of its option
+ */
+function selectModelOption(urn, name) {
   const dropdown = document.getElementById("models");
-  dropdown.innerHTML = "";
+  const selectedText = dropdown.querySelector(".selected-text");
+  let listedName = null;
+  for (const option of dropdown.querySelectorAll(".dropdown-option")) {
+    option.classList.toggle("selected", option.dataset.urn === urn);
+    if (option.dataset.urn === urn) {
+      listedName = option.dataset.name;
+    }
+  }
+  const keptName = urn === dropdown.dataset.urn ? dropdown.dataset.name : null;
+  name = name || listedName || keptName;
+  if (urn && name) {
+    Object.assign(dropdown.dataset, { urn, name });
+  } else {
+    delete dropdown.dataset.urn;
+    delete dropdown.dataset.name;
+  }
+  selectedText.textContent = name || "Select a model...";
+  selectedText.title = name || "";
+}
+
+/**
+ * Returns the model selected in the model picker.
+ *
+ * @returns {Object|null} The selected model with urn and name, or null if none is selected
+ */
+function getSelectedModel() {
+  const { urn, name } = document.getElementById("models").dataset;
+  return urn ? { urn, name } : null;
+}
+
+/**
+ * Sets up the version picker and the "Make Current" button next to the model picker.
+ * Choosing a version loads it in the viewer; promoting it makes it the model's current version.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ */
+function setupVersionPicker(viewer) {
+  const select = document.getElementById("versions");
+  const promote = document.getElementById("promote-version");
+
+  select.onchange = () => {
+    const option = select.selectedOptions[0];
+    promote.disabled = option.dataset.current === "true";
+    onModelSelected(viewer, option.value);
+  };
+  promote.onclick = async () => {
+    const option = select.selectedOptions[0];
+    const model = getSelectedModel();
+    if (!option || !model) {
+      return;
+    }
+    const bucketUrn = document.querySelector(
+      "#buckets .dropdown-option.selected"
+    )?.dataset.urn;
+    promote.disabled = true;
+    try {
+      const resp = await fetch(
+        `/api/models/${encodeURIComponent(model.name)}/versions/${
+          option.dataset.version
+        }/promote${
+          bucketUrn ? `?bucket=${encodeURIComponent(bucketUrn)}` : ""
+        }`,
+        { method: "POST" }
+      );
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      onBucketSelected(viewer, bucketUrn, option.value);
+    } catch (err) {
+      promote.disabled = false;
+      alert(describeError("Could not make the version current.", err));
+      console.error(err);
+    }
+  };
+}
+
+/**
+ * Lists the versions of a model in the version picker, newest first, with the displayed one selected.
+ *
+ * @param {string} [name] - The model name, or nothing to clear the picker
+ * @param {string} [displayedUrn] - The URN of the displayed version; defaults to the current version
+ * @returns {Promise<void>}
+ */
+async function showModelVersions(name, displayedUrn) {
+  const select = document.getElementById("versions");
+  const promote = document.getElementById("promote-version");
+  select.innerHTML = "";
+  select.disabled = true;
+  promote.disabled = true;
+  document.getElementById("compare-models").disabled = !name;
+  if (!name) {
+    return;
+  }
+  const bucketUrn = document.querySelector("#buckets .dropdown-option.selected")
+    ?.dataset.urn;
   try {
-    const resp = await fetch("/api/models");
+    const resp = await fetch(
+      `/api/models/${encodeURIComponent(name)}/versions${
+        bucketUrn ? `?bucket=${encodeURIComponent(bucketUrn)}` : ""
+      }`
+    );
     if (!resp.ok) {
-      throw new Error(await resp.text());
+      throw await responseError(resp);
     }
-    const models = await resp.json();
-    dropdown.innerHTML = models
+    const history = await resp.json();
+    if (getSelectedModel()?.name !== name) {
+      return; // Another model was selected in the meantime
+    }
+    select.innerHTML = history.versions
       .map(
-        (model) =>
-          `<option value=${model.urn} ${
-            model.urn === selectedUrn ? "selected" : ""
-          }>${model.name}</option>`
+        (entry) =>
+          `<option value="${entry.urn}" data-version="${
+            entry.version
+          }" data-current="${entry.current}" title="${escapeHtml(
+            [entry.uploader, entry.comment].filter(Boolean).join(": ")
+          )}">v${entry.version}${entry.current ? " (current)" : ""} · ${
+            entry.uploadedAt
+              ? new Date(entry.uploadedAt).toLocaleDateString()
+              : ""
+          }${entry.comment ? ` · ${escapeHtml(entry.comment)}` : ""}</option>`
       )
       .join("\n");
-    dropdown.onchange = () => onModelSelected(viewer, dropdown.value);
-    if (dropdown.value) {
-      onModelSelected(viewer, dropdown.value);
-    }
+    const displayed =
+      history.versions.find((entry) => entry.urn === displayedUrn) ||
+      history.versions.find((entry) => entry.current);
+    select.value = displayed.urn;
+    select.disabled = history.versions.length < 2;
+    promote.disabled = displayed.current;
   } catch (err) {
-    alert("Could not list models. See the console for more details.");
     console.error(err);
   }
 }
 
+/**
+ * Returns the URN of the bucket selected in the bucket picker.
+ *
+ * @returns {string|undefined} The URN, or undefined if no bucket is selected
+ */
+function getSelectedBucketUrn() {
+  return document.querySelector("#buckets .dropdown-option.selected")?.dataset
+    .urn;
+}
+
+/**
+ * Returns the URN of the model shown in the viewer: the version chosen in the version picker,
+ * or the model selected in the model picker.
+ *
+ * @returns {string|undefined} The URN, or undefined if no model is selected
+ */
+function getDisplayedUrn() {
+  return document.getElementById("versions").value || getSelectedModel()?.urn;
+}
+
+/**
+ * Returns the user's name, recorded with their uploads, federations and annotations.
+ * The name is asked once and remembered in localStorage; users may leave it empty.
+ *
+ * @returns {string|undefined} The name, or undefined if the user gave none
+ */
+function getUserName() {
+  let name = localStorage.getItem("userName");
+  if (name === null) {
+    name = window.prompt(
+      "Please enter your name, to be recorded with your uploads and annotations."
+    );
+    localStorage.setItem("userName", name || "");
+  }
+  return name || undefined;
+}
+
+/**
+ * Shows the translation status of a model as a badge in the model picker.
+ *
+ * @param {string} urn - The URN of the model
+ * @param {Object} status - The status returned by the server
+ */
+function updateModelStatus(urn, status) {
+  const labels = {
+    "n/a": "Not translated",
+    pending: "Translating",
+    inprogress: "Translating",
+    success: "Ready",
+    failed: "Failed",
+    timeout: "Failed",
+  };
+  const option = [
+    ...document.querySelectorAll("#model-options .dropdown-option"),
+  ].find((option) => option.dataset.urn === urn);
+  const badge = option?.querySelector(".status-badge");
+  if (!badge) {
+    return;
+  }
+  const previous = badge.dataset.status;
+  badge.dataset.status = status.status;
+  badge.textContent = labels[status.status] || status.status;
+  if (previous && previous !== "success" && status.status === "success") {
+    // The thumbnail only exists once the translation has finished
+    const thumbnail = option.querySelector(".thumbnail");
+    thumbnail.src = `${thumbnail.src.split("&")[0]}&t=${Date.now()}`;
+  }
+}
+
+/**
+ * Formats a file size for display.
+ *
+ * @param {number} [bytes] - The size in bytes
+ * @returns {string} The size with a unit, or an empty string if unknown
+ */
+function formatSize(bytes) {
+  if (typeof bytes !== "number") {
+    return "";
+  }
+  const units = ["B", "KB", "MB", "GB"];
+  let index = 0;
+  while (bytes >= 1024 && index < units.length - 1) {
+    bytes /= 1024;
+    index++;
+  }
+  return `${index === 0 ? bytes : bytes.toFixed(1)} ${units[index]}`;
+}
+
 /**
  * Sets up bucket creation functionality.
  * Handles the create bucket button click event and form submission.
@@ -131,6 +613,8 @@ async function setupModelSelection(viewer, selectedUrn) {
 async function setupBucketCreation(viewer) {
   const create = document.getElementById("create");
   const input = document.getElementById("bucket");
+  const region = document.getElementById("region");
+  const policy = document.getElementById("policy");
   const buckets = document.getElementById("buckets");
 
   create.onclick = async () => {
@@ -142,7 +626,9 @@ async function setupBucketCreation(viewer) {
 
     create.setAttribute("disabled", "true");
     buckets.classList.add("disabled");
-    showNotification(`Creating bucket <em>${bucketName}</em>. Please wait...`);
+    showNotification(
+      `Creating bucket <em>${bucketName}</em> in region <em>${region.value}</em>. Please wait...`
+    );
 
     try {
       const resp = await fetch("/api/buckets/create", {
@@ -150,11 +636,15 @@ async function setupBucketCreation(viewer) {
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ bucketName: bucketName }),
+        body: JSON.stringify({
+          bucketName: bucketName,
+          region: region.value,
+          policy: policy.value,
+        }),
       });
 
       if (!resp.ok) {
-        throw new Error(await resp.text());
+        throw await responseError(resp);
       }
 
       const bucket = await resp.json();
@@ -162,6 +652,7 @@ async function setupBucketCreation(viewer) {
       input.value = "";
     } catch (err) {
       clearNotification();
+      alert(describeError("Could not create the bucket.", err));
       console.error("Bucket creation error:", err);
     } finally {
       clearNotification();
@@ -171,6 +662,95 @@ async function setupBucketCreation(viewer) {
   };
 }
 
+/**
+ * Sets up the bucket details panel, toggled by the "Details" button.
+ * Opening the panel reloads the details of the selected bucket.
+ */
+function setupBucketDetails() {
+  const button = document.getElementById("bucket-info");
+  const panel = document.getElementById("bucket-details");
+
+  button.onclick = () => {
+    if (!panel.hidden) {
+      setBucketDetailsOpen(false);
+      return;
+    }
+    const urn = document.querySelector("#buckets .dropdown-option.selected")
+      ?.dataset.urn;
+    if (!urn) {
+      alert("Please select a bucket first.");
+      return;
+    }
+    showBucketDetails(urn, true);
+  };
+  document.addEventListener("click", (event) => {
+    if (!panel.contains(event.target) && !button.contains(event.target)) {
+      setBucketDetailsOpen(false);
+    }
+  });
+}
+
+/**
+ * Opens or closes the bucket details panel.
+ *
+ * @param {boolean} open - Whether the panel should be visible
+ */
+function setBucketDetailsOpen(open) {
+  document.getElementById("bucket-details").hidden = !open;
+  document
+    .getElementById("bucket-info")
+    .setAttribute("aria-expanded", String(open));
+}
+
+/**
+ * Loads the details of a bucket into the details panel.
+ * The panel opens by itself for transient buckets, whose objects are deleted after a day.
+ *
+ * @param {string} bucketUrn - The URN of the bucket
+ * @param {boolean} [open=false] - Whether to open the panel regardless of the retention policy
+ * @returns {Promise<void>}
+ */
+async function showBucketDetails(bucketUrn, open = false) {
+  const panel = document.getElementById("bucket-details");
+  const policies = {
+    transient: "Transient: objects are deleted 24 hours after upload.",
+    temporary: "Temporary: objects are deleted 30 days after upload.",
+    persistent: "Persistent: objects are kept until deleted.",
+  };
+  try {
+    const resp = await fetch(`/api/buckets/${bucketUrn}`);
+    if (!resp.ok) {
+      throw await responseError(resp);
+    }
+    const bucket = await resp.json();
+    panel.innerHTML = `
+      <h4>${escapeHtml(bucket.name)}</h4>
+      <dl>
+        <dt>Retention</dt><dd>${escapeHtml(
+          policies[bucket.policy] || bucket.policy
+        )}</dd>
+        <dt>Region</dt><dd>${escapeHtml(bucket.region)}</dd>
+        <dt>Created</dt><dd>${new Date(bucket.createdAt).toLocaleString()}</dd>
+        <dt>Owner</dt><dd>${escapeHtml(bucket.owner)}</dd>
+        <dt>Objects</dt><dd>${bucket.objectCount}</dd>
+        <dt>Total size</dt><dd>${formatSize(bucket.totalSize)}</dd>
+      </dl>
+      ${
+        bucket.policy === "transient"
+          ? `<p class="warning">This bucket is transient. Its models will be deleted within 24 hours of upload.</p>`
+          : ""
+      }`;
+    if (open || bucket.policy === "transient") {
+      setBucketDetailsOpen(true);
+    }
+  } catch (err) {
+    panel.innerHTML = `<p>Could not load bucket details: ${escapeHtml(
+      err.message
+    )}</p>`;
+    console.error(err);
+  }
+}
+
 /**
  * Sets up model upload functionality.
  * Handles file selection, validation, and upload to the selected bucket.
@@ -207,151 +787,1983 @@ async function setupModelUpload(viewer) {
 
     const selectedBucketUrn = selectedOption.dataset.urn;
 
-    let data = new FormData();
-    data.append("model-file", file);
-    data.append("bucket-urn", selectedBucketUrn); // Include the selected bucket
-
-    if (file.name.endsWith(".zip")) {
-      // When uploading a zip file, ask for the main design file in the archive
-      const entrypoint = window.prompt(
-        "Please enter the filename of the main design inside the archive."
+    let comment;
+    const existing = await findModel(selectedBucketUrn, file.name).catch(
+      () => null
+    );
+    if (existing) {
+      comment = window.prompt(
+        `Model ${file.name} already exists; this upload becomes its new version. What changed? (optional)`
       );
-      if (!entrypoint) {
-        input.value = ""; // Clear the file input if user cancels
+      if (comment === null) {
+        input.value = "";
+        return;
+      }
+    }
+
+    let translation;
+    if (confirm("Do you want to customize the translation settings?")) {
+      translation = await askTranslationSettings({ allowForce: false });
+      if (!translation) {
+        input.value = "";
         return;
       }
-      data.append("model-zip-entrypoint", entrypoint);
     }
 
     upload.setAttribute("disabled", "true");
-    models.setAttribute("disabled", "true");
+    models.classList.add("disabled");
     showNotification(
-      `Uploading model <em>${file.name}</em> to bucket <em>${selectedText.textContent}</em>. Do not reload the page.`
+      `Uploading model <em>${escapeHtml(file.name)}</em> to bucket <em>${
+        selectedText.textContent
+      }</em>. Do not reload the page.`
     );
 
     try {
-      const resp = await fetch("/api/models", { method: "POST", body: data });
-      if (!resp.ok) {
-        throw new Error(await resp.text());
+      const model = await uploadModelInParts(
+        file,
+        selectedBucketUrn,
+        { translation, comment },
+        (event) => {
+          if (event.type === "upload") {
+            showProgress(
+              `Uploading model <em>${escapeHtml(
+                file.name
+              )}</em> to bucket <em>${
+                selectedText.textContent
+              }</em>. If the connection drops, select the same file again to resume.`,
+              event.loaded / event.total
+            );
+          } else {
+            showProgress(
+              `Transferring model <em>${escapeHtml(
+                file.name
+              )}</em> to storage...`,
+              event.loaded / event.total
+            );
+          }
+        }
+      );
+      if (model) {
+        onBucketSelected(viewer, selectedBucketUrn);
       }
-
-      await resp.json();
-      onBucketSelected(viewer, selectedBucketUrn);
     } catch (err) {
-      alert(
-        `Could not upload model ${file.name}. See the console for more details.`
-      );
+      alert(describeError(`Could not upload model ${file.name}.`, err));
       console.error(err);
     } finally {
       clearNotification();
       upload.removeAttribute("disabled");
-      models.removeAttribute("disabled");
+      models.classList.remove("disabled");
       input.value = "";
     }
   };
 }
 
 /**
- * Handles bucket selection and updates the models dropdown.
- * Fetches and displays models from the selected bucket.
+ * Uploads a file in parts through a resumable upload session.
+ * The session ID is remembered in localStorage, so selecting the same file again
+ * after a disconnect or a page reload only sends the parts the server is missing.
+ * For zip archives, the user picks the main design file from the uploaded archive's entries.
  *
- * @param {Object} viewer - The Autodesk Viewer instance
- * @param {string} bucketUrn - The URN of the selected bucket
- * @returns {Promise<void>}
+ * The user's name is recorded with the new version, see getUserName.
+ *
+ * @param {File} file - The file to upload
+ * @param {string} bucketUrn - The URN of the target bucket
+ * @param {Object} [options] - Upload options
+ * @param {Object} [options.translation] - Translation settings, see askTranslationSettings
+ * @param {string} [options.comment] - What changed in this version of the model
+ * @param {Function} [onProgress] - Called with each "upload" and "transfer" progress event
+ * @returns {Promise<Object|null>} The uploaded model with name, urn and version, or null if the user cancelled
  */
-async function onBucketSelected(viewer, bucketUrn) {
-  try {
-    const resp = await fetch(
-      `/api/models?bucket=${encodeURIComponent(bucketUrn)}`
-    );
+async function uploadModelInParts(
+  file,
+  bucketUrn,
+  { translation, comment } = {},
+  onProgress
+) {
+  const storageKey = `upload:${bucketUrn}:${file.name}:${file.size}:${file.lastModified}`;
+  let session = null;
+
+  const savedId = localStorage.getItem(storageKey);
+  if (savedId) {
+    const resp = await fetch(`/api/uploads/${savedId}`);
+    if (resp.ok) {
+      session = await resp.json();
+    }
+  }
+  if (!session) {
+    const resp = await fetch("/api/uploads", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        bucket: bucketUrn,
+        name: file.name,
+        size: file.size,
+        translation,
+        uploader: getUserName(),
+        comment: comment || undefined,
+      }),
+    });
     if (!resp.ok) {
-      throw new Error(await resp.text());
+      throw await responseError(resp);
     }
-    const models = await resp.json();
-    const modelsDropdown = document.getElementById("models");
-    modelsDropdown.innerHTML = models
-      .map((model) => `<option value=${model.urn}>${model.name}</option>`)
-      .join("\n");
+    session = await resp.json();
+    localStorage.setItem(storageKey, session.id);
+  }
 
-    if (models.length === 0) {
-      showNotification("No models found in this bucket.");
-    } else {
-      clearNotification();
-      if (modelsDropdown.value) {
-        onModelSelected(viewer, modelsDropdown.value);
-      }
+  const events = new EventSource(`/api/events?upload=${session.id}`);
+  if (onProgress) {
+    for (const type of ["upload", "transfer"]) {
+      events.addEventListener(type, (e) => onProgress(JSON.parse(e.data)));
     }
-  } catch (err) {
-    alert(
-      "Could not list models for this bucket. See the console for more details."
-    );
-    console.error(err);
+  }
+  try {
+    const model = await sendUploadParts(file, session);
+    if (!model) {
+      await fetch(`/api/uploads/${session.id}`, { method: "DELETE" });
+    }
+    localStorage.removeItem(storageKey);
+    return model;
+  } finally {
+    events.close();
   }
 }
 
 /**
- * Handles model selection and loading.
- * Checks translation status and loads the model in the viewer when ready.
+ * Sends the parts an upload session is missing, retrying each part a few times,
+ * and completes the session. For zip archives, asks for the main design file first.
+ * If the bucket already holds the same content under another name, asks whether to reuse it.
  *
- * @param {Object} viewer - The Autodesk Viewer instance
- * @param {string} urn - The URN of the selected model
- * @returns {Promise<void>}
+ * @param {File} file - The file to upload
+ * @param {Object} session - The upload session status
+ * @returns {Promise<Object|null>} The uploaded model with name, urn and upload status, or null if the user cancelled
  */
-async function onModelSelected(viewer, urn) {
-  if (window.onModelSelectedTimeout) {
-    clearTimeout(window.onModelSelectedTimeout);
-    delete window.onModelSelectedTimeout;
+async function sendUploadParts(file, session) {
+  for (const index of session.missing) {
+    const part = file.slice(
+      index * session.partSize,
+      (index + 1) * session.partSize
+    );
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const resp = await fetch(`/api/uploads/${session.id}/parts/${index}`, {
+          method: "PUT",
+          headers: { "Content-Type": "application/octet-stream" },
+          body: part,
+        });
+        if (!resp.ok) {
+          throw await responseError(resp);
+        }
+        session = await resp.json();
+        break;
+      } catch (err) {
+        if (attempt >= 3) {
+          throw err;
+        }
+        console.warn(`Retrying part ${index} (attempt ${attempt}):`, err);
+        await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+      }
+    }
   }
-  window.location.hash = urn;
-  try {
-    const resp = await fetch(`/api/models/${urn}/status`);
-    if (!resp.ok) {
-      throw new Error(await resp.text());
+
+  let rootFilename;
+  if (file.name.toLowerCase().endsWith(".zip")) {
+    const archive = await fetch(`/api/uploads/${session.id}/archive`);
+    if (!archive.ok) {
+      throw await responseError(archive);
     }
-    const status = await resp.json();
-    switch (status.status) {
-      case "n/a":
-        showNotification(`Model has not been translated.`);
-        break;
-      case "inprogress":
-        showNotification(`Model is being translated (${status.progress})...`);
-        window.onModelSelectedTimeout = setTimeout(
-          onModelSelected,
-          5000,
-          viewer,
-          urn
-        );
-        break;
-      case "failed":
-        showNotification(
-          `Translation failed. <ul>${status.messages
-            .map((msg) => `<li>${JSON.stringify(msg)}</li>`)
-            .join("")}</ul>`
-        );
-        break;
-      default:
-        clearNotification();
-        loadModel(viewer, urn);
-        break;
+    rootFilename = await chooseRootFilename(file.name, await archive.json());
+    if (!rootFilename) {
+      return null;
     }
-  } catch (err) {
-    alert("Could not load model. See the console for more details.");
-    console.error(err);
+  }
+
+  let onDuplicate = "ask";
+  for (;;) {
+    const resp = await fetch(`/api/uploads/${session.id}/complete`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ rootFilename, onDuplicate }),
+    });
+    if (resp.ok) {
+      return await resp.json();
+    }
+    const err = await responseError(resp);
+    if (err.code !== "DUPLICATE_OBJECT" || onDuplicate !== "ask") {
+      throw err;
+    }
+    onDuplicate = confirm(
+      `The bucket already contains the same file as ${err.details.name}.\n\nPress OK to use the existing model, or Cancel to upload ${file.name} as a separate copy.`
+    )
+      ? "reuse"
+      : "upload";
   }
 }
 
 /**
- * Displays a notification message to the user.
- * Shows an overlay with the specified message.
+ * Sets up the rename, copy/move and delete controls next to the models dropdown.
+ * Each action works on the currently selected model and refreshes the model list afterwards.
  *
- * @param {string} message - The HTML message to display
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @returns {Promise<void>}
  */
-function showNotification(message) {
-  const overlay = document.getElementById("overlay");
-  overlay.innerHTML = `<div class="notification">${message}</div>`;
+async function setupModelActions(viewer) {
+  const models = document.getElementById("models");
+  const rename = document.getElementById("rename-model");
+  const copy = document.getElementById("copy-model");
+  const translate = document.getElementById("translate-model");
+  const remove = document.getElementById("delete-model");
+
+  const getModel = () => {
+    const model = getSelectedModel();
+    if (!model) {
+      alert("Please select a model first.");
+    }
+    return model;
+  };
+
+  const runAction = async (message, url, options) => {
+    const buttons = [rename, copy, translate, remove];
+    buttons.forEach((button) => button.setAttribute("disabled", "true"));
+    models.classList.add("disabled");
+    showNotification(message);
+    try {
+      const resp = await fetch(url, options);
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      const result = await resp.json();
+      clearNotification();
+      onBucketSelected(viewer, getSelectedBucketUrn());
+      return result;
+    } catch (err) {
+      clearNotification();
+      alert(describeError("The action failed.", err));
+      console.error(err);
+    } finally {
+      buttons.forEach((button) => button.removeAttribute("disabled"));
+      models.classList.remove("disabled");
+    }
+  };
+
+  rename.onclick = async () => {
+    const model = getModel();
+    if (!model) {
+      return;
+    }
+    const name = window.prompt("Please enter the new model name.", model.name);
+    if (!name || name === model.name) {
+      return;
+    }
+    const deleteDerivatives = confirm(
+      "Also delete the translated derivatives of the old name?"
+    );
+    await runAction(
+      `Renaming model <em>${escapeHtml(model.name)}</em> to <em>${escapeHtml(
+        name
+      )}</em>...`,
+      `/api/models/${model.urn}/rename`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name, deleteDerivatives }),
+      }
+    );
+  };
+
+  copy.onclick = async () => {
+    const model = getModel();
+    if (!model) {
+      return;
+    }
+    const buckets = [
+      ...document.querySelectorAll("#buckets .dropdown-option"),
+    ].map((option) => ({ urn: option.dataset.urn, name: option.title }));
+    const bucketName = window.prompt(
+      `Please enter the target bucket (${buckets
+        .map((bucket) => bucket.name)
+        .join(", ")}).`
+    );
+    if (!bucketName) {
+      return;
+    }
+    const bucket = buckets.find((b) => b.name === bucketName.trim());
+    if (!bucket) {
+      alert(`Bucket "${bucketName}" not found.`);
+      return;
+    }
+    const name = window.prompt(
+      "Please enter the name of the copy.",
+      model.name
+    );
+    if (!name) {
+      return;
+    }
+    const move = confirm(
+      "Move the model instead of copying it? The original will be deleted."
+    );
+    const deleteDerivatives =
+      move &&
+      confirm("Also delete the translated derivatives of the original?");
+    await runAction(
+      `${move ? "Moving" : "Copying"} model <em>${escapeHtml(
+        model.name
+      )}</em> to bucket <em>${bucket.name}</em>...`,
+      `/api/models/${model.urn}/copy`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          bucket: bucket.urn,
+          name,
+          move,
+          deleteDerivatives,
+        }),
+      }
+    );
+  };
+
+  translate.onclick = async () => {
+    const model = getModel();
+    if (!model) {
+      return;
+    }
+    const settings = await askTranslationSettings({ allowForce: true });
+    if (!settings) {
+      return;
+    }
+    let rootFilename;
+    if (model.name.toLowerCase().endsWith(".zip")) {
+      try {
+        const resp = await fetch(`/api/models/${model.urn}/archive`);
+        if (!resp.ok) {
+          throw await responseError(resp);
+        }
+        rootFilename = await chooseRootFilename(model.name, await resp.json());
+      } catch (err) {
+        alert(describeError("Could not read the archive.", err));
+        console.error(err);
+        return;
+      }
+      if (!rootFilename) {
+        return;
+      }
+    }
+    const result = await runAction(
+      `Starting translation of model <em>${escapeHtml(model.name)}</em>...`,
+      `/api/models/${model.urn}/translate`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...settings, rootFilename }),
+      }
+    );
+    if (result) {
+      onModelSelected(viewer, model.urn);
+    }
+  };
+
+  remove.onclick = async () => {
+    const model = getModel();
+    if (!model) {
+      return;
+    }
+    if (
+      !confirm(
+        `Are you sure you want to delete model "${model.name}"?\n\nThis action cannot be undone.`
+      )
+    ) {
+      return;
+    }
+    const deleteDerivatives = confirm(
+      "Also delete the translated derivatives of this model?"
+    );
+    await runAction(
+      `Deleting model <em>${escapeHtml(model.name)}</em>...`,
+      `/api/models/${model.urn}?derivatives=${deleteDerivatives}`,
+      { method: "DELETE" }
+    );
+  };
+}
+
+/**
+ * Sets up the "Downloads" menu for the current model.
+ * Opening the menu lists the original file and every downloadable derivative.
+ */
+function setupDownloads() {
+  const dropdown = document.getElementById("downloads");
+  const toggle = dropdown.querySelector(".dropdown-selected");
+  const options = document.getElementById("download-options");
+
+  const close = () => {
+    dropdown.classList.remove("open");
+    toggle.setAttribute("aria-expanded", "false");
+  };
+
+  const open = async () => {
+    const urn = getSelectedModel()?.urn;
+    if (!urn) {
+      alert("Please select a model first.");
+      return;
+    }
+    dropdown.classList.add("open");
+    toggle.setAttribute("aria-expanded", "true");
+    options.innerHTML = `<div class="dropdown-option">Loading...</div>`;
+    try {
+      const resp = await fetch(`/api/models/${urn}/derivatives`);
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      const derivatives = await resp.json();
+      options.innerHTML = [
+        `<div class="dropdown-option" role="option" data-original="true">Original file</div>`,
+        ...derivatives.map(
+          (derivative) =>
+            `<a class="dropdown-option" role="option" href="/api/models/${urn}/derivatives/download?urn=${encodeURIComponent(
+              derivative.urn
+            )}" download="${escapeHtml(derivative.name)}" title="${escapeHtml(
+              derivative.name
+            )}">
+              <span class="option-name">${escapeHtml(derivative.name)}</span>
+              <span>${derivative.outputType.toUpperCase()}</span>
+            </a>`
+        ),
+      ].join("\n");
+      options.querySelector("[data-original]").onclick = () =>
+        downloadOriginal(urn);
+    } catch (err) {
+      options.innerHTML = `<div class="dropdown-option">Could not list downloads.</div>`;
+      console.error(err);
+    }
+  };
+
+  toggle.onclick = () =>
+    dropdown.classList.contains("open") ? close() : open();
+  toggle.onkeydown = (event) => {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      toggle.onclick();
+    } else if (event.key === "Escape") {
+      close();
+    }
+  };
+  options.addEventListener("click", (event) => {
+    if (event.target.closest("a")) {
+      close();
+    }
+  });
+  document.addEventListener("click", (event) => {
+    if (!dropdown.contains(event.target)) {
+      close();
+    }
+  });
+
+  async function downloadOriginal(urn) {
+    close();
+    try {
+      const resp = await fetch(`/api/models/${urn}/download`);
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      const { url } = await resp.json();
+      window.location.href = url;
+    } catch (err) {
+      alert(describeError("Could not download the original file.", err));
+      console.error(err);
+    }
+  }
+}
+
+/**
+ * Sets up the "Compare" button and the list of changes of a comparison.
+ * The changes can be filtered by name, ID and kind; clicking one zooms to it.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ */
+function setupComparison(viewer) {
+  const button = document.getElementById("compare-models");
+  const panel = document.getElementById("changes");
+  const list = panel.querySelector(".change-list");
+  const filter = panel.querySelector("[name=filter]");
+
+  const renderChanges = () => {
+    const changes = window.comparison?.changes || [];
+    const text = filter.value.trim().toLowerCase();
+    const kinds = [...panel.querySelectorAll("[name=kind]:checked")].map(
+      (input) => input.value
+    );
+    list.innerHTML = changes
+      .map((change, index) => ({ change, index }))
+      .filter(
+        ({ change }) =>
+          kinds.includes(change.kind) &&
+          (!text ||
+            change.name.toLowerCase().includes(text) ||
+            change.externalId.toLowerCase().includes(text) ||
+            String(change.comparedId ?? change.baseId).includes(text))
+      )
+      .map(
+        ({ change, index }) =>
+          `<li data-index="${index}" title="${change.kind}: ${escapeHtml(
+            change.externalId
+          )}">
+            <span class="change-kind" data-kind="${change.kind}"></span>
+            <span class="change-name">${escapeHtml(change.name)}</span>
+            <span class="change-id">${change.comparedId ?? change.baseId}</span>
+          </li>`
+      )
+      .join("\n");
+  };
+
+  button.onclick = async () => {
+    const choice = await askComparison();
+    if (!choice) {
+      return;
+    }
+    endComparison();
+    endFederation();
+    stopWatchingTranslation();
+    showNotification(
+      `Comparing <em>${escapeHtml(
+        choice.base.label
+      )}</em> with <em>${escapeHtml(choice.compared.label)}</em>...`
+    );
+    try {
+      const [base, compared] = await Promise.all(
+        [choice.base, choice.compared].map(async (model) => {
+          const resp = await fetch(`/api/models/${model.urn}/status`);
+          if (!resp.ok) {
+            throw await responseError(resp);
+          }
+          const status = await resp.json();
+          if (status.status !== "success") {
+            throw new Error(`${model.label} has not been translated.`);
+          }
+          return { ...model, region: status.region };
+        })
+      );
+      window.comparison = await compareModels(viewer, base, compared, {
+        mode: choice.mode,
+        splitContainer: document.getElementById("compare-preview"),
+      });
+      clearNotification();
+      const count = (kind) =>
+        window.comparison.changes.filter((change) => change.kind === kind)
+          .length;
+      panel.querySelector(".summary").textContent = `${base.label} → ${
+        compared.label
+      }: ${count("added")} added, ${count("removed")} removed, ${count(
+        "modified"
+      )} modified`;
+      filter.value = "";
+      renderChanges();
+      panel.hidden = false;
+    } catch (err) {
+      clearNotification();
+      alert(describeError("Could not compare the models.", err));
+      console.error(err);
+    }
+  };
+
+  filter.oninput = renderChanges;
+  for (const input of panel.querySelectorAll("[name=kind]")) {
+    input.onchange = renderChanges;
+  }
+  list.addEventListener("click", (event) => {
+    const item = event.target.closest("li[data-index]");
+    if (item && window.comparison) {
+      window.comparison.focus(window.comparison.changes[item.dataset.index]);
+    }
+  });
+  panel.querySelector(".close").onclick = () => {
+    const urn = getDisplayedUrn();
+    endComparison();
+    if (urn) {
+      onModelSelected(viewer, urn);
+    }
+  };
+}
+
+/**
+ * Ends the running comparison, if any, and hides its list of changes.
+ * The caller is expected to load another model afterwards.
+ */
+function endComparison() {
+  if (window.comparison) {
+    window.comparison.stop();
+    delete window.comparison;
+  }
+  document.getElementById("changes").hidden = true;
+}
+
+/**
+ * Sets up the viewable picker, which lists the 2D sheets and 3D views of the displayed model,
+ * and the button making the displayed one the viewable the model opens with.
+ * The options themselves are rendered by renderViewableOptions.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ */
+function setupViewablePicker(viewer) {
+  const dropdown = document.getElementById("viewables");
+  const toggle = dropdown.querySelector(".dropdown-selected");
+  const options = document.getElementById("viewable-options");
+  const setDefault = document.getElementById("default-viewable");
+
+  const setOpen = (open) => {
+    dropdown.classList.toggle("open", open);
+    toggle.setAttribute("aria-expanded", String(open));
+  };
+
+  toggle.onclick = () =>
+    setOpen(
+      !dropdown.classList.contains("open") &&
+        !dropdown.classList.contains("disabled")
+    );
+  toggle.onkeydown = (event) => {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      toggle.onclick();
+    } else if (event.key === "Escape") {
+      setOpen(false);
+    }
+  };
+  options.addEventListener("click", (event) => {
+    const option = event.target.closest(".dropdown-option[data-guid]");
+    if (!option) {
+      return;
+    }
+    setOpen(false);
+    if (!option.classList.contains("selected")) {
+      const { urn, region } = options.dataset;
+      endComparison();
+      endFederation();
+      hideMarkups(viewer);
+      window.pendingView = { urn, viewable: option.dataset.guid };
+      openView(viewer, urn, region);
+    }
+  });
+  document.addEventListener("click", (event) => {
+    if (!dropdown.contains(event.target)) {
+      setOpen(false);
+    }
+  });
+
+  setDefault.onclick = async () => {
+    const { urn, region, defaultGuid } = options.dataset;
+    const selected = options.querySelector(".dropdown-option.selected");
+    if (!urn || !selected) {
+      return;
+    }
+    const isDefault = selected.dataset.guid === defaultGuid;
+    setDefault.disabled = true;
+    try {
+      const resp = await fetch(`/api/models/${urn}/viewables/default`, {
+        method: isDefault ? "DELETE" : "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: isDefault
+          ? undefined
+          : JSON.stringify({
+              guid: selected.dataset.guid,
+              name: selected.dataset.name,
+              setBy: getUserName(),
+            }),
+      });
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      renderViewableOptions(
+        urn,
+        region,
+        viewer.model,
+        isDefault ? null : await resp.json()
+      );
+    } catch (err) {
+      alert(describeError("Could not change the default view.", err));
+      console.error(err);
+    } finally {
+      setDefault.disabled = false;
+    }
+  };
+}
+
+/**
+ * Renders the viewables of a loaded model in the viewable picker, each with its thumbnail,
+ * and marks the displayed one and the one the model opens with.
+ *
+ * @param {string} [urn] - The URN of the model, or nothing to clear the picker
+ * @param {string} [region] - The data center region holding the model's derivatives
+ * @param {Object} [model] - The loaded model
+ * @param {Object} [preferred] - The default viewable of the model, see getDefaultViewable
+ */
+function renderViewableOptions(urn, region, model, preferred) {
+  const dropdown = document.getElementById("viewables");
+  const options = document.getElementById("viewable-options");
+  const selectedText = dropdown.querySelector(".selected-text");
+  const setDefault = document.getElementById("default-viewable");
+  const viewables = model ? listViewables(model) : [];
+  const current = model?.getDocumentNode()?.guid();
+  // A default saved on another version may only match by name
+  const defaultGuid = viewables.find(
+    (viewable) =>
+      viewable.guid === preferred?.guid || viewable.name === preferred?.name
+  )?.guid;
+
+  Object.assign(options.dataset, {
+    urn: urn || "",
+    region: region || "",
+    defaultGuid: defaultGuid || "",
+  });
+  options.innerHTML = viewables
+    .map(
+      (viewable) =>
+        `<div class="dropdown-option model-option${
+          viewable.guid === current ? " selected" : ""
+        }" data-guid="${viewable.guid}" data-name="${escapeHtml(
+          viewable.name
+        )}" role="option" tabindex="-1" title="${escapeHtml(viewable.name)}">
+          <img class="thumbnail" src="/api/models/${urn}/viewables/${encodeURIComponent(
+          viewable.guid
+        )}/thumbnail?width=100" alt="" loading="lazy" />
+          <span class="model-info">
+            <span class="option-name">${escapeHtml(viewable.name)}</span>
+            <span class="model-details">${[
+              viewable.role === "2d" ? "2D sheet" : "3D view",
+              viewable.guid === defaultGuid && "default",
+            ]
+              .filter(Boolean)
+              .join(" · ")}</span>
+          </span>
+        </div>`
+    )
+    .join("\n");
+  dropdown.classList.toggle("disabled", viewables.length < 2);
+  const name = viewables.find((viewable) => viewable.guid === current)?.name;
+  selectedText.textContent = name || "Sheets and views...";
+  selectedText.title = name || "";
+  setDefault.disabled = !current;
+  setDefault.textContent =
+    current && current === defaultGuid ? "Clear Default" : "Set Default";
+}
+
+/**
+ * Fetches the viewable a model opens with. Failures are only logged, so the model
+ * still opens with its default geometry.
+ *
+ * @param {string} urn - The URN of the model
+ * @returns {Promise<Object|null>} The default with `guid` and `name`, or null if there is none
+ */
+async function getDefaultViewable(urn) {
+  try {
+    const resp = await fetch(`/api/models/${urn}/viewables/default`);
+    if (!resp.ok) {
+      throw await responseError(resp);
+    }
+    return await resp.json();
+  } catch (err) {
+    console.error(err);
+    return null;
+  }
+}
+
+/**
+ * Keeps the URL in sync with the view, so refreshing the page or sharing the link restores it,
+ * and sets up the saved views controls: restoring a saved view, saving the current view under
+ * a name, deleting saved views and copying the link of the current view.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ */
+function setupViewState(viewer) {
+  const views = document.getElementById("saved-views");
+  const save = document.getElementById("save-view");
+  const remove = document.getElementById("delete-view");
+  const copy = document.getElementById("copy-link");
+
+  let timer;
+  const updateUrl = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      // Comparisons and federations show several models, which links cannot describe
+      if (!viewer.model || window.comparison || window.federation) {
+        return;
+      }
+      writeUrlState({
+        bucket: getSelectedBucketUrn(),
+        model: getDisplayedUrn(),
+        ...captureView(viewer),
+      });
+    }, 500);
+  };
+  for (const event of [
+    Autodesk.Viewing.CAMERA_CHANGE_EVENT,
+    Autodesk.Viewing.SELECTION_CHANGED_EVENT,
+    Autodesk.Viewing.ISOLATE_EVENT,
+  ]) {
+    viewer.addEventListener(event, updateUrl);
+  }
+
+  views.onchange = async () => {
+    const urn = getDisplayedUrn();
+    remove.disabled = !views.value;
+    if (!views.value || !urn) {
+      return;
+    }
+    try {
+      const resp = await fetch(`/api/models/${urn}/views/${views.value}`);
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      const view = await resp.json();
+      const viewable = viewer.model?.getDocumentNode()?.guid();
+      if (view.viewable && view.viewable !== viewable) {
+        // The view shows another sheet or 3D view, so the model is reloaded with it
+        const status = await fetch(`/api/models/${urn}/status`);
+        if (!status.ok) {
+          throw await responseError(status);
+        }
+        window.pendingView = { ...view, urn };
+        await openView(viewer, urn, (await status.json()).region);
+      } else {
+        restoreView(viewer, view);
+      }
+    } catch (err) {
+      alert(describeError("Could not open the view.", err));
+      console.error(err);
+    }
+  };
+
+  save.onclick = async () => {
+    const urn = getDisplayedUrn();
+    if (!urn || !viewer.model) {
+      alert("Please select a model first.");
+      return;
+    }
+    const name = window.prompt("Please enter the name of the view.");
+    if (!name) {
+      return;
+    }
+    try {
+      const resp = await fetch(`/api/models/${urn}/views`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          name,
+          ...captureView(viewer),
+          author: getUserName(),
+        }),
+      });
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      const view = await resp.json();
+      await showSavedViews(urn);
+      views.value = view.id;
+      remove.disabled = false;
+    } catch (err) {
+      alert(describeError("Could not save the view.", err));
+      console.error(err);
+    }
+  };
+
+  remove.onclick = async () => {
+    const urn = getDisplayedUrn();
+    const option = views.selectedOptions[0];
+    if (
+      !urn ||
+      !option?.value ||
+      !confirm(`Are you sure you want to delete view "${option.text}"?`)
+    ) {
+      return;
+    }
+    try {
+      const resp = await fetch(`/api/models/${urn}/views/${option.value}`, {
+        method: "DELETE",
+      });
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      showSavedViews(urn);
+    } catch (err) {
+      alert(describeError("Could not delete the view.", err));
+      console.error(err);
+    }
+  };
+
+  copy.onclick = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      copy.textContent = "Copied";
+      setTimeout(() => (copy.textContent = "Copy Link"), 2000);
+    } catch (err) {
+      window.prompt("Copy this link:", window.location.href);
+    }
+  };
+}
+
+/**
+ * Lists the saved views of a model in the saved views picker.
+ *
+ * @param {string} [urn] - The URN of the model, or nothing to clear the picker
+ * @returns {Promise<void>}
+ */
+async function showSavedViews(urn) {
+  const views = document.getElementById("saved-views");
+  views.innerHTML = `<option value="">Saved views...</option>`;
+  document.getElementById("delete-view").disabled = true;
+  if (!urn) {
+    return;
+  }
+  try {
+    const resp = await fetch(`/api/models/${urn}/views`);
+    if (!resp.ok) {
+      throw await responseError(resp);
+    }
+    const saved = await resp.json();
+    if (getDisplayedUrn() !== urn) {
+      return; // Another model was selected in the meantime
+    }
+    views.innerHTML += saved
+      .map(
+        (view) =>
+          `<option value="${view.id}" title="${escapeHtml(
+            view.author || ""
+          )}">${escapeHtml(view.name)}</option>`
+      )
+      .join("");
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+/**
+ * Sets up the share dialog: creating expiring, optionally password-protected links to the
+ * displayed model for people without access to the application, copying and revoking them.
+ */
+function setupSharing() {
+  const dialog = document.getElementById("shares");
+  const form = dialog.querySelector("form");
+  const list = dialog.querySelector(".share-list");
+  const create = dialog.querySelector(".create-share");
+
+  document.getElementById("share-model").onclick = () => {
+    const urn = getDisplayedUrn();
+    if (!urn) {
+      alert("Please select a model first.");
+      return;
+    }
+    dialog.dataset.urn = urn;
+    dialog.querySelector(".model-name").textContent =
+      parseModelUrn(urn)?.name || "";
+    form.elements.password.value = "";
+    showShares(urn);
+    dialog.showModal();
+  };
+
+  create.onclick = async () => {
+    const { urn } = dialog.dataset;
+    create.disabled = true;
+    try {
+      const resp = await fetch(`/api/models/${urn}/shares`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          expiresIn: Number(form.elements.expiresIn.value),
+          password: form.elements.password.value || undefined,
+          createdBy: getUserName(),
+        }),
+      });
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      const share = await resp.json();
+      form.elements.password.value = "";
+      await showShares(urn);
+      await navigator.clipboard
+        .writeText(shareUrl(share.token))
+        .catch(() => {}); // The link can still be copied from the list
+    } catch (err) {
+      alert(describeError("Could not create the share link.", err));
+      console.error(err);
+    } finally {
+      create.disabled = false;
+    }
+  };
+
+  list.addEventListener("click", async (event) => {
+    const item = event.target.closest("li[data-token]");
+    if (!item) {
+      return;
+    }
+    const { token } = item.dataset;
+    if (event.target.closest(".copy")) {
+      try {
+        await navigator.clipboard.writeText(shareUrl(token));
+        event.target.textContent = "Copied";
+      } catch (err) {
+        window.prompt("Copy this link:", shareUrl(token));
+      }
+    } else if (event.target.closest(".revoke")) {
+      if (!confirm("Revoke this link? Anyone using it loses access.")) {
+        return;
+      }
+      try {
+        const resp = await fetch(
+          `/api/models/${dialog.dataset.urn}/shares/${token}`,
+          { method: "DELETE" }
+        );
+        if (!resp.ok) {
+          throw await responseError(resp);
+        }
+        showShares(dialog.dataset.urn);
+      } catch (err) {
+        alert(describeError("Could not revoke the share link.", err));
+        console.error(err);
+      }
+    }
+  });
+}
+
+/**
+ * Returns the address of the public page of a share link.
+ *
+ * @param {string} token - The token of the link
+ * @returns {string} The URL
+ */
+function shareUrl(token) {
+  return `${window.location.origin}/share/${token}`;
+}
+
+/**
+ * Lists the active share links of a model in the share dialog.
+ *
+ * @param {string} urn - The URN of the model
+ * @returns {Promise<void>}
+ */
+async function showShares(urn) {
+  const list = document.querySelector("#shares .share-list");
+  list.innerHTML = `<li class="empty">Loading...</li>`;
+  try {
+    const resp = await fetch(`/api/models/${urn}/shares`);
+    if (!resp.ok) {
+      throw await responseError(resp);
+    }
+    const shares = await resp.json();
+    list.innerHTML =
+      shares
+        .map(
+          (share) =>
+            `<li data-token="${share.token}">
+              <input type="text" readonly value="${shareUrl(
+                share.token
+              )}" aria-label="Share link" />
+              <span class="details">${[
+                `Until ${new Date(share.expiresAt).toLocaleString()}`,
+                share.protected && "password protected",
+                share.createdBy && `by ${escapeHtml(share.createdBy)}`,
+              ]
+                .filter(Boolean)
+                .join(" · ")}</span>
+              <button type="button" class="copy">Copy</button>
+              <button type="button" class="revoke">Revoke</button>
+            </li>`
+        )
+        .join("") || `<li class="empty">No active links.</li>`;
+  } catch (err) {
+    list.innerHTML = `<li class="empty">Could not list the links.</li>`;
+    console.error(err);
+  }
+}
+
+/**
+ * Sets up the annotations panel: drawing markups with a comment on the displayed model,
+ * restoring the view of an annotation by clicking it, resolving, reopening and deleting them.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ */
+function setupAnnotations(viewer) {
+  const toggle = document.getElementById("annotations-toggle");
+  const panel = document.getElementById("annotations");
+  const editor = panel.querySelector(".editor");
+  const list = panel.querySelector(".annotation-list");
+  const tools = [...editor.querySelectorAll("[data-tool]")];
+
+  const closeEditor = async () => {
+    if (!editor.hidden) {
+      editor.hidden = true;
+      return await finishMarkup(viewer);
+    }
+    return null;
+  };
+
+  const request = async (url, options) => {
+    const resp = await fetch(url, options);
+    if (!resp.ok) {
+      throw await responseError(resp);
+    }
+    return resp.status === 204 ? null : await resp.json();
+  };
+
+  toggle.onclick = async () => {
+    const open = panel.hidden;
+    panel.hidden = !open;
+    toggle.setAttribute("aria-expanded", String(open));
+    if (open) {
+      showAnnotations(getDisplayedUrn());
+    } else {
+      await closeEditor();
+      hideMarkups(viewer);
+    }
+  };
+  panel.querySelector("[name=status]").onchange = () =>
+    showAnnotations(getDisplayedUrn());
+
+  panel.querySelector(".new").onclick = async () => {
+    if (!getDisplayedUrn()) {
+      alert("Please select a model first.");
+      return;
+    }
+    editor.reset();
+    tools.forEach((button, index) =>
+      button.classList.toggle("active", index === 0)
+    );
+    editor.hidden = false;
+    try {
+      await startMarkup(viewer, tools[0].dataset.tool);
+    } catch (err) {
+      editor.hidden = true;
+      alert(describeError("Could not start the markup.", err));
+      console.error(err);
+    }
+  };
+  for (const button of tools) {
+    button.onclick = () => {
+      tools.forEach((other) =>
+        other.classList.toggle("active", other === button)
+      );
+      setMarkupTool(viewer, button.dataset.tool);
+    };
+  }
+  editor.querySelector(".cancel").onclick = () => closeEditor();
+  editor.onsubmit = async (event) => {
+    event.preventDefault();
+    const urn = getDisplayedUrn();
+    const text = editor.elements.text.value.trim();
+    const { markup, camera } = await closeEditor();
+    if (!markup && !text) {
+      alert("Please draw a markup or write a comment.");
+      editor.hidden = false;
+      await startMarkup(viewer, "freehand");
+      return;
+    }
+    try {
+      await request(`/api/models/${urn}/annotations`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text, markup, camera, author: getUserName() }),
+      });
+    } catch (err) {
+      alert(describeError("Could not save the annotation.", err));
+      console.error(err);
+    }
+    showAnnotations(urn);
+  };
+
+  list.addEventListener("click", async (event) => {
+    const item = event.target.closest("li[data-id]");
+    if (!item) {
+      return;
+    }
+    const urn = getDisplayedUrn();
+    const url = `/api/models/${urn}/annotations/${item.dataset.id}`;
+    try {
+      if (event.target.closest(".toggle-status")) {
+        await request(url, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            status: item.dataset.status === "open" ? "resolved" : "open",
+          }),
+        });
+        showAnnotations(urn);
+      } else if (event.target.closest(".delete")) {
+        if (confirm("Are you sure you want to delete this annotation?")) {
+          await request(url, { method: "DELETE" });
+          hideMarkups(viewer);
+          showAnnotations(urn);
+        }
+      } else {
+        await closeEditor();
+        await showMarkup(viewer, await request(url));
+      }
+    } catch (err) {
+      alert(describeError("The annotation action failed.", err));
+      console.error(err);
+    }
+  });
+}
+
+/**
+ * Lists the annotations of a model in the annotations panel, filtered by the chosen status.
+ *
+ * @param {string} [urn] - The URN of the model, or nothing to clear the list
+ * @returns {Promise<void>}
+ */
+async function showAnnotations(urn) {
+  const panel = document.getElementById("annotations");
+  const list = panel.querySelector(".annotation-list");
+  const status = panel.querySelector("[name=status]").value;
+  list.innerHTML = "";
+  if (!urn) {
+    return;
+  }
+  try {
+    const resp = await fetch(
+      `/api/models/${urn}/annotations${status ? `?status=${status}` : ""}`
+    );
+    if (!resp.ok) {
+      throw await responseError(resp);
+    }
+    const annotations = await resp.json();
+    if (getDisplayedUrn() !== urn) {
+      return; // Another model was selected in the meantime
+    }
+    list.innerHTML =
+      annotations
+        .map(
+          (annotation) =>
+            `<li data-id="${annotation.id}" data-status="${
+              annotation.status
+            }" title="Show annotation">
+              <div class="annotation-header">
+                <span class="annotation-author">${escapeHtml(
+                  annotation.author || "Anonymous"
+                )}</span>
+                <span class="annotation-date">${new Date(
+                  annotation.createdAt
+                ).toLocaleString()}</span>
+                <span class="status-badge" data-status="${annotation.status}">${
+              annotation.status === "open" ? "Open" : "Resolved"
+            }</span>
+              </div>
+              ${
+                annotation.text
+                  ? `<p class="annotation-text">${escapeHtml(
+                      annotation.text
+                    )}</p>`
+                  : ""
+              }
+              <div class="annotation-actions">
+                <button class="toggle-status">${
+                  annotation.status === "open" ? "Resolve" : "Reopen"
+                }</button>
+                <button class="delete">Delete</button>
+              </div>
+            </li>`
+        )
+        .join("\n") || `<li class="empty">No annotations yet.</li>`;
+  } catch (err) {
+    list.innerHTML = `<li class="empty">Could not list annotations.</li>`;
+    console.error(err);
+  }
+}
+
+/**
+ * Sets up the federation panel: opening saved federations, adding translated models from any
+ * bucket, aligning, hiding and unloading them, and saving the set under a name so others can
+ * open the same combination.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ */
+function setupFederation(viewer) {
+  const toggle = document.getElementById("federation-toggle");
+  const panel = document.getElementById("federation");
+  const saved = panel.querySelector("[name=saved]");
+  const bucketSelect = panel.querySelector("[name=bucket]");
+  const modelSelect = panel.querySelector("[name=model]");
+  const list = panel.querySelector(".federation-models");
+
+  const refreshSaved = async () => {
+    try {
+      const resp = await fetch("/api/federations");
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      const federations = await resp.json();
+      saved.innerHTML =
+        federations
+          .map(
+            (federation) =>
+              `<option value="${federation.id}">${escapeHtml(
+                federation.name
+              )} (${federation.models} models)</option>`
+          )
+          .join("") || `<option value="">No saved federations</option>`;
+      if (window.federation?.id) {
+        saved.value = window.federation.id;
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const refreshModels = async () => {
+    modelSelect.innerHTML = "";
+    if (!bucketSelect.value) {
+      return;
+    }
+    try {
+      // All models of the bucket are offered, so every page is fetched
+      const models = [];
+      let cursor = null;
+      do {
+        const params = new URLSearchParams({
+          bucket: bucketSelect.value,
+          limit: 200,
+        });
+        if (cursor) {
+          params.set("cursor", cursor);
+        }
+        const resp = await fetch(`/api/models?${params}`);
+        if (!resp.ok) {
+          throw await responseError(resp);
+        }
+        const page = await resp.json();
+        models.push(...page.items);
+        cursor = page.next;
+      } while (cursor);
+      modelSelect.innerHTML = models
+        .map(
+          (model) =>
+            `<option value="${model.urn}">${escapeHtml(model.name)}</option>`
+        )
+        .join("");
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const refreshBuckets = () => {
+    bucketSelect.innerHTML = [
+      ...document.querySelectorAll("#bucket-options .dropdown-option"),
+    ]
+      .map(
+        (option) =>
+          `<option value="${option.dataset.urn}">${option.title}</option>`
+      )
+      .join("");
+    const selected = document.querySelector(
+      "#buckets .dropdown-option.selected"
+    )?.dataset.urn;
+    if (selected) {
+      bucketSelect.value = selected;
+    }
+    refreshModels();
+  };
+
+  const runTask = async (message, task) => {
+    showNotification(message);
+    try {
+      await task();
+    } catch (err) {
+      alert(describeError("The federation action failed.", err));
+      console.error(err);
+    } finally {
+      clearNotification();
+      renderFederation();
+    }
+  };
+
+  const addModel = async (entry) => {
+    const resp = await fetch(`/api/models/${entry.urn}/status`);
+    if (!resp.ok) {
+      throw await responseError(resp);
+    }
+    const status = await resp.json();
+    if (status.status !== "success") {
+      throw new Error(`${entry.name} has not been translated.`);
+    }
+    if (!window.federation) {
+      endComparison();
+      stopWatchingTranslation();
+      window.federation = {
+        id: null,
+        name: null,
+        scene: createFederatedScene(viewer),
+      };
+    }
+    await window.federation.scene.add({ ...entry, region: status.region });
+  };
+
+  const save = async (asNew) => {
+    const federation = window.federation;
+    if (!federation || federation.scene.members.length === 0) {
+      alert("Please add models to the federation first.");
+      return;
+    }
+    const create = asNew || !federation.id;
+    const name = create
+      ? window.prompt(
+          "Please enter the name of the federation.",
+          federation.name || ""
+        )
+      : federation.name;
+    if (!name) {
+      return;
+    }
+    await runTask(
+      `Saving federation <em>${escapeHtml(name)}</em>...`,
+      async () => {
+        const resp = await fetch(
+          create ? "/api/federations" : `/api/federations/${federation.id}`,
+          {
+            method: create ? "POST" : "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              name,
+              models: federation.scene.members.map(
+                ({ urn, offset, visible }) => ({ urn, offset, visible })
+              ),
+              createdBy: getUserName(),
+            }),
+          }
+        );
+        if (!resp.ok) {
+          throw await responseError(resp);
+        }
+        const result = await resp.json();
+        federation.id = result.id;
+        federation.name = result.name;
+        await refreshSaved();
+      }
+    );
+  };
+
+  toggle.onclick = () => {
+    const open = panel.hidden;
+    panel.hidden = !open;
+    toggle.setAttribute("aria-expanded", String(open));
+    if (open) {
+      refreshSaved();
+      refreshBuckets();
+      renderFederation();
+    }
+  };
+  bucketSelect.onchange = refreshModels;
+
+  panel.querySelector(".add").onclick = async () => {
+    const option = modelSelect.selectedOptions[0];
+    if (!option) {
+      return;
+    }
+    await runTask(
+      `Loading model <em>${escapeHtml(option.textContent)}</em>...`,
+      () => addModel({ urn: option.value, name: option.textContent })
+    );
+  };
+
+  panel.querySelector(".open").onclick = async () => {
+    if (!saved.value) {
+      return;
+    }
+    await runTask("Opening federation...", async () => {
+      const resp = await fetch(`/api/federations/${saved.value}`);
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      const federation = await resp.json();
+      endFederation();
+      const failures = [];
+      for (const model of federation.models) {
+        try {
+          await addModel(model);
+        } catch (err) {
+          failures.push(`${model.name}: ${err.message}`);
+          console.error(err);
+        }
+      }
+      if (window.federation) {
+        window.federation.id = federation.id;
+        window.federation.name = federation.name;
+      }
+      if (failures.length > 0) {
+        alert(
+          `Some models of the federation could not be loaded.\n\n${failures.join(
+            "\n"
+          )}`
+        );
+      }
+    });
+  };
+
+  panel.querySelector(".delete").onclick = async () => {
+    const option = saved.selectedOptions[0];
+    if (
+      !option?.value ||
+      !confirm(`Are you sure you want to delete federation "${option.text}"?`)
+    ) {
+      return;
+    }
+    await runTask("Deleting federation...", async () => {
+      const resp = await fetch(`/api/federations/${option.value}`, {
+        method: "DELETE",
+      });
+      if (!resp.ok) {
+        throw await responseError(resp);
+      }
+      if (window.federation?.id === option.value) {
+        window.federation.id = null;
+        window.federation.name = null;
+      }
+      await refreshSaved();
+    });
+  };
+
+  panel.querySelector(".save").onclick = () => save(false);
+  panel.querySelector(".save-as").onclick = () => save(true);
+
+  list.addEventListener("change", (event) => {
+    const urn = event.target.closest("li[data-urn]")?.dataset.urn;
+    if (!urn || !window.federation) {
+      return;
+    }
+    if (event.target.name === "visible") {
+      window.federation.scene.setVisible(urn, event.target.checked);
+    } else {
+      const value = parseFloat(event.target.value);
+      if (Number.isFinite(value)) {
+        window.federation.scene.setOffset(urn, { [event.target.name]: value });
+      }
+    }
+  });
+  list.addEventListener("click", (event) => {
+    const urn = event.target.closest("li[data-urn]")?.dataset.urn;
+    if (urn && event.target.closest(".unload") && window.federation) {
+      window.federation.scene.remove(urn);
+      renderFederation();
+    }
+  });
+}
+
+/**
+ * Lists the models of the open federation in the federation panel,
+ * each with its visibility, offset and an "Unload" button.
+ */
+function renderFederation() {
+  const panel = document.getElementById("federation");
+  const federation = window.federation;
+  const members = federation?.scene.members || [];
+  panel.querySelector(".federation-name").textContent =
+    federation?.name || (members.length > 0 ? "(not saved)" : "");
+  panel.querySelector(".federation-models").innerHTML = members
+    .map(
+      (member) =>
+        `<li data-urn="${member.urn}">
+          <div class="member-header">
+            <input type="checkbox" name="visible" title="Show Model" ${
+              member.visible ? "checked" : ""
+            } />
+            <span class="member-name" title="${escapeHtml(
+              member.name
+            )}">${escapeHtml(member.name)}</span>
+            <button class="unload" title="Unload Model">Unload</button>
+          </div>
+          <div class="member-offset">${["x", "y", "z"]
+            .map(
+              (axis) =>
+                `<label>${axis.toUpperCase()} <input type="number" step="any" name="${axis}" value="${
+                  member.offset[axis]
+                }" /></label>`
+            )
+            .join("")}</div>
+        </li>`
+    )
+    .join("\n");
+}
+
+/**
+ * Leaves the open federation, if any. Its models stay loaded until the caller loads another model.
+ */
+function endFederation() {
+  if (window.federation) {
+    delete window.federation;
+    renderFederation();
+  }
+}
+
+/**
+ * Asks the user which two models to compare, and how, in the comparison dialog.
+ * The versions of the selected model are offered first, then the other models of the bucket.
+ *
+ * @returns {Promise<Object|null>} The `base` and `compared` models, each with `urn` and `label`,
+ *   and the display `mode`, or null if cancelled
+ */
+function askComparison() {
+  const dialog = document.getElementById("compare-settings");
+  const form = dialog.querySelector("form");
+  const model = getSelectedModel();
+  const versions = [...document.getElementById("versions").options].map(
+    (option) => ({
+      urn: option.value,
+      label: `${model.name} v${option.dataset.version}`,
+    })
+  );
+  if (versions.length === 0) {
+    versions.push({ urn: model.urn, label: model.name });
+  }
+  const others = [
+    ...document.querySelectorAll("#model-options .dropdown-option"),
+  ]
+    .filter((option) => option.dataset.name !== model.name)
+    .map((option) => ({ urn: option.dataset.urn, label: option.dataset.name }));
+  const choices = [...versions, ...others];
+  const renderOptions = (items) =>
+    items
+      .map(
+        (item) =>
+          `<option value="${item.urn}">${escapeHtml(item.label)}</option>`
+      )
+      .join("");
+  for (const select of [form.elements.base, form.elements.compared]) {
+    select.innerHTML = `<optgroup label="Versions of ${escapeHtml(
+      model.name
+    )}">${renderOptions(versions)}</optgroup>${
+      others.length > 0
+        ? `<optgroup label="Other models">${renderOptions(others)}</optgroup>`
+        : ""
+    }`;
+  }
+  // By default, compare the displayed version with the one before it
+  const shown = Math.max(
+    0,
+    versions.findIndex(
+      (version) => version.urn === document.getElementById("versions").value
+    )
+  );
+  form.elements.compared.value = choices[shown].urn;
+  form.elements.base.value = (choices[shown + 1] || choices[shown]).urn;
+
+  return new Promise((resolve) => {
+    dialog.onclose = () => {
+      const base = choices.find((c) => c.urn === form.elements.base.value);
+      const compared = choices.find(
+        (c) => c.urn === form.elements.compared.value
+      );
+      if (dialog.returnValue !== "ok") {
+        resolve(null);
+      } else if (base.urn === compared.urn) {
+        alert("Please choose two different models to compare.");
+        resolve(null);
+      } else {
+        resolve({ base, compared, mode: form.elements.mode.value });
+      }
+    };
+    dialog.returnValue = "";
+    dialog.showModal();
+  });
+}
+
+/**
+ * Asks the user for translation settings in the translation settings dialog.
+ *
+ * @param {Object} options - Dialog options
+ * @param {boolean} options.allowForce - Whether to offer deleting existing derivatives first
+ * @returns {Promise<Object|null>} Settings with `formats` and `force`, or null if cancelled
+ */
+function askTranslationSettings({ allowForce }) {
+  const dialog = document.getElementById("translation-settings");
+  const form = dialog.querySelector("form");
+  form.querySelector(".force").style.display = allowForce ? "" : "none";
+  form.elements.force.checked = false;
+
+  return new Promise((resolve) => {
+    dialog.onclose = () => {
+      if (dialog.returnValue !== "ok") {
+        resolve(null);
+        return;
+      }
+      const data = new FormData(form);
+      const formats = [];
+      const viewable = data.get("viewable");
+      if (viewable) {
+        const advanced = {};
+        if (data.get("revit-2dviews")) {
+          advanced["2dviews"] = data.get("revit-2dviews");
+        }
+        if (data.get("ifc-conversion")) {
+          advanced.conversionMethod = data.get("ifc-conversion");
+        }
+        formats.push({
+          type: viewable,
+          views: data.getAll("views"),
+          ...(Object.keys(advanced).length > 0 ? { advanced } : {}),
+        });
+      }
+      for (const type of data.getAll("exports")) {
+        formats.push({ type });
+      }
+      if (formats.length === 0) {
+        alert("Please select at least one output format.");
+        resolve(null);
+        return;
+      }
+      resolve({ formats, force: data.get("force") === "on" });
+    };
+    dialog.returnValue = "";
+    dialog.showModal();
+  });
+}
+
+/**
+ * Asks the user for the main design file of a zip archive.
+ * The likely root files ranked by the server are listed first, and the best one is preselected.
+ *
+ * @param {string} name - The name of the archive
+ * @param {Object} archive - The archive `entries` and ranked `candidates`
+ * @returns {Promise<string|null>} The chosen entry, or null if the user cancelled
+ */
+function chooseRootFilename(name, archive) {
+  const dialog = document.getElementById("zip-entrypoint");
+  const form = dialog.querySelector("form");
+  const select = form.elements.entrypoint;
+  const others = archive.entries
+    .map((entry) => entry.name)
+    .filter((entry) => !archive.candidates.includes(entry));
+  dialog.querySelector(".archive-name").textContent = name;
+  select.replaceChildren();
+  // Entry names come from the archive, so they are added as text rather than HTML
+  for (const [label, entries] of [
+    ["Likely main design files", archive.candidates],
+    ["Other files", others],
+  ]) {
+    if (entries.length > 0) {
+      const group = document.createElement("optgroup");
+      group.label = label;
+      group.append(...entries.map((entry) => new Option(entry, entry)));
+      select.append(group);
+    }
+  }
+  select.selectedIndex = 0;
+
+  return new Promise((resolve) => {
+    dialog.onclose = () =>
+      resolve(
+        dialog.returnValue === "ok" && select.value ? select.value : null
+      );
+    dialog.returnValue = "";
+    dialog.showModal();
+  });
+}
+
+/**
+ * Handles bucket selection and updates the models dropdown.
+ * Fetches and displays models from the selected bucket.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @param {string} bucketUrn - The URN of the selected bucket
+ * @param {string} [selectedUrn] - The URN of the model, or of one of its versions, to select;
+ *   defaults to the first model
+ * @returns {Promise<void>}
+ */
+async function onBucketSelected(viewer, bucketUrn, selectedUrn) {
+  try {
+    const options = document.getElementById("model-options");
+    if (options.dataset.bucket !== bucketUrn) {
+      document.getElementById("model-search").value = "";
+    }
+    const page = await fetchModelPage(bucketUrn);
+    const models = page.items;
+    const selectedName = selectedUrn && parseModelUrn(selectedUrn)?.name;
+    let selected =
+      models.find((model) => model.name === selectedName) || models[0] || null;
+    if (selectedName && selected?.name !== selectedName) {
+      // The model of a link may be on a later page, or not match the search
+      const linked = await findModel(bucketUrn, selectedName);
+      if (linked) {
+        page.items = [linked, ...models];
+        selected = linked;
+      }
+    }
+    renderModelOptions(bucketUrn, page);
+    selectModelOption(selected?.urn, selected?.name);
+    // A link can point to an earlier version of the selected model
+    const urn =
+      selectedUrn && parseModelUrn(selectedUrn)?.name === selected?.name
+        ? selectedUrn
+        : selected?.urn;
+    showModelVersions(selected?.name, urn);
+
+    if (!selected) {
+      showNotification("No models found in this bucket.");
+    } else {
+      clearNotification();
+      onModelSelected(viewer, urn);
+    }
+  } catch (err) {
+    alert(describeError("Could not list models for this bucket.", err));
+    console.error(err);
+  }
+}
+
+/**
+ * Handles model selection and loading.
+ * Checks translation status and loads the model in the viewer when ready.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @param {string} urn - The URN of the selected model
+ * @returns {Promise<void>}
+ */
+async function onModelSelected(viewer, urn) {
+  endComparison();
+  endFederation();
+  stopWatchingTranslation();
+  hideMarkups(viewer);
+  if (!document.getElementById("annotations").hidden) {
+    showAnnotations(urn);
+  }
+  showSavedViews(urn);
+  renderViewableOptions();
+  if (window.pendingView?.urn !== urn) {
+    delete window.pendingView;
+  }
+  writeUrlState({ bucket: getSelectedBucketUrn(), model: urn });
+  try {
+    const resp = await fetch(`/api/models/${urn}/status`);
+    if (!resp.ok) {
+      throw await responseError(resp);
+    }
+    const status = await resp.json();
+    if (onTranslationStatus(viewer, urn, status)) {
+      watchTranslation(viewer, urn);
+    }
+  } catch (err) {
+    alert(describeError("Could not load model.", err));
+    console.error(err);
+  }
+}
+
+/**
+ * Subscribes to the translation progress of a model over Server-Sent Events.
+ * The server pushes the same updates to every open tab, so all of them load
+ * the model as soon as the translation finishes.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @param {string} urn - The URN of the model being translated
+ */
+function watchTranslation(viewer, urn) {
+  const events = new EventSource(`/api/events?urn=${encodeURIComponent(urn)}`);
+  window.translationEvents = events;
+  events.addEventListener("translation", (e) => {
+    if (!onTranslationStatus(viewer, urn, JSON.parse(e.data))) {
+      events.close();
+    }
+  });
+  events.addEventListener("error", (e) => {
+    if (e.data) {
+      console.error("Translation progress error:", JSON.parse(e.data));
+    }
+  });
+}
+
+/**
+ * Loads a translated model. If a view of it is pending, e.g. from the link the page was opened
+ * with or from a saved view, loads the view's viewable and restores its camera, selection and
+ * isolation once the model has loaded. Otherwise the model opens with its default viewable.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @param {string} urn - The URN of the model
+ * @param {string} region - The data center region holding the model's derivatives
+ * @returns {Promise<void>}
+ */
+async function openView(viewer, urn, region) {
+  const view = window.pendingView?.urn === urn ? window.pendingView : null;
+  delete window.pendingView;
+  try {
+    const preferred = await getDefaultViewable(urn);
+    const model = await loadModel(viewer, urn, region, {
+      viewable: [view?.viewable, preferred?.guid, preferred?.name].filter(
+        Boolean
+      ),
+    });
+    renderViewableOptions(urn, region, model, preferred);
+    if (view) {
+      await waitForModel(viewer, model);
+      restoreView(viewer, view);
+    }
+  } catch (err) {
+    alert(describeError("Could not load model.", err));
+    console.error(err);
+  }
+}
+
+/**
+ * Stops following the translation progress of the previously selected model,
+ * so it is not loaded over whatever the viewer displays now.
+ */
+function stopWatchingTranslation() {
+  if (window.translationEvents) {
+    window.translationEvents.close();
+    delete window.translationEvents;
+  }
+}
+
+/**
+ * Shows the translation status of a model, or loads it once translated.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @param {string} urn - The URN of the model
+ * @param {Object} status - The status returned by the server
+ * @returns {boolean} Whether the translation is still running
+ */
+function onTranslationStatus(viewer, urn, status) {
+  updateModelStatus(urn, status);
+  switch (status.status) {
+    case "n/a":
+      showNotification(`Model has not been translated.`);
+      return false;
+    case "pending":
+    case "inprogress":
+      showProgress(
+        `Model is being translated (${status.progress})...`,
+        status.percent / 100
+      );
+      return true;
+    case "failed":
+      showNotification(
+        `Translation failed. <ul>${status.messages
+          .map((msg) => `<li>${JSON.stringify(msg)}</li>`)
+          .join("")}</ul>`
+      );
+      return false;
+    default:
+      clearNotification();
+      openView(viewer, urn, status.region);
+      return false;
+  }
+}
+
+/**
+ * Displays a notification message to the user.
+ * Shows an overlay with the specified message.
+ *
+ * @param {string} message - The HTML message to display
+ */
+function showNotification(message) {
+  const overlay = document.getElementById("overlay");
+  overlay.innerHTML = `<div class="notification">${message}</div>`;
   overlay.style.display = "flex";
 }
 
+/**
+ * Displays a notification message with a progress bar.
+ *
+ * @param {string} message - The HTML message to display
+ * @param {number} fraction - The progress, between 0 and 1
+ */
+function showProgress(message, fraction) {
+  const percent = Math.round(Math.min(1, Math.max(0, fraction || 0)) * 100);
+  showNotification(
+    `${message}<div class="progress"><progress max="100" value="${percent}"></progress><span>${percent}%</span></div>`
+  );
+}
+
 /**
  * Clears the notification overlay.
  * Hides the notification message from the user.
@@ -364,49 +2776,145 @@ function clearNotification() {
 
 /**
  * Deletes a bucket after user confirmation.
- * Handles the deletion process and updates the UI accordingly.
+ * A dry run first lists the objects that would be removed; the deletion itself runs
+ * as a background job whose progress is shown without blocking the viewer.
  *
  * @param {string} bucketName - The name of the bucket to delete
  * @returns {Promise<void>}
  */
 async function deleteBucket(bucketName) {
-  if (
-    !confirm(
-      `Are you sure you want to delete bucket "${bucketName}"?\n\nNote: You can only delete buckets that you created with this app. Buckets created by other applications or users cannot be deleted.\n\nThis action cannot be undone.`
-    )
-  ) {
-    return;
-  }
-
+  const statusId = `delete-${bucketName}`;
   try {
-    showNotification(`Deleting bucket <em>${bucketName}</em>...`);
-
-    const resp = await fetch("/api/buckets", {
-      method: "DELETE",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ bucketName: bucketName }),
-    });
-
-    if (!resp.ok) {
-      const errorMessage = await resp.text();
-      throw new Error(errorMessage);
+    showJobStatus(statusId, `Checking bucket <em>${bucketName}</em>...`);
+    const preview = await runBucketDeletion(bucketName, true);
+    clearJobStatus(statusId);
+    if (preview.status === "failed") {
+      throw new Error(preview.error);
+    }
+    const names = preview.objects
+      .slice(0, 5)
+      .map((obj) => `- ${obj.objectKey}`);
+    if (preview.objects.length > names.length) {
+      names.push(`...and ${preview.objects.length - names.length} more`);
+    }
+    if (
+      !confirm(
+        `Are you sure you want to delete bucket "${bucketName}"?\n\n${
+          preview.objects.length === 0
+            ? "The bucket is empty."
+            : `This will also delete ${
+                preview.objects.length
+              } object(s):\n${names.join("\n")}`
+        }\n\nNote: You can only delete buckets that you created with this app. Buckets created by other applications or users cannot be deleted.\n\nThis action cannot be undone.`
+      )
+    ) {
+      return;
     }
 
-    const viewer = window.viewer;
-    setUpBucketSelection(viewer);
-
-    clearNotification();
-    showNotification(`Bucket "${bucketName}" deleted successfully.`);
-    setTimeout(clearNotification, 3000);
+    const job = await runBucketDeletion(bucketName, false, (job) =>
+      showJobStatus(
+        statusId,
+        `Deleting bucket <em>${bucketName}</em>: ${job.deleted} of ${Math.max(
+          job.listed,
+          preview.objects.length
+        )} object(s) deleted.`,
+        preview.objects.length > 0
+          ? job.deleted / preview.objects.length
+          : undefined
+      )
+    );
+    setUpBucketSelection(window.viewer);
+    if (job.status === "failed") {
+      showJobStatus(
+        statusId,
+        `Could not delete bucket <em>${bucketName}</em>: ${job.error}${
+          job.failures.length > 0
+            ? `<ul>${job.failures
+                .map(
+                  (failure) =>
+                    `<li>${failure.objectKey}: ${failure.message}</li>`
+                )
+                .join("")}</ul>`
+            : ""
+        }`
+      );
+      return;
+    }
+    showJobStatus(statusId, `Bucket "${bucketName}" deleted successfully.`, 1);
+    setTimeout(() => clearJobStatus(statusId), 3000);
   } catch (err) {
-    clearNotification();
-    alert(err.message);
+    clearJobStatus(statusId);
+    alert(describeError(`Could not delete bucket "${bucketName}".`, err));
     console.error("Bucket deletion error:", err);
   }
 }
 
+/**
+ * Starts a bucket deletion job and polls it until it finishes.
+ *
+ * @param {string} bucketName - The name of the bucket to delete
+ * @param {boolean} dryRun - Whether to only list the objects that would be deleted
+ * @param {Function} [onProgress] - Called with the job after each poll
+ * @returns {Promise<Object>} The finished job
+ */
+async function runBucketDeletion(bucketName, dryRun, onProgress) {
+  let resp = await fetch("/api/buckets", {
+    method: "DELETE",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ bucketName: bucketName, dryRun }),
+  });
+  while (true) {
+    if (!resp.ok) {
+      throw await responseError(resp);
+    }
+    const job = await resp.json();
+    onProgress?.(job);
+    if (job.finishedAt) {
+      return job;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    resp = await fetch(`/api/buckets/jobs/${job.id}`);
+  }
+}
+
+/**
+ * Shows or updates the status of a background job in the corner of the page.
+ * Unlike notifications, job statuses do not cover the viewer.
+ *
+ * @param {string} id - Identifies the status entry
+ * @param {string} message - The HTML message to display
+ * @param {number} [fraction] - The progress, between 0 and 1; omitted to hide the progress bar
+ */
+function showJobStatus(id, message, fraction) {
+  const container = document.getElementById("jobs");
+  let entry = [...container.children].find((child) => child.dataset.id === id);
+  if (!entry) {
+    entry = document.createElement("div");
+    entry.className = "job";
+    entry.dataset.id = id;
+    container.appendChild(entry);
+  }
+  const percent = Math.round(Math.min(1, Math.max(0, fraction || 0)) * 100);
+  entry.innerHTML = `<button class="close" title="Dismiss" aria-label="Dismiss">×</button>${message}${
+    fraction === undefined
+      ? ""
+      : `<div class="progress"><progress max="100" value="${percent}"></progress><span>${percent}%</span></div>`
+  }`;
+  entry.querySelector(".close").onclick = () => entry.remove();
+}
+
+/**
+ * Removes the status of a background job.
+ *
+ * @param {string} id - Identifies the status entry
+ */
+function clearJobStatus(id) {
+  const container = document.getElementById("jobs");
+  [...container.children].find((child) => child.dataset.id === id)?.remove();
+}
+
 /**
  * Toggles the dropdown open/closed state.
  * Manages the dropdown visibility and ARIA attributes.
@@ -451,6 +2959,7 @@ function selectBucket(urn, name) {
   dropdownSelected.setAttribute("aria-expanded", "false");
 
   onBucketSelected(window.viewer, urn);
+  showBucketDetails(urn);
 }
 
 /**
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Markup drawing and display with the viewer's MarkupsCore extension.
+ * Markups are SVG drawings tied to the camera they were drawn in, so showing one
+ * restores that camera first.
+ */
+
+/** @constant {Object<string, string>} Markup edit modes of each drawing tool */
+const TOOLS = {
+  freehand: "EditModeFreehand",
+  arrow: "EditModeArrow",
+  text: "EditModeText",
+  cloud: "EditModeCloud",
+};
+
+/**
+ * Loads the markup extension of a viewer, if it is not loaded yet.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @returns {Promise<Object>} The MarkupsCore extension
+ */
+async function getMarkups(viewer) {
+  return (
+    viewer.getExtension("Autodesk.Viewing.MarkupsCore") ||
+    (await viewer.loadExtension("Autodesk.Viewing.MarkupsCore"))
+  );
+}
+
+/**
+ * Starts drawing a new markup over the current view.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @param {string} [tool="freehand"] - The drawing tool, see setMarkupTool
+ * @returns {Promise<void>}
+ */
+export async function startMarkup(viewer, tool = "freehand") {
+  const markups = await getMarkups(viewer);
+  markups.unloadMarkupsAllLayers();
+  markups.enterEditMode();
+  await setMarkupTool(viewer, tool);
+}
+
+/**
+ * Switches the tool used to draw the markup.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @param {string} tool - "freehand", "arrow", "text" or "cloud"
+ * @returns {Promise<void>}
+ */
+export async function setMarkupTool(viewer, tool) {
+  const markups = await getMarkups(viewer);
+  const EditMode = Autodesk.Viewing.Extensions.Markups.Core[TOOLS[tool]];
+  markups.changeEditMode(new EditMode(markups));
+}
+
+/**
+ * Stops drawing and returns the markup, together with the camera it was drawn in.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @returns {Promise<{markup: string|null, camera: Object}>} The markup as SVG, or null if
+ *   nothing was drawn, and the viewer state
+ */
+export async function finishMarkup(viewer) {
+  const markups = await getMarkups(viewer);
+  const markup = markups.markups.length > 0 ? markups.generateData() : null;
+  const camera = viewer.getState({ viewport: true });
+  markups.leaveEditMode();
+  markups.hide();
+  return { markup, camera };
+}
+
+/**
+ * Shows an annotation: restores its camera and displays its markup, if any.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @param {Object} annotation - The annotation, with `id`, `markup` and `camera`
+ * @returns {Promise<void>}
+ */
+export async function showMarkup(viewer, annotation) {
+  const markups = await getMarkups(viewer);
+  markups.leaveEditMode();
+  markups.unloadMarkupsAllLayers();
+  if (annotation.camera) {
+    viewer.restoreState(annotation.camera, null, true);
+  }
+  if (annotation.markup) {
+    markups.show();
+    markups.loadMarkups(annotation.markup, annotation.id);
+  } else {
+    markups.hide();
+  }
+}
+
+/**
+ * Hides any markup being shown or drawn.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ */
+export function hideMarkups(viewer) {
+  const markups = viewer.getExtension("Autodesk.Viewing.MarkupsCore");
+  if (markups) {
+    markups.leaveEditMode();
+    markups.unloadMarkupsAllLayers();
+    markups.hide();
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Public page of a share link: shows the one shared model in a viewer,
+ * without the buckets, models and tools of the application.
+ * The page gets no access token: its viewer reads the model through the server, sending the share
+ * token from the page URL, and the password if the link has one, with every request, so the page
+ * stops working as soon as the link expires or is revoked.
+ */
+
+import { initViewer, loadModel } from "./viewer.js";
+import { responseError, describeError } from "./errors.js";
+
+const token = decodeURIComponent(window.location.pathname.split("/").pop());
+let password = null;
+
+/**
+ * Requests a public share endpoint with the share password, if one was entered.
+ *
+ * @param {string} [path] - The path below the share's API endpoint
+ * @returns {Promise<Object>} The response body
+ * @throws {Error} If the request failed, see responseError
+ */
+async function fetchShare(path = "") {
+  const resp = await fetch(
+    `/api/share/${encodeURIComponent(token)}${path}`,
+    password
+      ? { headers: { "X-Share-Password": encodeURIComponent(password) } }
+      : {}
+  );
+  if (!resp.ok) {
+    throw await responseError(resp);
+  }
+  return await resp.json();
+}
+
+/**
+ * Asks for the password of the share link.
+ *
+ * @param {string} [message] - Why the password is needed, e.g. because the last one was wrong
+ * @returns {Promise<string>} The password
+ */
+function askPassword(message) {
+  const dialog = document.getElementById("share-password");
+  const form = dialog.querySelector("form");
+  if (message) {
+    dialog.querySelector(".message").textContent = message;
+  }
+  form.elements.password.value = "";
+  return new Promise((resolve) => {
+    dialog.onclose = () => resolve(form.elements.password.value);
+    dialog.showModal();
+  });
+}
+
+/**
+ * Replaces the viewer with a message, e.g. when the link has expired.
+ *
+ * @param {string} message - The message
+ */
+function showMessage(message) {
+  const overlay = document.getElementById("overlay");
+  overlay.innerHTML = "";
+  const notification = document.createElement("div");
+  notification.className = "notification";
+  notification.textContent = message;
+  overlay.appendChild(notification);
+  overlay.style.display = "flex";
+}
+
+/**
+ * Opens the share link: checks the token, asking for the password until it is correct,
+ * and loads the shared model.
+ *
+ * @returns {Promise<void>}
+ */
+async function openShare() {
+  let share;
+  while (!share) {
+    try {
+      share = await fetchShare();
+    } catch (err) {
+      if (err.code === "SHARE_PASSWORD_REQUIRED") {
+        password = await askPassword();
+      } else if (err.code === "SHARE_PASSWORD_INVALID") {
+        password = await askPassword(err.message);
+      } else {
+        showMessage(err.message);
+        console.error(err);
+        return;
+      }
+    }
+  }
+
+  document.title = `${share.name} - Shared Model`;
+  document.querySelector("#header .title").textContent = share.name;
+  document.getElementById(
+    "share-expiry"
+  ).textContent = `Available until ${new Date(
+    share.expiresAt
+  ).toLocaleString()}`;
+  try {
+    const viewer = await initViewer(document.getElementById("preview"), {
+      endpoint: `${window.location.origin}/api/share/${encodeURIComponent(
+        token
+      )}/viewer`,
+      headers: password
+        ? { "X-Share-Password": encodeURIComponent(password) }
+        : {},
+    });
+    await loadModel(viewer, share.urn, share.region);
+  } catch (err) {
+    alert(describeError("Could not load model.", err));
+    console.error(err);
+  }
+}
+
+openShare();
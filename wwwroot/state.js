@@ -0,0 +1,160 @@
+/**
+ * @fileoverview View state of the application and its encoding in the URL.
+ * The hash holds the bucket, the model, the viewable (2D sheet or 3D view), the camera and the
+ * selected and isolated objects, e.g. `#bucket=…&model=…&viewable=…&camera=…&select=12,40&isolate=7`,
+ * so refreshing the page or sharing the link restores the same view. Hand-written links can
+ * also name the viewable instead, e.g. `#model=…&viewable=Level%201`.
+ * Older links whose hash is just a model URN are still understood.
+ */
+
+/** @constant {number} Decimal places kept of camera coordinates */
+const CAMERA_PRECISION = 3;
+
+/**
+ * Encodes a camera as a compact list of numbers: eye, target and up vectors,
+ * field of view, projection (1 for orthographic) and orthographic height.
+ *
+ * @param {Object} camera - The viewport part of a viewer state
+ * @returns {string} The encoded camera
+ */
+function encodeCamera(camera) {
+  const round = (value) => Number(Number(value).toFixed(CAMERA_PRECISION));
+  return [
+    ...camera.eye,
+    ...camera.target,
+    ...camera.up,
+    camera.fieldOfView,
+    camera.isOrthographic ? 1 : 0,
+    camera.orthographicHeight || 0,
+  ]
+    .map(round)
+    .join(",");
+}
+
+/**
+ * Decodes a camera encoded by encodeCamera.
+ *
+ * @param {string} [text] - The encoded camera
+ * @returns {Object|null} The viewport part of a viewer state, or null if the text is not a camera
+ */
+function decodeCamera(text) {
+  const values = (text || "").split(",").map(Number);
+  if (values.length !== 12 || !values.every(Number.isFinite)) {
+    return null;
+  }
+  const isOrthographic = values[10] === 1;
+  return {
+    eye: values.slice(0, 3),
+    target: values.slice(3, 6),
+    up: values.slice(6, 9),
+    fieldOfView: values[9],
+    isOrthographic,
+    projection: isOrthographic ? "orthographic" : "perspective",
+    orthographicHeight: values[11],
+  };
+}
+
+function decodeIds(text) {
+  return (text || "")
+    .split(",")
+    .map(Number)
+    .filter((id) => Number.isInteger(id) && id >= 0);
+}
+
+/**
+ * Finds the bucket and the model name of a model URN. Versions stored under
+ * ".versions/<name>/v<n>/" belong to the model <name>.
+ *
+ * @param {string} urn - The URN of the model
+ * @returns {{bucket: string, name: string}|null} The URN of the bucket and the model name,
+ *   or null if the URN is not an object URN
+ */
+export function parseModelUrn(urn) {
+  try {
+    const bytes = Uint8Array.from(atob(urn), (char) => char.charCodeAt(0));
+    const id = new TextDecoder().decode(bytes);
+    const match = /^urn:adsk\.objects:os\.object:([^/]+)\/(.+)$/.exec(id);
+    if (!match) {
+      return null;
+    }
+    const version = /^\.versions\/(.+)\/v\d+\/[^/]+$/.exec(match[2]);
+    return {
+      bucket: btoa(match[1]).replace(/=+$/, ""),
+      name: version ? version[1] : match[2],
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the view state from the URL.
+ *
+ * @returns {Object} The state, with `bucket`, `model`, `viewable`, `camera`, `selection`
+ *   and `isolation`; missing parts are null or empty
+ */
+export function readUrlState() {
+  const hash = window.location.hash.substring(1);
+  const params = new URLSearchParams(hash.includes("=") ? hash : "");
+  const model = params.get("model") || (hash.includes("=") ? null : hash);
+  return {
+    bucket: params.get("bucket") || (model && parseModelUrn(model)?.bucket),
+    model: model || null,
+    viewable: params.get("viewable"),
+    camera: decodeCamera(params.get("camera")),
+    selection: decodeIds(params.get("select")),
+    isolation: decodeIds(params.get("isolate")),
+  };
+}
+
+/**
+ * Writes the view state to the URL, replacing the current history entry.
+ *
+ * @param {Object} state - The state, see readUrlState
+ */
+export function writeUrlState(state) {
+  const params = new URLSearchParams();
+  for (const [key, value] of [
+    ["bucket", state.bucket],
+    ["model", state.model],
+    ["viewable", state.viewable],
+    ["camera", state.camera && encodeCamera(state.camera)],
+    ["select", state.selection?.join(",")],
+    ["isolate", state.isolation?.join(",")],
+  ]) {
+    if (value) {
+      params.set(key, value);
+    }
+  }
+  window.history.replaceState(null, "", `#${params}`);
+}
+
+/**
+ * Captures the view of the model displayed in a viewer.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @returns {Object} The `viewable` GUID, `camera`, `selection` and `isolation` of the view
+ */
+export function captureView(viewer) {
+  return {
+    viewable: viewer.model?.getDocumentNode()?.guid() || null,
+    camera: viewer.getState({ viewport: true }).viewport,
+    selection: viewer.getSelection(),
+    isolation: viewer.getIsolatedNodes(),
+  };
+}
+
+/**
+ * Restores the camera, isolation and selection of a view. The viewable is not changed;
+ * load the model with the view's viewable first.
+ *
+ * @param {Object} viewer - The Autodesk Viewer instance
+ * @param {Object} view - The view, see captureView
+ */
+export function restoreView(viewer, view) {
+  viewer.isolate(view.isolation || []);
+  viewer.select(view.selection || []);
+  if (view.camera) {
+    viewer.restoreState({ viewport: view.camera }, null, true);
+  }
+}
@@ -5,63 +5,96 @@
 
 /// import * as Autodesk from "@types/forge-viewer";
 
-/**
- * Retrieves an access token from the server for Autodesk services.
- * This function is used by the Autodesk Viewer for authentication.
- *
- * @param {Function} callback - Callback function to receive the token and expiry time
- * @returns {Promise<void>}
- */
-async function getAccessToken(callback) {
-  try {
-    const resp = await fetch("/api/auth/token");
-    if (!resp.ok) {
-      throw new Error(await resp.text());
-    }
-    const { access_token, expires_in } = await resp.json();
-    callback(access_token, expires_in);
-  } catch (err) {
-    alert("Could not obtain access token. See the console for more details.");
-    console.error(err);
-  }
-}
+/** @constant {Object<string, string>} Viewer APIs serving the derivatives of each data center region */
+const REGION_APIS = {
+  US: "streamingV2",
+  EMEA: "streamingV2_EU",
+  APAC: "streamingV2_AUS",
+};
 
 /**
  * Initializes the Autodesk Viewer in the specified container.
  * Sets up the viewer with production environment and document browser extension.
+ * The viewer gets no access token: it reads the models through a server endpoint.
+ * The viewer starts with the US API; loadModel switches it to the region of each model.
  *
  * @param {HTMLElement} container - The DOM element to contain the viewer
+ * @param {Object} [proxy] - The server endpoint reading the models on behalf of the viewer
+ * @param {string} [proxy.endpoint] - The URL of the endpoint, by default the one of the application
+ * @param {Object<string, string>} [proxy.headers] - Headers sent with every request, e.g. the
+ *   password of a share link
  * @returns {Promise<Object>} A promise that resolves to the initialized viewer instance
  */
-export function initViewer(container) {
+export function initViewer(container, proxy = {}) {
   return new Promise(function (resolve, reject) {
     Autodesk.Viewing.Initializer(
-      { env: "AutodeskProduction", getAccessToken },
+      {
+        env: "AutodeskProduction2",
+        api: REGION_APIS.US,
+        shouldInitializeAuth: false,
+      },
       function () {
-        const config = {
-          extensions: ["Autodesk.DocumentBrowser"],
-        };
-        const viewer = new Autodesk.Viewing.GuiViewer3D(container, config);
-        viewer.start();
-        viewer.setTheme("light-theme");
-        resolve(viewer);
+        Autodesk.Viewing.endpoint.setEndpointAndApi(
+          proxy.endpoint || `${window.location.origin}/api/viewer`,
+          REGION_APIS.US
+        );
+        Object.assign(
+          Autodesk.Viewing.endpoint.HTTP_REQUEST_HEADERS,
+          proxy.headers
+        );
+        resolve(createViewer(container));
       }
     );
   });
 }
 
+/**
+ * Creates and starts another viewer, e.g. for a side-by-side comparison.
+ * Must only be called once initViewer has initialized the viewer runtime.
+ *
+ * @param {HTMLElement} container - The DOM element to contain the viewer
+ * @returns {Object} The started viewer instance
+ */
+export function createViewer(container) {
+  const config = {
+    extensions: ["Autodesk.DocumentBrowser"],
+  };
+  const viewer = new Autodesk.Viewing.GuiViewer3D(container, config);
+  viewer.start();
+  viewer.setTheme("light-theme");
+  return viewer;
+}
+
 /**
  * Loads a model into the viewer using its URN.
  * Handles the document loading process and sets up the viewer for the model.
  *
  * @param {Object} viewer - The Autodesk Viewer instance
  * @param {string} urn - The URN of the model to load
- * @returns {Promise<Object>} A promise that resolves when the model is loaded
+ * @param {string} [region="US"] - The data center region holding the model's derivatives
+ * @param {Object} [options] - Options passed on to `viewer.loadDocumentNode`, such as
+ *   `keepCurrentModels` to add the model to the ones already loaded
+ * @param {string|Array<string>} [options.viewable] - The GUID or name of the viewable (2D sheet
+ *   or 3D view) to load instead of the default geometry, or several in order of preference;
+ *   the first one the model has is loaded, and if it has none, the default geometry
+ * @returns {Promise<Object>} A promise that resolves with the loaded model
  */
-export function loadModel(viewer, urn) {
+export function loadModel(viewer, urn, region = "US", options = {}) {
+  const { viewable, ...loadOptions } = options;
   return new Promise(function (resolve, reject) {
     function onDocumentLoadSuccess(doc) {
-      resolve(viewer.loadDocumentNode(doc, doc.getRoot().getDefaultGeometry()));
+      const root = doc.getRoot();
+      const geometries = root.search({ type: "geometry" });
+      const node =
+        []
+          .concat(viewable || [])
+          .map(
+            (preferred) =>
+              root.findByGuid(preferred) ||
+              geometries.find((geometry) => geometry.name() === preferred)
+          )
+          .find(Boolean) || root.getDefaultGeometry();
+      resolve(viewer.loadDocumentNode(doc, node, loadOptions));
     }
     function onDocumentLoadFailure(code, message, errors) {
       const error = new Error(
@@ -72,6 +105,10 @@ export function loadModel(viewer, urn) {
       reject(error);
     }
     viewer.setLightPreset(0);
+    Autodesk.Viewing.endpoint.setEndpointAndApi(
+      Autodesk.Viewing.endpoint.getApiEndpoint(),
+      REGION_APIS[region] || REGION_APIS.US
+    );
     Autodesk.Viewing.Document.load(
       "urn:" + urn,
       onDocumentLoadSuccess,
@@ -79,3 +116,58 @@ export function loadModel(viewer, urn) {
     );
   });
 }
+
+/**
+ * Lists the viewables (2D sheets and 3D views) of the document a model was loaded from.
+ *
+ * @param {Object} model - The loaded model
+ * @returns {Array<{guid: string, name: string, role: string}>} The viewables, with role "2d" or "3d"
+ */
+export function listViewables(model) {
+  return model
+    .getDocumentNode()
+    .getRootNode()
+    .search({ type: "geometry" })
+    .map((node) => ({
+      guid: node.guid(),
+      name: node.name(),
+      role: node.is2D() ? "2d" : "3d",
+    }));
+}
+
+/**
+ * Resolves once the object tree and the geometry of a model have loaded.
+ * Models without an object tree, such as some 2D sheets, only wait for their geometry.
+ *
+ * @param {Object} viewer - The viewer displaying the model
+ * @param {Object} model - The model
+ * @returns {Promise<void>}
+ */
+export function waitForModel(viewer, model) {
+  const waitFor = (events, isDone) =>
+    new Promise((resolve) => {
+      if (isDone()) {
+        resolve();
+        return;
+      }
+      const listener = (e) => {
+        if (e.model === model) {
+          events.forEach((event) =>
+            viewer.removeEventListener(event, listener)
+          );
+          resolve();
+        }
+      };
+      events.forEach((event) => viewer.addEventListener(event, listener));
+    });
+  return Promise.all([
+    waitFor(
+      [
+        Autodesk.Viewing.OBJECT_TREE_CREATED_EVENT,
+        Autodesk.Viewing.OBJECT_TREE_UNAVAILABLE_EVENT,
+      ],
+      () => !!model.getInstanceTree()
+    ),
+    waitFor([Autodesk.Viewing.GEOMETRY_LOADED_EVENT], () => model.isLoadDone()),
+  ]);
+}